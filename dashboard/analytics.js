@@ -0,0 +1,148 @@
+/**
+ * analytics.js — 커밋 단위 변경 통계
+ *
+ * git log --numstat 출력을 커밋별로 기록하고 전체 히스토리에 걸쳐
+ * 에이전트별·파일별 추가/삭제 줄 수를 누적.
+ * 여러 에이전트가 반복해서 고치는 파일(hot file)은 충돌·재작업 신호로 따로 표시.
+ * RepoWatcher가 새 커밋만큼만 ingest()하고, /api/sessions/:id/analytics가 summary()를 반환.
+ */
+
+// 제목에 |가 들어갈 수 있으므로 마지막 필드로 둠
+const LOG_FORMAT = '@%H|%an|%ct|%s';
+const HOT_FILE_MIN_AGENTS = 2;
+const HOT_FILE_MIN_EDITS = 3;
+const TOP_FILES = 20;
+const RECENT_COMMITS = 100;
+
+function agentIdOf(author) {
+  const match = author && author.match(/agent-(\d+)/);
+  return match ? match[1] : null;
+}
+
+// git log --numstat --no-renames --format=LOG_FORMAT 출력 → 커밋 목록 (git log 순서: 최신 먼저)
+function parseNumstat(log) {
+  const commits = [];
+  let current = null;
+  for (const line of log.split('\n')) {
+    if (line.startsWith('@')) {
+      const [hash, author, time, ...subject] = line.slice(1).split('|');
+      current = {
+        hash,
+        author,
+        agentId: agentIdOf(author),
+        time: Number(time) * 1000,
+        message: subject.join('|'),
+        added: 0,
+        removed: 0,
+        files: []
+      };
+      commits.push(current);
+    } else if (current && line.trim()) {
+      const [added, removed, ...rest] = line.split('\t');
+      // 바이너리 파일은 '-' — 줄 수 없이 변경 횟수만 셈
+      const file = {
+        path: rest.join('\t'),
+        added: added === '-' ? 0 : Number(added),
+        removed: removed === '-' ? 0 : Number(removed)
+      };
+      current.files.push(file);
+      current.added += file.added;
+      current.removed += file.removed;
+    }
+  }
+  return commits;
+}
+
+class CommitAnalytics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.head = null;
+    this.commits = [];
+    this.byAgent = new Map(); // author -> { author, agentId, commits, added, removed, files: Set }
+    this.byFile = new Map(); // path -> { path, commits, added, removed, authors: Map(author -> edits), lastEdited }
+  }
+
+  // 새 커밋들의 numstat 로그를 오래된 것부터 누적
+  ingest(log, head) {
+    for (const commit of parseNumstat(log).reverse()) this.add(commit);
+    this.head = head;
+  }
+
+  add(commit) {
+    this.commits.push(commit);
+
+    let agent = this.byAgent.get(commit.author);
+    if (!agent) {
+      agent = { author: commit.author, agentId: commit.agentId, commits: 0, added: 0, removed: 0, files: new Set() };
+      this.byAgent.set(commit.author, agent);
+    }
+    agent.commits++;
+    agent.added += commit.added;
+    agent.removed += commit.removed;
+
+    for (const change of commit.files) {
+      agent.files.add(change.path);
+      let file = this.byFile.get(change.path);
+      if (!file) {
+        file = { path: change.path, commits: 0, added: 0, removed: 0, authors: new Map(), lastEdited: 0 };
+        this.byFile.set(change.path, file);
+      }
+      file.commits++;
+      file.added += change.added;
+      file.removed += change.removed;
+      file.authors.set(commit.author, (file.authors.get(commit.author) || 0) + 1);
+      file.lastEdited = Math.max(file.lastEdited, commit.time);
+    }
+  }
+
+  // 에이전트(agent-N) 둘 이상이 합쳐서 HOT_FILE_MIN_EDITS번 이상 고친 파일
+  isHot(file) {
+    let agents = 0;
+    let edits = 0;
+    for (const [author, count] of file.authors) {
+      if (!agentIdOf(author)) continue;
+      agents++;
+      edits += count;
+    }
+    return agents >= HOT_FILE_MIN_AGENTS && edits >= HOT_FILE_MIN_EDITS;
+  }
+
+  summary() {
+    const churn = f => f.added + f.removed;
+    const fileSummary = file => ({
+      path: file.path,
+      commits: file.commits,
+      added: file.added,
+      removed: file.removed,
+      lastEdited: file.lastEdited,
+      authors: [...file.authors].map(([author, edits]) => ({ author, agentId: agentIdOf(author), edits }))
+        .sort((a, b) => b.edits - a.edits)
+    });
+    const files = [...this.byFile.values()];
+
+    return {
+      head: this.head,
+      totals: {
+        commits: this.commits.length,
+        added: this.commits.reduce((n, c) => n + c.added, 0),
+        removed: this.commits.reduce((n, c) => n + c.removed, 0),
+        files: this.byFile.size
+      },
+      agents: [...this.byAgent.values()]
+        .map(a => ({ author: a.author, agentId: a.agentId, commits: a.commits, added: a.added, removed: a.removed, files: a.files.size }))
+        .sort((a, b) => churn(b) - churn(a)),
+      files: files.sort((a, b) => churn(b) - churn(a)).slice(0, TOP_FILES).map(fileSummary),
+      hotFiles: files.filter(f => this.isHot(f))
+        .sort((a, b) => b.commits - a.commits || churn(b) - churn(a))
+        .slice(0, TOP_FILES)
+        .map(fileSummary),
+      // 최신 커밋 먼저, 파일별 수치 포함
+      commits: this.commits.slice(-RECENT_COMMITS).reverse()
+    };
+  }
+}
+
+module.exports = { CommitAnalytics, parseNumstat, LOG_FORMAT };
@@ -0,0 +1,88 @@
+/**
+ * audit.js — 운영자 액션 / forge 이벤트 감사 로그
+ *
+ * append-only JSONL 파일에 한 줄씩 기록. 기존 레코드는 수정·삭제하지 않음.
+ * 조회 시 파일 전체를 읽어 세션/액션/시간 범위로 필터링.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIMIT = 200;
+
+// "1700000000000" 또는 ISO 문자열 → ms (잘못된 값이면 null)
+function parseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const num = Number(value);
+  if (Number.isFinite(num)) return num;
+  const parsed = Date.parse(value);
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  }
+
+  record({ actor = 'system', role = null, action, sessionId = null, status = null, details = {} }) {
+    const entry = {
+      time: Date.now(),
+      actor,
+      role,
+      action,
+      sessionId,
+      status,
+      details
+    };
+    try {
+      fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    } catch (err) {
+      console.error(`[Audit] Failed to write ${this.filePath}:`, err.message);
+    }
+    return entry;
+  }
+
+  readAll() {
+    let content;
+    try {
+      content = fs.readFileSync(this.filePath, 'utf-8');
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch {
+        // 쓰기 도중 잘린 줄은 건너뜀
+      }
+    }
+    return entries;
+  }
+
+  // filters: { sessionId, action, actor, since, until, limit } — action은 접두사 일치 ("session." 등)
+  query(filters = {}) {
+    const since = parseTime(filters.since);
+    const until = parseTime(filters.until);
+    const limit = filters.limit === undefined ? DEFAULT_LIMIT : Math.max(parseInt(filters.limit, 10) || 0, 0);
+
+    const matched = this.readAll().filter(entry => {
+      if (filters.sessionId && entry.sessionId !== filters.sessionId) return false;
+      if (filters.action && !entry.action.startsWith(filters.action)) return false;
+      if (filters.actor && entry.actor !== filters.actor) return false;
+      if (since !== null && entry.time < since) return false;
+      if (until !== null && entry.time > until) return false;
+      return true;
+    });
+
+    return limit > 0 ? matched.slice(-limit) : matched;
+  }
+
+  toJSONL(entries) {
+    return entries.map(entry => JSON.stringify(entry)).join('\n') + (entries.length ? '\n' : '');
+  }
+}
+
+module.exports = { AuditLog };
@@ -0,0 +1,160 @@
+/**
+ * auth.js — 대시보드 API 인증 / 역할 / CORS
+ *
+ * 환경 변수로 설정:
+ *   DASHBOARD_API_TOKENS  — "token:role,..."          (스크립트/CI용 Bearer 토큰)
+ *   DASHBOARD_USERS       — "user:password:role,..."  (UI 로그인 계정)
+ *   DASHBOARD_CORS_ORIGINS — "https://a.example,..."  (허용할 Origin 목록)
+ *
+ * role은 viewer(조회만) 또는 operator(세션 생성/제어 가능).
+ * 토큰/계정이 하나도 없으면 인증을 끄고 로컬 전용으로 동작.
+ */
+
+const crypto = require('crypto');
+
+const ROLES = { viewer: 1, operator: 2 };
+const COOKIE_NAME = 'tokamak_token';
+const LOGIN_TTL = 12 * 60 * 60 * 1000; // 12 hours
+
+// "a:b:c,d:e:f" → [['a','b','c'], ['d','e','f']]
+function parseList(value) {
+  return (value || '').split(',').map(s => s.trim()).filter(Boolean).map(s => s.split(':'));
+}
+
+// 길이와 무관하게 상수 시간 비교
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of (header || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq === -1) continue;
+    // 잘못 인코딩된 쿠키(%E0%A4%A 등)는 URIError — 그 쌍만 무시
+    try {
+      cookies[part.slice(0, eq).trim()] = decodeURIComponent(part.slice(eq + 1).trim());
+    } catch {}
+  }
+  return cookies;
+}
+
+// 감사 로그 등에 남길 URL — ?token= 값은 제거
+function redactToken(url) {
+  const parsed = new URL(url, 'http://localhost');
+  if (!parsed.searchParams.has('token')) return url;
+  parsed.searchParams.delete('token');
+  return parsed.pathname + parsed.search;
+}
+
+class Auth {
+  constructor(options = {}) {
+    this.apiTokens = options.apiTokens || [];   // [{ token, role, name }]
+    this.users = options.users || [];           // [{ username, password, role }]
+    this.corsOrigins = options.corsOrigins || [];
+    this.logins = new Map();                    // token -> { name, role, expiresAt }
+
+    for (const entry of [...this.apiTokens, ...this.users]) {
+      if (!ROLES[entry.role]) {
+        throw new Error(`Invalid role "${entry.role}" (expected: ${Object.keys(ROLES).join(', ')})`);
+      }
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    return new Auth({
+      apiTokens: parseList(env.DASHBOARD_API_TOKENS).map(([token, role = 'viewer'], i) => ({
+        token, role, name: `token-${i + 1}`
+      })),
+      users: parseList(env.DASHBOARD_USERS).map(([username, password, role = 'viewer']) => ({
+        username, password, role
+      })),
+      corsOrigins: parseList(env.DASHBOARD_CORS_ORIGINS).map(parts => parts.join(':'))
+    });
+  }
+
+  get enabled() {
+    return this.apiTokens.length > 0 || this.users.length > 0;
+  }
+
+  // 요청에서 토큰 추출: Authorization 헤더 > 쿠키 > ?token= (WebSocket용)
+  extractToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+
+    const cookies = parseCookies(req.headers.cookie);
+    if (cookies[COOKIE_NAME]) return cookies[COOKIE_NAME];
+
+    const query = new URL(req.url, 'http://localhost').searchParams.get('token');
+    return query || null;
+  }
+
+  // 인증된 사용자 { name, role } 또는 null. 인증이 꺼져 있으면 항상 operator.
+  authenticate(req) {
+    if (!this.enabled) return { name: 'local', role: 'operator' };
+
+    const token = this.extractToken(req);
+    if (!token) return null;
+
+    const apiToken = this.apiTokens.find(t => safeEqual(t.token, token));
+    if (apiToken) return { name: apiToken.name, role: apiToken.role };
+
+    const login = this.logins.get(token);
+    if (login && login.expiresAt > Date.now()) return { name: login.name, role: login.role };
+    if (login) this.logins.delete(token);
+    return null;
+  }
+
+  hasRole(user, role) {
+    return !!user && ROLES[user.role] >= ROLES[role];
+  }
+
+  login(username, password) {
+    const user = this.users.find(u => safeEqual(u.username, username || '') && safeEqual(u.password, password || ''));
+    if (!user) return null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    this.logins.set(token, { name: user.username, role: user.role, expiresAt: Date.now() + LOGIN_TTL });
+    return { token, name: user.username, role: user.role };
+  }
+
+  logout(req) {
+    const token = this.extractToken(req);
+    if (token) this.logins.delete(token);
+  }
+
+  sessionCookie(token) {
+    return `${COOKIE_NAME}=${encodeURIComponent(token)}; HttpOnly; SameSite=Strict; Path=/; Max-Age=${LOGIN_TTL / 1000}`;
+  }
+
+  clearCookie() {
+    return `${COOKIE_NAME}=; HttpOnly; SameSite=Strict; Path=/; Max-Age=0`;
+  }
+
+  // CORS: 허용 목록에 있는 Origin에만 응답 헤더 부여 (목록이 비면 same-origin만)
+  applyCors(req, res) {
+    const origin = req.headers.origin;
+    if (!origin || !this.corsOrigins.includes(origin)) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Vary', 'Origin');
+  }
+
+  // WebSocket 핸드셰이크의 Origin 검사 — same-origin 또는 허용 목록
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+    if (this.corsOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === req.headers.host;
+    } catch {
+      return false;
+    }
+  }
+}
+
+module.exports = { Auth, ROLES, redactToken };
@@ -0,0 +1,113 @@
+/**
+ * budget.js — 세션 예산 한도 검사
+ *
+ * POST /api/forge의 budget 옵션을 검증하고, 세션 사용량(usageSummary)과 경과 시간을
+ * 한도와 비교하여 새로 발생한 경고/초과 알림을 반환.
+ * 조치(컨테이너 일시정지·중지)는 server.js에서 수행.
+ */
+
+const WARN_RATIO = 0.8;
+
+// 세션 전체 한도 — summary.total 또는 경과 시간 기준
+const SESSION_LIMITS = {
+  maxTokens: (session, total) => total.totalTokens,
+  maxIterations: (session, total) => total.iterations,
+  maxCostUsd: (session, total) => total.costUsd,
+  maxMinutes: (session, total, now) => (now - session.createdAt) / 60000
+};
+
+// 에이전트별 한도 — summary.agents[id] 기준
+const AGENT_LIMITS = {
+  agentMaxTokens: (usage) => usage.inputTokens + usage.outputTokens + usage.cacheReadTokens + usage.cacheCreationTokens,
+  agentMaxIterations: (usage) => usage.iterations
+};
+
+const BUDGET_FIELDS = [...Object.keys(SESSION_LIMITS), ...Object.keys(AGENT_LIMITS)];
+
+// 요청 body의 budget을 정규화 — 잘못된 값이면 Error
+function normalizeBudget(input) {
+  if (input === undefined || input === null) return null;
+  if (typeof input !== 'object' || Array.isArray(input)) {
+    throw new Error('budget must be an object');
+  }
+
+  const budget = {};
+  for (const [key, value] of Object.entries(input)) {
+    if (!BUDGET_FIELDS.includes(key)) {
+      throw new Error(`Unknown budget field: ${key} (allowed: ${BUDGET_FIELDS.join(', ')})`);
+    }
+    if (value === null || value === '' || value === undefined) continue;
+    const num = Number(value);
+    if (!Number.isFinite(num) || num <= 0) {
+      throw new Error(`budget.${key} must be a positive number`);
+    }
+    budget[key] = num;
+  }
+  return Object.keys(budget).length > 0 ? budget : null;
+}
+
+function makeAlert(level, scope, metric, used, limit, agentId) {
+  const who = scope === 'agent' ? `Agent ${agentId}` : 'Session';
+  const pct = Math.round((used / limit) * 100);
+  return {
+    key: `${scope}:${agentId || ''}:${metric}:${level}`,
+    level,
+    scope,
+    agentId: agentId || null,
+    metric,
+    used: Math.round(used * 100) / 100,
+    limit,
+    message: level === 'exceeded'
+      ? `${who} exceeded budget ${metric} (${pct}% of ${limit})`
+      : `${who} reached ${pct}% of budget ${metric} (${limit})`
+  };
+}
+
+function check(alerts, metric, used, limit, scope, agentId) {
+  if (used >= limit) alerts.push(makeAlert('exceeded', scope, metric, used, limit, agentId));
+  else if (used >= limit * WARN_RATIO) alerts.push(makeAlert('warning', scope, metric, used, limit, agentId));
+}
+
+// 새로 발생한 알림만 반환하고 session.budgetAlerts에 기록 (같은 알림은 한 번만)
+function evaluateBudget(session, now = Date.now()) {
+  const budget = session.budget;
+  if (!budget) return [];
+
+  const { total, agents } = session.usageSummary();
+  const alerts = [];
+
+  for (const [metric, measure] of Object.entries(SESSION_LIMITS)) {
+    if (budget[metric]) check(alerts, metric, measure(session, total, now), budget[metric], 'session');
+  }
+  for (const [agentId, usage] of Object.entries(agents)) {
+    for (const [metric, measure] of Object.entries(AGENT_LIMITS)) {
+      if (budget[metric]) check(alerts, metric, measure(usage), budget[metric], 'agent', agentId);
+    }
+  }
+
+  const fresh = alerts.filter(alert => !session.budgetAlerts.includes(alert.key));
+  if (fresh.length > 0) {
+    session.budgetAlerts.push(...fresh.map(alert => alert.key));
+    session.touch();
+  }
+  return fresh;
+}
+
+// 지금 에이전트별 한도를 넘은 에이전트 → [{ agentId, metrics }] — 알림과 달리 매번 현재 사용량으로 판단
+// (resume·restart로 풀린 에이전트도 다시 일시정지하기 위해)
+function overBudgetAgents(session) {
+  const budget = session.budget;
+  if (!budget) return [];
+
+  const { agents } = session.usageSummary();
+  const over = [];
+  for (const [agentId, usage] of Object.entries(agents)) {
+    const metrics = Object.entries(AGENT_LIMITS)
+      .filter(([metric, measure]) => budget[metric] && measure(usage) >= budget[metric])
+      .map(([metric]) => metric);
+    if (metrics.length > 0) over.push({ agentId, metrics });
+  }
+  return over;
+}
+
+module.exports = { normalizeBudget, evaluateBudget, overBudgetAgents, BUDGET_FIELDS };
@@ -6,11 +6,21 @@
  */
 
 const Docker = require('dockerode');
+const crypto = require('crypto');
 const fs = require('fs');
 const os = require('os');
 const path = require('path');
+const { PassThrough } = require('stream');
+const { hooksDir } = require('./push-gate');
 
 const AGENT_IMAGE = 'tokamak-forge-agent';
+const CONTEXT_FILES = ['Dockerfile', 'agent-loop.sh'];
+const CONTEXT_HASH_LABEL = 'tokamak.context-hash';
+const INSTRUCTION_PATH = '/work/instruction.md';
+const SANDBOX_DIR = '/sandbox';
+const SANDBOX_LABEL = 'tokamak.sandbox';
+const SANDBOX_MEMORY = 2 * 1024 * 1024 * 1024;
+const SANDBOX_PIDS = 512;
 
 // macOS Docker Desktop uses a different socket path
 function findDockerSocket() {
@@ -36,6 +46,8 @@ class DockerManager {
     this.containers = new Map(); // agentId -> container
     this.logStreams = new Map(); // agentId -> stream
     this.projectRoot = options.projectRoot || path.resolve(__dirname, '..');
+    this.agentModel = options.agentModel || null; // agent-loop.sh의 claude --model (없으면 스크립트 기본값)
+    this.agentImage = options.agentImage || AGENT_IMAGE; // 다른 이미지(e2e 등)는 미리 빌드되어 있어야 함
   }
 
   // Check Docker daemon connectivity
@@ -48,22 +60,47 @@ class DockerManager {
     }
   }
 
-  // Build agent image from docker/Dockerfile (skip if already exists)
+  // Hash of the build context, stored as an image label to detect stale images
+  contextHash(dockerContext) {
+    const hash = crypto.createHash('sha256');
+    for (const file of CONTEXT_FILES) {
+      hash.update(fs.readFileSync(path.join(dockerContext, file)));
+    }
+    return hash.digest('hex').slice(0, 16);
+  }
+
+  // Build agent image from docker/Dockerfile (skip if up to date)
   async buildAgentImage() {
+    if (this.agentImage !== AGENT_IMAGE) {
+      try {
+        const image = await this.docker.getImage(this.agentImage).inspect();
+        console.log(`[DockerManager] Using prebuilt image ${this.agentImage}`);
+        return image;
+      } catch {
+        throw new Error(`Agent image ${this.agentImage} not found; build it before forging`);
+      }
+    }
+
+    const dockerContext = path.join(this.projectRoot, 'docker');
+    const hash = this.contextHash(dockerContext);
+
     try {
       const image = await this.docker.getImage(AGENT_IMAGE).inspect();
-      console.log(`[DockerManager] Image ${AGENT_IMAGE} already exists, skipping build`);
-      return image;
+      const labels = (image.Config && image.Config.Labels) || {};
+      if (labels[CONTEXT_HASH_LABEL] === hash) {
+        console.log(`[DockerManager] Image ${AGENT_IMAGE} already exists, skipping build`);
+        return image;
+      }
+      console.log(`[DockerManager] Image ${AGENT_IMAGE} is outdated, rebuilding`);
     } catch {
       // Image doesn't exist, build it
     }
 
     console.log(`[DockerManager] Building image ${AGENT_IMAGE}...`);
 
-    const dockerContext = path.join(this.projectRoot, 'docker');
     const stream = await this.docker.buildImage(
-      { context: dockerContext, src: ['Dockerfile', 'agent-loop.sh'] },
-      { t: AGENT_IMAGE }
+      { context: dockerContext, src: CONTEXT_FILES },
+      { t: AGENT_IMAGE, labels: { [CONTEXT_HASH_LABEL]: hash } }
     );
 
     return new Promise((resolve, reject) => {
@@ -81,40 +118,241 @@ class DockerManager {
 
   // Launch N agent containers
   async launchAgents(session) {
-    const { gameName, agentCount, repoPath } = session;
     const launched = [];
 
-    for (let i = 1; i <= agentCount; i++) {
-      const agentId = String(i);
-      const containerName = `tokamak-agent-${session.id}-${agentId}`;
+    for (let i = 1; i <= session.agentCount; i++) {
+      launched.push(await this.launchAgent(session, String(i)));
+    }
 
-      console.log(`[DockerManager] Creating container: ${containerName}`);
+    return launched;
+  }
+
+  // Launch a single agent container
+  async launchAgent(session, agentId) {
+    const { gameName, repoPath } = session;
+    const containerName = `tokamak-agent-${session.id}-${agentId}`;
 
-      const container = await this.docker.createContainer({
-        Image: AGENT_IMAGE,
-        name: containerName,
-        Env: [
-          `ANTHROPIC_API_KEY=${process.env.ANTHROPIC_API_KEY}`,
-          `ANTHROPIC_BASE_URL=${process.env.ANTHROPIC_BASE_URL || ''}`,
-          `AGENT_ID=${agentId}`,
-          `GAME_NAME=${gameName}`
+    console.log(`[DockerManager] Creating container: ${containerName}`);
+
+    const container = await this.docker.createContainer({
+      Image: this.agentImage,
+      name: containerName,
+      Env: [
+        `ANTHROPIC_API_KEY=${process.env.ANTHROPIC_API_KEY}`,
+        `ANTHROPIC_BASE_URL=${process.env.ANTHROPIC_BASE_URL || ''}`,
+        `AGENT_ID=${agentId}`,
+        `GAME_NAME=${gameName}`,
+        `AGENT_MODEL=${this.agentModel || ''}`
+      ],
+      HostConfig: {
+        // repo는 push를 위해 쓰기 가능, 테스트 게이트(core.hooksPath)를 지정하는 config와 훅 디렉토리는 읽기 전용.
+        // 훅 디렉토리는 config의 경로 그대로 보이도록 같은 경로에 마운트
+        Binds: [
+          `${repoPath}:/repo:rw`,
+          `${path.join(repoPath, 'config')}:/repo/config:ro`,
+          `${hooksDir(repoPath)}:${hooksDir(repoPath)}:ro`
         ],
-        HostConfig: {
-          Binds: [
-            `${repoPath}:/repo:rw`
-          ],
-          RestartPolicy: { Name: 'unless-stopped' }
-        }
+        // 호스트에서 실행 중인 서비스(로컬 LLM 프록시, e2e mock 서버) 접근용
+        ExtraHosts: ['host.docker.internal:host-gateway'],
+        RestartPolicy: { Name: 'unless-stopped' }
+      }
+    });
+
+    await container.start();
+    this.containers.set(agentId, container);
+
+    console.log(`[DockerManager] Agent ${agentId} started: ${container.id.slice(0, 12)}`);
+
+    return { agentId, containerId: container.id };
+  }
+
+  // 에이전트가 작성한 코드(커밋 테스트 등)를 일회용 컨테이너에서 실행.
+  // 네트워크 없음, capability 없음, 환경 변수는 비밀 없이 최소한만 — dir만 /sandbox에 마운트.
+  // 대시보드와 같은 uid로 실행해 dir에 남긴 파일을 대시보드가 읽고 지울 수 있게 함.
+  // options: { timeout (ms), onStart(kill) } → { exitCode, timedOut, output }
+  async runSandboxed(dir, command, options = {}) {
+    const container = await this.docker.createContainer({
+      Image: this.agentImage,
+      Entrypoint: command,
+      WorkingDir: SANDBOX_DIR,
+      User: `${process.getuid()}:${process.getgid()}`,
+      Env: ['HOME=/tmp', 'CI=1'],
+      Labels: { [SANDBOX_LABEL]: 'true' },
+      NetworkDisabled: true,
+      HostConfig: {
+        Binds: [`${dir}:${SANDBOX_DIR}:rw`],
+        NetworkMode: 'none',
+        CapDrop: ['ALL'],
+        SecurityOpt: ['no-new-privileges'],
+        Memory: SANDBOX_MEMORY,
+        PidsLimit: SANDBOX_PIDS
+      }
+    });
+
+    try {
+      let output = '';
+      const collect = new PassThrough();
+      collect.on('data', chunk => {
+        output = (output + chunk.toString('utf-8')).slice(-(options.outputLimit || 64 * 1024));
       });
+      const stream = await container.attach({ stream: true, stdout: true, stderr: true });
+      const ended = new Promise(resolve => stream.on('end', resolve));
+      container.modem.demuxStream(stream, collect, collect);
 
+      let timedOut = false;
+      const kill = () => container.kill().catch(() => {});
       await container.start();
+      if (options.onStart) options.onStart(kill);
+      const timer = options.timeout ? setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, options.timeout) : null;
+
+      try {
+        const result = await container.wait();
+        // 종료 후 남은 출력이 attach 스트림에서 마저 도착할 때까지 잠깐 대기
+        await Promise.race([ended, new Promise(resolve => setTimeout(resolve, 1000))]);
+        return { exitCode: result.StatusCode, timedOut, output };
+      } finally {
+        clearTimeout(timer);
+      }
+    } finally {
+      await container.remove({ force: true }).catch(() => {});
+    }
+  }
+
+  // Stop and remove a single agent container
+  async removeAgent(agentId) {
+    const container = this.containers.get(agentId);
+    if (!container) return false;
+
+    console.log(`[DockerManager] Stopping agent ${agentId}...`);
+    this.stopLogStream(agentId);
+
+    // A paused container must be unpaused before it can be stopped
+    await container.unpause().catch(() => {});
+
+    try {
+      await container.stop({ t: 5 });
+    } catch (err) {
+      console.error(`[DockerManager] Error stopping agent ${agentId}:`, err.message);
+    }
+    // Force remove even if stop fails
+    await container.remove({ force: true }).catch(() => {});
+    this.containers.delete(agentId);
+    return true;
+  }
+
+  async restartAgent(agentId) {
+    const container = this.containers.get(agentId);
+    if (!container) throw new Error(`Agent ${agentId} not found`);
+
+    console.log(`[DockerManager] Restarting agent ${agentId}...`);
+    this.stopLogStream(agentId);
+    await container.restart({ t: 5 });
+  }
+
+  // Write a one-off instruction into the agent workspace;
+  // agent-loop.sh passes it to Claude on the next iteration and then discards it
+  async injectInstruction(agentId, instruction) {
+    const container = this.containers.get(agentId);
+    if (!container) throw new Error(`Agent ${agentId} not found`);
+
+    const exec = await container.exec({
+      Cmd: ['sh', '-c', `printf '%s\\n' "$INSTRUCTION" > ${INSTRUCTION_PATH}`],
+      Env: [`INSTRUCTION=${instruction}`],
+      AttachStdout: true,
+      AttachStderr: true
+    });
+
+    const stream = await exec.start({});
+    await new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+      stream.resume();
+    });
+
+    const info = await exec.inspect();
+    if (info.ExitCode !== 0) {
+      throw new Error(`Failed to write instruction for agent ${agentId} (exit code ${info.ExitCode})`);
+    }
+    console.log(`[DockerManager] Instruction written for agent ${agentId}`);
+  }
+
+  async pauseAgent(agentId) {
+    const container = this.containers.get(agentId);
+    if (!container) throw new Error(`Agent ${agentId} not found`);
+    await container.pause();
+    console.log(`[DockerManager] Agent ${agentId} paused`);
+  }
+
+  async unpauseAgent(agentId) {
+    const container = this.containers.get(agentId);
+    if (!container) throw new Error(`Agent ${agentId} not found`);
+    await container.unpause();
+    console.log(`[DockerManager] Agent ${agentId} resumed`);
+  }
+
+  // Pause all agent containers (processes are frozen, not killed)
+  async pauseAll() {
+    await this.forEachContainer('pause', container => container.pause());
+    console.log('[DockerManager] All containers paused');
+  }
+
+  async isPaused(agentId) {
+    const container = this.containers.get(agentId);
+    if (!container) throw new Error(`Agent ${agentId} not found`);
+    const info = await container.inspect();
+    return info.State.Paused;
+  }
+
+  // except: 계속 멈춰 둘 에이전트 (예산 초과)
+  async unpauseAll(except = []) {
+    await this.forEachContainer('unpause', container => container.unpause(), except);
+    console.log(`[DockerManager] All containers resumed${except.length > 0 ? ` (kept paused: ${except.join(', ')})` : ''}`);
+  }
+
+  async forEachContainer(label, fn, except = []) {
+    const promises = [];
+    for (const [agentId, container] of this.containers) {
+      if (except.includes(agentId)) continue;
+      promises.push(
+        fn(container).catch(err => {
+          console.error(`[DockerManager] Error on ${label} agent ${agentId}:`, err.message);
+        })
+      );
+    }
+    await Promise.all(promises);
+  }
+
+  agentIds() {
+    return Array.from(this.containers.keys()).sort((a, b) => Number(a) - Number(b));
+  }
+
+  // Reattach to containers of a session launched before a dashboard restart
+  async attach(session) {
+    const prefix = `tokamak-agent-${session.id}-`;
+    const list = await this.docker.listContainers({ all: true, filters: { name: [prefix] } });
+    const attached = [];
+
+    for (const info of list) {
+      const name = (info.Names[0] || '').replace(/^\//, '');
+      if (!name.startsWith(prefix)) continue;
+
+      const agentId = name.slice(prefix.length);
+      const container = this.docker.getContainer(info.Id);
+      // 종료된(exited/dead) 컨테이너도 연결은 해 둠 — 재시작하거나 세션 중지 시 제거할 수 있도록
+      let running = false;
+      try {
+        running = (await container.inspect()).State.Running; // paused도 Running
+      } catch {}
       this.containers.set(agentId, container);
-      launched.push({ agentId, containerId: container.id });
+      attached.push({ agentId, containerId: info.Id, state: info.State, running });
 
-      console.log(`[DockerManager] Agent ${agentId} started: ${container.id.slice(0, 12)}`);
+      console.log(`[DockerManager] Reattached agent ${agentId}: ${info.Id.slice(0, 12)} (${info.State})`);
     }
 
-    return launched;
+    return attached.sort((a, b) => Number(a.agentId) - Number(b.agentId));
   }
 
   // Stream logs from a container
@@ -153,6 +391,12 @@ class DockerManager {
     stream.on('end', () => {
       this.logStreams.delete(agentId);
     });
+
+    // 스트리밍 중에 컨테이너가 제거되면 error — 처리하지 않으면 프로세스가 종료됨
+    stream.on('error', (err) => {
+      console.warn(`[DockerManager] Log stream for agent ${agentId} failed: ${err.message}`);
+      this.logStreams.delete(agentId);
+    });
   }
 
   stopLogStream(agentId) {
@@ -165,24 +409,7 @@ class DockerManager {
 
   // Stop and remove all containers for a session
   async stopAll() {
-    const promises = [];
-
-    for (const [agentId, container] of this.containers) {
-      console.log(`[DockerManager] Stopping agent ${agentId}...`);
-      this.stopLogStream(agentId);
-
-      promises.push(
-        container.stop({ t: 5 })
-          .then(() => container.remove({ force: true }))
-          .catch(err => {
-            console.error(`[DockerManager] Error stopping agent ${agentId}:`, err.message);
-            // Try force remove even if stop fails
-            return container.remove({ force: true }).catch(() => {});
-          })
-      );
-    }
-
-    await Promise.all(promises);
+    await Promise.all(this.agentIds().map(agentId => this.removeAgent(agentId)));
     this.containers.clear();
     this.logStreams.clear();
     console.log('[DockerManager] All containers stopped');
@@ -3,14 +3,57 @@
  *
  * forge.sh의 7단계를 async 함수로 변환.
  * 각 단계마다 onProgress 콜백으로 WebSocket에 진행 상태 브로드캐스트.
+ *
+ * 모드:
+ *   new      — 기존 repo/work dir을 지우고 새로 scaffold (기본값)
+ *   continue — 기존 bare repo를 그대로 clone, 빠진 scaffold 파일만 보충하고
+ *              requirements가 있으면 SPEC.md에 추가한 뒤 에이전트 재시작
+ *   import   — 로컬 git repo 또는 games/<name> 폴더로 bare repo를 새로 채움
  */
 
 const fs = require('fs');
 const path = require('path');
-const { execSync, spawn } = require('child_process');
+const { execFileSync } = require('child_process');
+const { LLMClient } = require('./llm');
+const { readSpecFile, SPEC_MANIFEST } = require('./spec-parser');
+const { writeSpecTests } = require('./spec-tests');
+const { GenreRegistry } = require('./genres');
+const { RepoStore } = require('./repo-store');
+const { installPushGate, gatedPush } = require('./push-gate');
+const { runTestsLocally } = require('./test-runner');
+const SPEC_TIMEOUT = 5 * 60 * 1000; // 스트리밍 SPEC 생성은 수 분 걸릴 수 있음
+const INITIAL_TEST_TIMEOUT = 120000; // 새 scaffold의 초기 테스트 제한 시간
+
+const FORGE_MODES = ['new', 'continue', 'import'];
+const GAMES_SOURCE = /^games\/([\w-]+)\/?$/;
+
+// import 소스 해석: "games/<name>" → 프로젝트의 게임 폴더, 그 외 → 로컬 git repo 경로 (bare, bundle 포함)
+function resolveImportSource(source, projectRoot = path.resolve(__dirname, '..')) {
+  const text = String(source || '').trim();
+  if (!text) throw new Error('source is required for import mode');
+
+  const game = text.match(GAMES_SOURCE);
+  if (game) {
+    const dir = path.join(projectRoot, 'games', game[1]);
+    if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      throw new Error(`Game folder not found: games/${game[1]}`);
+    }
+    return { type: 'folder', path: dir, label: `games/${game[1]}` };
+  }
 
-const REPO_BASE = '/tmp/tokamak-forge-repos';
-const WORK_BASE = '/tmp/tokamak-forge-work';
+  if (!path.isAbsolute(text)) {
+    throw new Error(`source must be games/<name> or an absolute path to a git repo: ${text}`);
+  }
+  if (!fs.existsSync(text)) throw new Error(`Source repo not found: ${text}`);
+  // 운영자가 입력한 경로이므로 셸 문자열 대신 인자 배열로 전달
+  try {
+    const args = fs.statSync(text).isFile() ? ['bundle', 'list-heads', text] : ['-C', text, 'rev-parse', '--git-dir'];
+    execFileSync('git', args, { stdio: 'ignore', timeout: 10000 });
+  } catch {
+    throw new Error(`Not a git repository: ${text}`);
+  }
+  return { type: 'git', path: text, label: text };
+}
 
 class ForgeProcess {
   constructor(gameName, agentCount, options = {}) {
@@ -19,9 +62,26 @@ class ForgeProcess {
     this.projectRoot = options.projectRoot || path.resolve(__dirname, '..');
     this.gameDescription = options.gameDescription || '';
     this.dockerManager = options.dockerManager || null;
+    this.llm = options.llm || LLMClient.fromEnv();
     this.onProgress = options.onProgress || (() => {});
-    this.repoPath = path.join(REPO_BASE, `${gameName}.git`);
-    this.workDir = path.join(WORK_BASE, gameName);
+    this.isCancelled = options.isCancelled || (() => false); // 대시보드에서 세션을 중지하면 true
+    // 장르 템플릿: 지정하지 않았거나 모르는 id면 이름/설명 키워드로 분류
+    this.genres = options.genres || new GenreRegistry(this.projectRoot);
+    this.genre = this.genres.has(options.genre)
+      ? options.genre
+      : this.genres.classify(`${gameName} ${this.gameDescription}`);
+    // SPEC 검토 게이트: 생성된 SPEC.md를 넘기고 { action: 'approve', content? } 또는
+    // { action: 'regenerate', feedback }으로 resolve되는 Promise를 반환. 없으면 바로 진행.
+    this.onSpecReview = options.onSpecReview || null;
+    this.mode = options.mode || 'new';
+    if (!FORGE_MODES.includes(this.mode)) throw new Error(`Unknown forge mode: ${this.mode}`);
+    this.source = this.mode === 'import' ? resolveImportSource(options.source, this.projectRoot) : null;
+    this.requirements = (options.requirements || '').trim(); // continue/import: SPEC.md에 추가할 요구사항
+    // 세션 id가 있으면 세션별 하위 디렉토리, 없으면 (CLI 등) 게임 이름 경로
+    this.repoStore = options.repoStore || RepoStore.fromEnv();
+    this.sessionId = options.sessionId || null;
+    this.repoPath = this.repoStore.repoPath(gameName, this.sessionId);
+    this.workDir = this.repoStore.workDir(gameName, this.sessionId);
     this.projectDir = path.join(this.workDir, 'project');
   }
 
@@ -30,25 +90,46 @@ class ForgeProcess {
     this.onProgress({ type: 'log', message });
   }
 
+  // 단계마다 취소 여부 확인 — 중지된 세션은 다음 단계(SPEC 생성, push 등)로 넘어가지 않음
+  step(step, message) {
+    if (this.isCancelled()) throw new Error('Forge cancelled');
+    this.onProgress({ type: 'step', step, message });
+  }
+
   async run() {
     try {
-      this.onProgress({ type: 'step', step: 0, message: 'Checking prerequisites' });
+      this.step(0, 'Checking prerequisites');
       await this.validatePrereqs();
 
-      this.onProgress({ type: 'step', step: 1, message: 'Creating bare repository' });
-      this.createBareRepo();
+      if (this.mode === 'continue') {
+        this.step(1, 'Reusing bare repository');
+        await this.openBareRepo();
+      } else if (this.mode === 'import') {
+        this.step(1, `Importing ${this.source.label}`);
+        this.importRepo();
+      } else {
+        this.step(1, 'Creating bare repository');
+        this.createBareRepo();
+      }
 
-      this.onProgress({ type: 'step', step: 2, message: 'Scaffolding project' });
+      this.step(2, 'Scaffolding project');
       this.scaffoldProject();
 
-      this.onProgress({ type: 'step', step: 3, message: 'Generating SPEC.md' });
-      await this.generateSpec();
+      this.step(3, 'Generating SPEC.md');
+      if (this.mode === 'new' || !fs.existsSync(path.join(this.projectDir, 'SPEC.md'))) {
+        await this.generateSpec();
+      } else {
+        this.log('Keeping existing SPEC.md');
+      }
+      if (this.requirements) this.appendRequirements();
+      if (this.onSpecReview) await this.reviewSpec();
+      this.writeSpecManifest();
 
-      this.onProgress({ type: 'step', step: 4, message: 'Setting up tests' });
+      this.step(4, 'Setting up tests');
       this.setupTests();
 
-      this.onProgress({ type: 'step', step: 5, message: 'Initial commit & push' });
-      this.initialCommit();
+      this.step(5, 'Initial commit & push');
+      await this.initialCommit();
 
       this.onProgress({ type: 'complete', repoPath: this.repoPath, workDir: this.projectDir });
 
@@ -74,11 +155,12 @@ class ForgeProcess {
     if (process.env.ANTHROPIC_BASE_URL) {
       this.log(`  ANTHROPIC_BASE_URL: ${process.env.ANTHROPIC_BASE_URL}`);
     }
+    this.log(`  LLM provider: ${this.llm.providerName} (validation: ${this.llm.model('validation')}, spec: ${this.llm.model('spec')}, agents: ${this.llm.model('agent')})`);
 
     for (const cmd of ['git', 'docker']) {
       this.log(`Checking ${cmd}...`);
       try {
-        const ver = execSync(`${cmd} --version`, { encoding: 'utf-8', timeout: 5000 }).trim().split('\n')[0];
+        const ver = execFileSync(cmd, ['--version'], { encoding: 'utf-8', timeout: 5000 }).trim().split('\n')[0];
         this.log(`  ${cmd}: ${ver}`);
       } catch {
         throw new Error(`'${cmd}' is required but not installed`);
@@ -107,17 +189,72 @@ class ForgeProcess {
       this.log('Old repository removed');
     }
 
-    this.log(`Creating directory: ${REPO_BASE}`);
-    fs.mkdirSync(REPO_BASE, { recursive: true });
+    this.log(`Creating directory: ${path.dirname(this.repoPath)}`);
+    fs.mkdirSync(path.dirname(this.repoPath), { recursive: true });
 
     this.log(`Running: git init --bare ${this.repoPath}`);
-    execSync(`git init --bare "${this.repoPath}"`, { stdio: 'ignore' });
+    execFileSync('git', ['init', '--bare', this.repoPath], { stdio: 'ignore' });
     this.log(`Bare repo created: ${this.repoPath}`);
+    this.installPushGate();
   }
 
-  // Step 3: Scaffold project
-  scaffoldProject() {
-    // Clean and create work directory
+  // main으로 들어오는 push마다 테스트를 돌려 실패하면 거부 (templates/hooks/pre-receive)
+  installPushGate() {
+    installPushGate(this.repoPath, this.projectRoot);
+    this.log('Installed pre-receive test gate (pushes that break tests on main are rejected)');
+  }
+
+  // Step 2 (continue): 같은 게임의 가장 최근 repo(또는 보관된 bundle)를 이 세션으로 옮김
+  // — main 브랜치가 없으면 이어갈 수 없음
+  async openBareRepo() {
+    if (!fs.existsSync(this.repoPath)) {
+      const previous = await this.repoStore.latest(this.gameName);
+      if (!previous) {
+        throw new Error(`No existing repo for ${this.gameName} in ${this.repoStore.repoBase} — start a new forge instead`);
+      }
+      this.log(previous.type === 'archive'
+        ? `Restoring archived bundle ${previous.path} to ${this.repoPath}`
+        : `Moving repo ${previous.repoPath} to ${this.repoPath}`);
+      await this.repoStore.adopt(previous, this.repoPath);
+    }
+    let count;
+    try {
+      count = execFileSync('git', ['--git-dir', this.repoPath, 'rev-list', '--count', 'main'], {
+        encoding: 'utf-8',
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).trim();
+    } catch {
+      throw new Error(`${this.repoPath} has no main branch to continue from`);
+    }
+    this.log(`Reusing bare repo: ${this.repoPath} (${count} commits on main)`);
+    this.installPushGate();
+  }
+
+  // Step 2 (import): 소스로 bare repo를 새로 생성 — git repo는 clone --bare, 게임 폴더는 빈 repo
+  // (폴더 내용은 scaffoldProject에서 src/로 복사)
+  importRepo() {
+    if (fs.existsSync(this.repoPath)) {
+      this.log(`Removing existing repo at ${this.repoPath}`);
+      fs.rmSync(this.repoPath, { recursive: true, force: true });
+    }
+    fs.mkdirSync(path.dirname(this.repoPath), { recursive: true });
+
+    if (this.source.type === 'git') {
+      this.log(`Running: git clone --bare ${this.source.path} ${this.repoPath}`);
+      execFileSync('git', ['clone', '--bare', this.source.path, this.repoPath], { stdio: 'ignore' });
+      const branches = execFileSync('git', ['--git-dir', this.repoPath, 'branch', '--format=%(refname:short)'], { encoding: 'utf-8' })
+        .trim().split('\n').filter(Boolean);
+      this.log(`Imported branches: ${branches.join(', ') || 'none'}`);
+    } else {
+      this.log(`Running: git init --bare ${this.repoPath}`);
+      execFileSync('git', ['init', '--bare', this.repoPath], { stdio: 'ignore' });
+    }
+    this.log(`Bare repo created from ${this.source.label}`);
+    this.installPushGate();
+  }
+
+  // Clean work dir and clone the bare repo (main이 있으면 main 체크아웃)
+  cloneProject() {
     if (fs.existsSync(this.workDir)) {
       this.log(`Cleaning existing work dir: ${this.workDir}`);
       fs.rmSync(this.workDir, { recursive: true, force: true });
@@ -127,12 +264,42 @@ class ForgeProcess {
 
     // Clone bare repo
     this.log(`Cloning bare repo to ${this.projectDir}`);
-    execSync(`git clone "${this.repoPath}" "${this.projectDir}"`, { stdio: 'ignore' });
+    execFileSync('git', ['clone', this.repoPath, this.projectDir], { stdio: 'ignore' });
 
     // Configure git
     this.log('Configuring git user: tokamak-forge <forge@tokamak>');
-    execSync(`git -C "${this.projectDir}" config user.name "tokamak-forge"`);
-    execSync(`git -C "${this.projectDir}" config user.email "forge@tokamak"`);
+    execFileSync('git', ['-C', this.projectDir, 'config', 'user.name', 'tokamak-forge']);
+    execFileSync('git', ['-C', this.projectDir, 'config', 'user.email', 'forge@tokamak']);
+
+    try {
+      execFileSync('git', ['-C', this.projectDir, 'rev-parse', '--verify', '-q', 'origin/main'], { stdio: 'ignore' });
+      execFileSync('git', ['-C', this.projectDir, 'checkout', '-q', '-B', 'main', 'origin/main'], { stdio: 'ignore' });
+    } catch {}
+  }
+
+  // 기존 repo(continue/import)에서는 이미 있는 파일을 덮어쓰지 않음
+  writeScaffoldFile(relPath, content) {
+    const target = path.join(this.projectDir, relPath);
+    if (this.mode !== 'new' && fs.existsSync(target)) {
+      this.log(`Keeping existing ${relPath}`);
+      return false;
+    }
+    fs.writeFileSync(target, content);
+    return true;
+  }
+
+  // 게임 폴더 import: games/<name>/*를 src/로 복사
+  copyImportFolder() {
+    const srcDir = path.join(this.projectDir, 'src');
+    fs.mkdirSync(srcDir, { recursive: true });
+    fs.cpSync(this.source.path, srcDir, { recursive: true });
+    this.log(`Copied ${this.countFiles(srcDir)} files from ${this.source.label} to src/`);
+  }
+
+  // Step 3: Scaffold project
+  scaffoldProject() {
+    this.cloneProject();
+    if (this.source && this.source.type === 'folder') this.copyImportFolder();
 
     // Create directory structure
     const dirs = ['src', 'tests', 'current_tasks', 'completed_tasks', 'logs'];
@@ -143,36 +310,32 @@ class ForgeProcess {
 
     // Create .gitkeep files
     for (const dir of ['current_tasks', 'completed_tasks', 'logs']) {
-      fs.writeFileSync(path.join(this.projectDir, dir, '.gitkeep'), '');
+      const gitkeep = path.join(this.projectDir, dir, '.gitkeep');
+      if (!fs.existsSync(gitkeep)) fs.writeFileSync(gitkeep, '');
     }
 
     // .gitignore
     this.log('Writing .gitignore');
-    fs.writeFileSync(path.join(this.projectDir, '.gitignore'),
-      'logs/*.log\nnode_modules/\n.DS_Store\n*.swp\n'
-    );
+    this.writeScaffoldFile('.gitignore', 'logs/*.log\nnode_modules/\n.DS_Store\n*.swp\n');
 
     // CLAUDE.md from template
     this.log('Generating CLAUDE.md from template ({{GAME_NAME}} → ' + this.gameName + ')');
     const claudeTemplate = fs.readFileSync(
       path.join(this.projectRoot, 'templates', 'CLAUDE.md.template'), 'utf-8'
     );
-    fs.writeFileSync(
-      path.join(this.projectDir, 'CLAUDE.md'),
-      claudeTemplate.replace(/\{\{GAME_NAME\}\}/g, this.gameName)
+    const genreSection = this.genres.claudeSection(this.genre);
+    if (genreSection) this.log(`Appending ${this.genre} genre guide to CLAUDE.md`);
+    this.writeScaffoldFile('CLAUDE.md',
+      claudeTemplate.replace(/\{\{GAME_NAME\}\}/g, this.gameName) +
+        (genreSection ? `\n---\n\n${genreSection}` : '')
     );
 
     // Copy test utilities
-    this.log('Copying tests/base-test.js');
-    fs.copyFileSync(
-      path.join(this.projectRoot, 'templates', 'tests', 'base-test.js'),
-      path.join(this.projectDir, 'tests', 'base-test.js')
-    );
-    this.log('Copying tests/run-tests.sh');
-    fs.copyFileSync(
-      path.join(this.projectRoot, 'templates', 'tests', 'run-tests.sh'),
-      path.join(this.projectDir, 'tests', 'run-tests.sh')
-    );
+    for (const file of ['base-test.js', 'run-tests.sh']) {
+      this.log(`Copying tests/${file}`);
+      const template = fs.readFileSync(path.join(this.projectRoot, 'templates', 'tests', file), 'utf-8');
+      this.writeScaffoldFile(path.join('tests', file), template);
+    }
     fs.chmodSync(path.join(this.projectDir, 'tests', 'run-tests.sh'), '755');
 
     // Generate index.html from template
@@ -180,24 +343,27 @@ class ForgeProcess {
     const indexTemplate = fs.readFileSync(
       path.join(this.projectRoot, 'templates', 'src', 'index.html'), 'utf-8'
     );
-    fs.writeFileSync(
-      path.join(this.projectDir, 'src', 'index.html'),
+    this.writeScaffoldFile(path.join('src', 'index.html'),
       indexTemplate.replace(/\{\{GAME_NAME\}\}/g, this.gameName)
     );
 
-    // Create src stubs
-    this.log('Writing src/game.js (stub: createGame, updateGame, isGameOver)');
-    this.writeGameStub();
-    this.log('Writing src/renderer.js (stub: createRenderer, render)');
-    this.writeRendererStub();
-    this.log('Writing src/input.js (stub: setupInput)');
-    this.writeInputStub();
+    // 기존 코드가 있는 repo에는 장르 스텁을 넣지 않음
+    if (this.mode !== 'new') {
+      this.log(`Scaffold complete: ${this.countFiles(this.projectDir)} files in project`);
+      return;
+    }
 
-    // Create test files
-    this.log('Writing tests/structure.test.js (12 assertions)');
-    this.writeStructureTest();
-    this.log('Writing tests/game-logic.test.js (7 assertions)');
-    this.writeGameLogicTest();
+    // Genre stubs & tests (templates/genres/<genre>/)
+    const genre = this.genres.get(this.genre);
+    this.log(`Genre: ${genre ? `${genre.name} (${genre.id})` : 'none'}`);
+    for (const file of this.genres.files(this.genre)) {
+      this.log(`Writing ${file.target} (${this.genre} template)`);
+      const content = fs.readFileSync(file.source, 'utf-8');
+      fs.writeFileSync(
+        path.join(this.projectDir, file.target),
+        content.replace(/\{\{GAME_NAME\}\}/g, this.gameName)
+      );
+    }
 
     // Summary
     const fileCount = this.countFiles(this.projectDir);
@@ -220,138 +386,10 @@ class ForgeProcess {
     return count;
   }
 
-  writeGameStub() {
-    fs.writeFileSync(path.join(this.projectDir, 'src', 'game.js'), `/**
- * game.js — Game logic module
- *
- * Exports: createGame(), updateGame(state, action), isGameOver(state)
- */
-
-// Game state factory
-function createGame() {
-  return {
-    score: 0,
-    level: 1,
-    gameOver: false,
-    initialized: true
-  };
-}
-
-// State update handler
-function updateGame(state, action) {
-  if (!state || state.gameOver) return state;
-
-  if (action && action.type === 'tick') {
-    // Game tick logic - to be implemented
-  }
-
-  return state;
-}
-
-// Game over check
-function isGameOver(state) {
-  return state ? state.gameOver : false;
-}
-
-// Node.js exports for testing
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createGame, updateGame, isGameOver };
-}
-`);
-  }
-
-  writeRendererStub() {
-    fs.writeFileSync(path.join(this.projectDir, 'src', 'renderer.js'), `/**
- * renderer.js — Canvas rendering module
- *
- * Exports: createRenderer(canvas), render(renderer, state)
- */
-
-function createRenderer(canvas) {
-  const ctx = canvas.getContext('2d');
-  return {
-    ctx: ctx,
-    width: canvas.width,
-    height: canvas.height
-  };
-}
-
-function render(renderer, state) {
-  if (!renderer || !renderer.ctx) return;
-
-  const ctx = renderer.ctx;
-  const w = renderer.width;
-  const h = renderer.height;
-
-  // Clear canvas
-  ctx.fillStyle = '#0a0a1a';
-  ctx.fillRect(0, 0, w, h);
-
-  // Placeholder text
-  ctx.fillStyle = '#00d4ff';
-  ctx.font = '16px Courier New';
-  ctx.textAlign = 'center';
-  ctx.fillText('Game initializing...', w / 2, h / 2);
-
-  if (state && state.score !== undefined) {
-    ctx.fillText('Score: ' + state.score, w / 2, h / 2 + 30);
-  }
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createRenderer, render };
-}
-`);
-  }
-
-  writeInputStub() {
-    fs.writeFileSync(path.join(this.projectDir, 'src', 'input.js'), `/**
- * input.js — Input handling module
- *
- * Exports: setupInput(callback)
- */
-
-function setupInput(callback) {
-  if (typeof document === 'undefined') return;
-
-  document.addEventListener('keydown', function(e) {
-    var action = null;
-
-    switch (e.key) {
-      case 'ArrowLeft':  action = { type: 'move', direction: 'left' }; break;
-      case 'ArrowRight': action = { type: 'move', direction: 'right' }; break;
-      case 'ArrowDown':  action = { type: 'move', direction: 'down' }; break;
-      case 'ArrowUp':    action = { type: 'rotate' }; break;
-      case ' ':          action = { type: 'drop' }; break;
-      case 'r': case 'R': action = { type: 'restart' }; break;
-      case 'p': case 'P': action = { type: 'pause' }; break;
-    }
-
-    if (action && callback) {
-      e.preventDefault();
-      callback(action);
-    }
-  });
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { setupInput };
-}
-`);
-  }
-
-  writeStructureTest() {
-    fs.writeFileSync(path.join(this.projectDir, 'tests', 'structure.test.js'), `const { assert, describe, it, summary } = require('./base-test');
-const fs = require('fs');
-const path = require('path');
-
-const srcDir = path.join(__dirname, '..', 'src');
-
-describe('Project Structure', function() {
-  it('should have index.html', function() {
-    assert.ok(fs.existsSync(path.join(srcDir, 'index.html')), 'index.html missing');
-  });
-
+  // stubModules: 스텁 모듈(game/renderer/input)의 파일과 export까지 검사 — SPEC에서 모듈을
+  // 찾지 못했을 때만 사용. SPEC 모듈은 spec-<id>.test.js가 대신 검사.
+  writeStructureTest(stubModules = true) {
+    const stubFileTests = stubModules ? `
   it('should have game.js', function() {
     assert.ok(fs.existsSync(path.join(srcDir, 'game.js')), 'game.js missing');
   });
@@ -363,16 +401,8 @@ describe('Project Structure', function() {
   it('should have input.js', function() {
     assert.ok(fs.existsSync(path.join(srcDir, 'input.js')), 'input.js missing');
   });
-
-  it('should have CLAUDE.md', function() {
-    assert.ok(fs.existsSync(path.join(__dirname, '..', 'CLAUDE.md')), 'CLAUDE.md missing');
-  });
-
-  it('should have SPEC.md', function() {
-    assert.ok(fs.existsSync(path.join(__dirname, '..', 'SPEC.md')), 'SPEC.md missing');
-  });
-});
-
+` : '';
+    const stubExportTests = stubModules ? `
 describe('Module Exports', function() {
   it('game.js should export createGame', function() {
     const game = require('../src/game');
@@ -404,81 +434,53 @@ describe('Module Exports', function() {
     assert.strictEqual(typeof input.setupInput, 'function');
   });
 });
+` : '';
 
-process.exit(summary());
-`);
-  }
-
-  writeGameLogicTest() {
-    fs.writeFileSync(path.join(this.projectDir, 'tests', 'game-logic.test.js'), `const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
-
-describe('Game Logic', function() {
-  it('createGame should return valid initial state', function() {
-    const { createGame } = require('../src/game');
-    const state = createGame();
-    assert.ok(state, 'state should not be null');
-    assert.strictEqual(typeof state.score, 'number');
-    assert.strictEqual(state.gameOver, false);
-    assert.strictEqual(state.initialized, true);
-  });
-
-  it('updateGame should handle tick action', function() {
-    const { createGame, updateGame } = require('../src/game');
-    const state = createGame();
-    const newState = updateGame(state, { type: 'tick', delta: 16 });
-    assert.ok(newState, 'updateGame should return state');
-  });
-
-  it('updateGame should not update when game is over', function() {
-    const { updateGame } = require('../src/game');
-    const state = { score: 100, gameOver: true };
-    const result = updateGame(state, { type: 'tick', delta: 16 });
-    assert.strictEqual(result.score, 100);
-  });
+    fs.writeFileSync(path.join(this.projectDir, 'tests', 'structure.test.js'), `const { assert, describe, it, summary } = require('./base-test');
+const fs = require('fs');
+const path = require('path');
 
-  it('isGameOver should return false for new game', function() {
-    const { createGame, isGameOver } = require('../src/game');
-    const state = createGame();
-    assert.strictEqual(isGameOver(state), false);
-  });
+const srcDir = path.join(__dirname, '..', 'src');
 
-  it('isGameOver should handle null state', function() {
-    const { isGameOver } = require('../src/game');
-    assert.strictEqual(isGameOver(null), false);
+describe('Project Structure', function() {
+  it('should have index.html', function() {
+    assert.ok(fs.existsSync(path.join(srcDir, 'index.html')), 'index.html missing');
   });
-});
-
-describe('Renderer', function() {
-  it('createRenderer should accept canvas mock', function() {
-    const { createRenderer } = require('../src/renderer');
-    const { canvas } = createCanvasMock();
-    const renderer = createRenderer(canvas);
-    assert.ok(renderer, 'renderer should not be null');
-    assert.ok(renderer.ctx, 'renderer should have ctx');
+${stubFileTests}
+  it('should have CLAUDE.md', function() {
+    assert.ok(fs.existsSync(path.join(__dirname, '..', 'CLAUDE.md')), 'CLAUDE.md missing');
   });
 
-  it('render should not throw with valid state', function() {
-    const { createRenderer, render } = require('../src/renderer');
-    const { createGame } = require('../src/game');
-    const { canvas } = createCanvasMock();
-    const renderer = createRenderer(canvas);
-    const state = createGame();
-    assert.doesNotThrow(() => render(renderer, state));
+  it('should have SPEC.md', function() {
+    assert.ok(fs.existsSync(path.join(__dirname, '..', 'SPEC.md')), 'SPEC.md missing');
   });
 });
-
+${stubExportTests}
 process.exit(summary());
 `);
   }
 
-  // Step 4: Generate SPEC.md with Claude CLI
-  async generateSpec() {
+  // Step 4: Generate SPEC.md with the configured LLM provider
+  // revision이 있으면 이전 SPEC과 운영자 피드백을 함께 보내 수정본을 생성
+  async generateSpec(revision = null) {
     const descriptionClause = this.gameDescription
       ? `\n\nThe user described this game as: "${this.gameDescription}"\nUse this description to understand what the game should be.\n`
       : '';
+    const genre = this.genres.get(this.genre);
+    const genreClause = genre && genre.specHint
+      ? `\nGenre template: ${genre.name}. ${genre.specHint}\n`
+      : '';
+    // import한 repo에 SPEC.md가 없으면 이미 있는 코드를 기준으로 작성
+    const sourceFiles = this.mode === 'new' ? [] : this.listSourceFiles();
+    const existingClause = sourceFiles.length > 0
+      ? `\nThe project already contains this code in src/: ${sourceFiles.join(', ')}. Describe the game it implements and plan the remaining work around these modules.\n`
+      : '';
+    const revisionClause = revision
+      ? `\n\nA previous draft of the SPEC.md is below. Revise it according to the reviewer's feedback and keep everything the feedback does not mention.\n\nReviewer feedback:\n${revision.feedback}\n\nPrevious draft:\n${revision.previous}\n`
+      : '';
 
     const specPrompt = `You are a game design expert. Generate a detailed SPEC.md for a '${this.gameName}' game.
-${descriptionClause}
+${descriptionClause}${genreClause}${existingClause}${revisionClause}
 The game must be implemented in pure HTML5 Canvas + vanilla JavaScript (no libraries).
 
 Format the document exactly like this:
@@ -518,58 +520,34 @@ Keep it detailed enough that multiple developers can work on different modules i
 Respond with ONLY the markdown content, no code fences.`;
 
     let specGenerated = false;
+    const model = this.llm.model('spec');
 
     try {
-      // Check if claude CLI is available
-      execSync('which claude', { stdio: 'ignore' });
-
-      this.log('Claude CLI found, generating SPEC.md...');
-      this.log(`Model: claude-opus-4-6`);
+      this.log(`Generating SPEC.md via ${this.llm.providerName} provider...`);
+      this.log(`Model: ${model}`);
       this.log(`Prompt: generating ${this.gameName} game specification...`);
 
-      const specContent = await new Promise((resolve, reject) => {
-        let output = '';
-        let errorOutput = '';
-
-        const proc = spawn('claude', [
-          '--model', 'claude-opus-4-6',
-          '--print',
-          '-p', specPrompt
-        ], {
-          env: { ...process.env },
-          stdio: ['ignore', 'pipe', 'pipe']
-        });
-
-        proc.stdout.on('data', (data) => {
-          const chunk = data.toString();
-          output += chunk;
-          this.onProgress({ type: 'spec-stream', chunk });
-        });
-
-        proc.stderr.on('data', (data) => {
-          errorOutput += data.toString();
-        });
-
-        proc.on('close', (code) => {
-          if (code === 0 && output.trim()) {
-            resolve(output.trim());
-          } else {
-            reject(new Error(`Claude CLI exited with code ${code}: ${errorOutput}`));
-          }
-        });
-
-        proc.on('error', (err) => {
-          reject(err);
-        });
+      const result = await this.llm.complete('spec', [{ role: 'user', content: specPrompt }], {
+        timeout: SPEC_TIMEOUT,
+        onChunk: (chunk) => this.onProgress({ type: 'spec-stream', chunk })
       });
+      const specContent = result.text.trim();
+      if (!specContent) {
+        throw new Error('empty response');
+      }
 
       fs.writeFileSync(path.join(this.projectDir, 'SPEC.md'), specContent);
       specGenerated = true;
       const specLines = specContent.split('\n').length;
-      this.log(`SPEC.md generated by Claude (${specLines} lines, ${specContent.length} bytes)`);
+      this.log(`SPEC.md generated by ${result.model} (${specLines} lines, ${specContent.length} bytes, ${result.usage.outputTokens} output tokens)`);
 
     } catch (err) {
-      this.log(`Claude CLI unavailable (${err.message}), using template`);
+      this.log(`SPEC generation failed (${err.message}), using template`);
+    }
+
+    if (!specGenerated && revision) {
+      this.log('Keeping the previous SPEC.md draft');
+      return;
     }
 
     if (!specGenerated) {
@@ -584,75 +562,218 @@ Respond with ONLY the markdown content, no code fences.`;
     }
   }
 
-  // Step 5: Setup tests
+  listSourceFiles() {
+    const srcDir = path.join(this.projectDir, 'src');
+    try {
+      return fs.readdirSync(srcDir).filter(f => /\.(?:js|mjs|html|css)$/.test(f)).sort();
+    } catch {
+      return [];
+    }
+  }
+
+  // continue/import: 운영자가 준 새 요구사항을 SPEC.md 끝에 날짜별 섹션으로 추가
+  appendRequirements() {
+    const specPath = path.join(this.projectDir, 'SPEC.md');
+    const items = this.requirements.split('\n')
+      .map(line => line.trim().replace(/^[-*+]\s+/, ''))
+      .filter(Boolean);
+    const date = new Date().toISOString().slice(0, 10);
+    const section = `\n\n## Additional Requirements (${date})\n\n${items.map(item => `- ${item}`).join('\n')}\n`;
+    const current = fs.existsSync(specPath) ? fs.readFileSync(specPath, 'utf-8') : '';
+    fs.writeFileSync(specPath, current.replace(/\s*$/, '') + section);
+    this.log(`Appended ${items.length} requirement(s) to SPEC.md`);
+  }
+
+  // Step 4b: 운영자가 승인할 때까지 대기 (수정 내용 반영 또는 피드백으로 재생성)
+  async reviewSpec() {
+    const specPath = path.join(this.projectDir, 'SPEC.md');
+
+    for (;;) {
+      const content = fs.readFileSync(specPath, 'utf-8');
+      this.log('Waiting for SPEC.md review...');
+      this.onProgress({ type: 'spec-review', content });
+
+      const decision = await this.onSpecReview(content);
+
+      if (decision.action === 'regenerate') {
+        this.log(`Regenerating SPEC.md with feedback: ${decision.feedback}`);
+        this.onProgress({ type: 'spec-regenerate', feedback: decision.feedback });
+        await this.generateSpec({ feedback: decision.feedback, previous: content });
+        continue;
+      }
+
+      if (typeof decision.content === 'string' && decision.content !== content) {
+        fs.writeFileSync(specPath, decision.content);
+        this.log(`SPEC.md edited during review (${decision.content.split('\n').length} lines)`);
+      }
+      this.log('SPEC.md approved');
+      return;
+    }
+  }
+
+  // Step 4c: 승인된 SPEC.md를 파싱해 spec.json으로 저장 (SPEC.md와 함께 커밋)
+  writeSpecManifest() {
+    const manifest = readSpecFile(path.join(this.projectDir, 'SPEC.md'));
+    fs.writeFileSync(path.join(this.projectDir, SPEC_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+
+    const exportCount = manifest.modules.reduce((n, m) => n + m.exports.length, 0);
+    this.log(`${SPEC_MANIFEST}: ${manifest.modules.length} modules, ${exportCount} exports, ${manifest.priorities.length} priorities`);
+    for (const mod of manifest.modules) {
+      this.log(`  ${mod.name} (${mod.file || 'no file'}): ${mod.exports.map(e => e.name).join(', ') || 'no exports'}`);
+    }
+    if (manifest.modules.length === 0) {
+      this.log('Warning: no modules found in SPEC.md — module progress will not be tracked');
+    }
+  }
+
+  // Step 5: Setup tests — SPEC 모듈마다 인수 테스트 생성 (장르 테스트는 scaffold 단계에서 복사됨)
   setupTests() {
+    const testsDir = path.join(this.projectDir, 'tests');
+    let manifest = null;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(this.projectDir, SPEC_MANIFEST), 'utf-8'));
+    } catch {}
+
+    const testFiles = ['structure.test.js'];
+    const existing = this.mode !== 'new';
+    if (existing) {
+      // 에이전트가 고친 테스트는 유지 — 없는 파일만 생성, 스텁 export 검사는 기존 코드에 맞지 않으므로 생략
+      if (fs.existsSync(path.join(testsDir, 'structure.test.js'))) {
+        this.log('Keeping existing tests/structure.test.js');
+      } else {
+        this.log('Writing tests/structure.test.js (project files)');
+        this.writeStructureTest(false);
+      }
+      if (manifest && manifest.modules.length > 0) {
+        this.log(`Generating acceptance tests for new modules in ${SPEC_MANIFEST}...`);
+        for (const test of writeSpecTests(manifest, testsDir, { skipExisting: true })) {
+          this.log(`  tests/${test.file}: ${test.exports} export checks, ${test.pending} pending`);
+          testFiles.push(test.file);
+        }
+      }
+    } else if (manifest && manifest.modules.length > 0) {
+      this.log('Writing tests/structure.test.js (project files)');
+      this.writeStructureTest(false);
+      this.log(`Generating acceptance tests from ${SPEC_MANIFEST}...`);
+      for (const test of writeSpecTests(manifest, testsDir)) {
+        this.log(`  tests/${test.file}: ${test.exports} export checks, ${test.pending} pending`);
+        testFiles.push(test.file);
+      }
+    } else {
+      this.log(`No modules in ${SPEC_MANIFEST}, checking the template stubs instead`);
+      this.log('Writing tests/structure.test.js (12 assertions)');
+      this.writeStructureTest();
+    }
+    if (!existing) {
+      for (const file of this.genres.files(this.genre)) {
+        if (file.target.startsWith('tests/')) testFiles.push(path.basename(file.target));
+      }
+    }
+
     this.log('Verifying test files...');
-    const testFiles = ['structure.test.js', 'game-logic.test.js', 'base-test.js', 'run-tests.sh'];
-    for (const f of testFiles) {
-      const exists = fs.existsSync(path.join(this.projectDir, 'tests', f));
+    for (const f of [...testFiles, 'base-test.js', 'run-tests.sh']) {
+      const exists = fs.existsSync(path.join(testsDir, f));
       this.log(`  tests/${f}: ${exists ? 'OK' : 'MISSING'}`);
     }
     this.log('Tests ready');
   }
 
+  commitMessage() {
+    if (this.mode === 'continue') {
+      return `forge: continue ${this.gameName}
+
+- SPEC.md: ${this.requirements ? 'additional requirements' : 'unchanged'}
+- spec.json: manifest re-parsed from SPEC.md
+- tests/: acceptance tests for new SPEC modules
+- restored missing scaffold files`;
+    }
+    if (this.mode === 'import') {
+      return `init: import ${this.gameName} from ${this.source.label}
+
+- CLAUDE.md: agent constitution (kept if the source had one)
+- SPEC.md: game specification${this.requirements ? ' with additional requirements' : ''}
+- spec.json: module/export manifest parsed from SPEC.md
+- src/: imported game code
+- tests/: structure and per-SPEC-module acceptance tests
+- current_tasks/ & completed_tasks/: task coordination directories`;
+    }
+    return `init: scaffold ${this.gameName} project
+
+- CLAUDE.md: agent constitution
+- SPEC.md: game specification
+- spec.json: module/export manifest parsed from SPEC.md
+- src/: ${this.genre} genre stubs (game.js, renderer.js, input.js) and index.html
+- tests/: structure, genre and per-SPEC-module acceptance tests
+- current_tasks/ & completed_tasks/: task coordination directories`;
+  }
+
   // Step 6: Initial commit & push
-  initialCommit() {
-    const git = (cmd) => execSync(`git -C "${this.projectDir}" ${cmd}`, {
+  async initialCommit() {
+    const git = (...args) => execFileSync('git', ['-C', this.projectDir, ...args], {
       encoding: 'utf-8',
       stdio: ['ignore', 'pipe', 'pipe']
     });
 
     this.log('Staging all files (git add -A)...');
-    git('add -A');
+    git('add', '-A');
 
     // Show what's being committed
-    const status = execSync(`git -C "${this.projectDir}" status --short`, { encoding: 'utf-8' }).trim();
+    const status = git('status', '--short').trim();
     const fileLines = status.split('\n').filter(Boolean);
     this.log(`Staged ${fileLines.length} files:`);
     for (const line of fileLines) {
       this.log(`  ${line}`);
     }
 
-    this.log('Creating initial commit...');
-    git(`commit -m "init: scaffold ${this.gameName} project
-
-- CLAUDE.md: agent constitution
-- SPEC.md: game specification
-- src/: initial game stubs (game.js, renderer.js, input.js, index.html)
-- tests/: structure and game logic tests
-- current_tasks/ & completed_tasks/: task coordination directories"`);
+    if (fileLines.length === 0) {
+      this.log('Nothing to commit — repo is already up to date');
+    } else {
+      this.log('Creating initial commit...');
+      // 메시지에 import 소스 경로가 들어가므로 인자 대신 stdin으로 전달
+      execFileSync('git', ['-C', this.projectDir, 'commit', '-F', '-'], { input: this.commitMessage(), stdio: ['pipe', 'ignore', 'pipe'] });
+    }
 
     this.log('Setting branch to main...');
-    git('branch -M main');
+    git('branch', '-M', 'main');
 
     this.log(`Pushing to origin (${this.repoPath})...`);
-    git('push -u origin main');
+    // 초기 커밋은 아직 실패하는 테스트가 있을 수 있으므로 테스트 게이트를 건너뜀 (bypassed로 기록)
+    const push = gatedPush(this.repoPath, `forge ${this.mode}`);
+    execFileSync('git', ['-C', this.projectDir, 'push', ...push.args, '-u', 'origin', 'main'], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      env: push.env
+    });
+    // import한 repo의 기본 브랜치가 main이 아니어도 에이전트 clone이 main을 받도록
+    execFileSync('git', ['--git-dir', this.repoPath, 'symbolic-ref', 'HEAD', 'refs/heads/main']);
 
     this.log('Initial commit pushed to bare repo');
 
+    // 이어가거나 가져온 프로젝트의 테스트는 에이전트가 쓴 (또는 외부) 코드 — 대시보드에서 실행하지 않고
+    // 세션의 커밋 테스트(test-runner.js, 네트워크 없는 컨테이너)에 맡김
+    if (this.mode !== 'new') {
+      this.log('Skipping initial tests for existing code (commit tests run them in the sandbox)');
+      return;
+    }
+
     // Verify tests pass
     this.log('Running initial tests...');
-    try {
-      const testOutput = execSync(`bash "${path.join(this.projectDir, 'tests', 'run-tests.sh')}"`, {
-        cwd: this.projectDir,
-        encoding: 'utf-8',
-        stdio: ['ignore', 'pipe', 'pipe']
-      });
+    const result = await runTestsLocally(this.projectDir, { timeout: INITIAL_TEST_TIMEOUT });
+    const lines = result.output.trim().split('\n');
+    if (result.timedOut) {
+      this.log(`Initial tests did not finish within ${INITIAL_TEST_TIMEOUT / 1000}s (agents will fix these)`);
+    } else if (result.exitCode === 0) {
       // Extract summary line
-      const lines = testOutput.trim().split('\n');
       const resultLine = lines.find(l => l.includes('Results:') || l.includes('PASSED'));
       if (resultLine) this.log(`  ${resultLine.trim()}`);
       this.log('All initial tests pass');
-    } catch (err) {
+    } else {
       this.log('Some initial tests failed (agents will fix these)');
-      if (err.stdout) {
-        const failLines = err.stdout.toString().split('\n').filter(l => l.includes('FAIL') || l.includes('✗'));
-        for (const line of failLines.slice(0, 5)) {
-          this.log(`  ${line.trim()}`);
-        }
+      const failLines = lines.filter(l => l.includes('FAIL') || l.includes('✗'));
+      for (const line of failLines.slice(0, 5)) {
+        this.log(`  ${line.trim()}`);
       }
     }
   }
 }
 
-module.exports = { ForgeProcess };
+module.exports = { ForgeProcess, FORGE_MODES, resolveImportSource };
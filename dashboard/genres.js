@@ -0,0 +1,116 @@
+/**
+ * genres.js — 장르 템플릿 레지스트리
+ *
+ * templates/genres/<id>/ 디렉토리 하나가 장르 하나:
+ *   genre.json   — { id, name, description, keywords, specHint }
+ *   src/*        — 장르별 스텁 (createGame/updateGame/isGameOver, createRenderer/render, setupInput은 공통)
+ *   tests/*      — 스텁의 장르 헬퍼를 검증하는 테스트
+ *   CLAUDE.md    — CLAUDE.md 끝에 붙는 장르 가이드 섹션
+ *
+ * 사용법: node dashboard/genres.js <game name...>   — 키워드로 분류한 장르 id 출력
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GENRE = 'arcade';
+
+// 단어 단위 매칭: "ping-pong"은 "ping pong", "pingpong"과도 일치, 복수형 s 허용
+function keywordPattern(keyword) {
+  const body = keyword.split('-').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[- ]?');
+  return new RegExp(`(^|[^a-z0-9])${body}s?(?=$|[^a-z0-9])`);
+}
+
+class GenreRegistry {
+  constructor(projectRoot = path.resolve(__dirname, '..')) {
+    this.dir = path.join(projectRoot, 'templates', 'genres');
+    this.genres = new Map();
+    this.load();
+  }
+
+  load() {
+    this.genres.clear();
+    let entries = [];
+    try {
+      entries = fs.readdirSync(this.dir, { withFileTypes: true }).filter(e => e.isDirectory());
+    } catch (err) {
+      console.error(`[Genres] Cannot read ${this.dir}: ${err.message}`);
+    }
+    for (const entry of entries) {
+      const genreDir = path.join(this.dir, entry.name);
+      try {
+        const meta = JSON.parse(fs.readFileSync(path.join(genreDir, 'genre.json'), 'utf-8'));
+        this.genres.set(entry.name, {
+          id: entry.name,
+          name: meta.name || entry.name,
+          description: meta.description || '',
+          keywords: (meta.keywords || []).map(k => k.toLowerCase()),
+          specHint: meta.specHint || '',
+          dir: genreDir
+        });
+      } catch (err) {
+        console.error(`[Genres] Skipping ${entry.name}: ${err.message}`);
+      }
+    }
+  }
+
+  ids() {
+    return [...this.genres.keys()];
+  }
+
+  has(id) {
+    return this.genres.has(id);
+  }
+
+  get(id) {
+    return this.genres.get(id) || this.genres.get(DEFAULT_GENRE) || null;
+  }
+
+  // API/UI용 요약 (파일 경로 제외)
+  list() {
+    return [...this.genres.values()].map(({ id, name, description }) => ({ id, name, description }));
+  }
+
+  // 게임 이름/설명의 키워드로 장르 추정 — 가장 많이 맞은 장르, 없으면 기본 장르
+  classify(text) {
+    const words = String(text || '').toLowerCase();
+    let best = DEFAULT_GENRE;
+    let bestScore = 0;
+    for (const genre of this.genres.values()) {
+      const score = genre.keywords.filter(k => keywordPattern(k).test(words)).length;
+      if (score > bestScore) {
+        best = genre.id;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // 장르 디렉토리의 src/, tests/ 파일 목록 (프로젝트 기준 상대 경로)
+  files(id) {
+    const genre = this.get(id);
+    if (!genre) return [];
+    const files = [];
+    for (const sub of ['src', 'tests']) {
+      const dir = path.join(genre.dir, sub);
+      if (!fs.existsSync(dir)) continue;
+      for (const name of fs.readdirSync(dir)) {
+        files.push({ source: path.join(dir, name), target: `${sub}/${name}` });
+      }
+    }
+    return files;
+  }
+
+  // CLAUDE.md에 덧붙일 장르 가이드 (없으면 빈 문자열)
+  claudeSection(id) {
+    const genre = this.get(id);
+    const file = genre && path.join(genre.dir, 'CLAUDE.md');
+    return file && fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : '';
+  }
+}
+
+if (require.main === module) {
+  console.log(new GenreRegistry().classify(process.argv.slice(2).join(' ')));
+}
+
+module.exports = { GenreRegistry, DEFAULT_GENRE };
@@ -0,0 +1,373 @@
+/**
+ * llm.js — LLM provider 추상화
+ *
+ * 게임 이름 검증(server.js)과 SPEC.md 생성(forge.js)이 같은 클라이언트를 사용.
+ * provider는 환경 변수로 선택:
+ *   LLM_PROVIDER          — anthropic (Messages API, 기본값) | openai (chat/completions 호환) | mock (오프라인)
+ *   LLM_BASE_URL          — 기본값 ANTHROPIC_BASE_URL
+ *   LLM_API_KEY           — 기본값 ANTHROPIC_API_KEY
+ *   LLM_MODEL_VALIDATION / LLM_MODEL_SPEC / LLM_MODEL_AGENT — 용도별 모델
+ *   LLM_MAX_RETRIES       — 429/5xx/네트워크 오류 재시도 횟수 (지수 backoff)
+ *
+ * 모든 provider는 complete({ model, system, messages, maxTokens, timeout, onChunk })
+ * → { text, usage: { inputTokens, outputTokens }, model } 형태를 따름.
+ * onChunk가 있으면 스트리밍으로 받아 텍스트 조각마다 호출.
+ */
+
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const DEFAULT_MODELS = {
+  validation: 'claude-haiku-4.5',
+  spec: 'claude-opus-4-6',
+  agent: 'claude-sonnet-4.5'
+};
+
+const DEFAULT_MAX_TOKENS = { validation: 512, spec: 8192 };
+const DEFAULT_TIMEOUT = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 1000; // ms, 시도마다 2배
+const RETRY_MAX_DELAY = 30000;
+
+class LLMError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.status = options.status || null;
+    this.retryable = !!options.retryable;
+    this.retryAfter = options.retryAfter || null; // ms
+  }
+}
+
+// --- HTTP ---
+
+// JSON POST. onEvent가 있으면 응답을 SSE로 읽어 data 줄마다 호출하고, 없으면 JSON body를 반환.
+function postJSON(url, headers, payload, { timeout = DEFAULT_TIMEOUT, onEvent } = {}) {
+  return new Promise((resolve, reject) => {
+    const mod = url.protocol === 'https:' ? https : http;
+    const body = JSON.stringify(payload);
+    const req = mod.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), ...headers }
+    }, (res) => {
+      if (res.statusCode >= 400) {
+        let errBody = '';
+        res.on('data', (c) => { errBody += c; });
+        res.on('end', () => {
+          const retryAfter = parseFloat(res.headers['retry-after']);
+          reject(new LLMError(`LLM request failed (${res.statusCode}): ${errBody.slice(0, 300)}`, {
+            status: res.statusCode,
+            retryable: res.statusCode === 429 || res.statusCode >= 500,
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter * 1000 : null
+          }));
+        });
+        return;
+      }
+
+      if (!onEvent) {
+        let data = '';
+        res.on('data', (c) => { data += c; });
+        res.on('end', () => {
+          try {
+            resolve(JSON.parse(data));
+          } catch {
+            reject(new LLMError('Failed to parse LLM response'));
+          }
+        });
+        return;
+      }
+
+      // Server-sent events: "event: ...\ndata: {...}\n\n"
+      let buffer = '';
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        buffer += chunk;
+        let nl;
+        while ((nl = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, nl).trim();
+          buffer = buffer.slice(nl + 1);
+          if (!line.startsWith('data:')) continue;
+          const data = line.slice(5).trim();
+          if (data === '[DONE]') continue;
+          let event;
+          try {
+            event = JSON.parse(data);
+          } catch {
+            continue; // keep-alive 등 JSON이 아닌 줄은 무시
+          }
+          try {
+            onEvent(event);
+          } catch (err) {
+            req.destroy();
+            reject(err);
+            return;
+          }
+        }
+      });
+      res.on('end', () => resolve(null));
+      res.on('error', reject);
+    });
+
+    req.on('error', (err) => reject(new LLMError(err.message, { retryable: true })));
+    req.setTimeout(timeout, () => {
+      req.destroy();
+      reject(new LLMError('LLM request timeout', { retryable: true }));
+    });
+    req.write(body);
+    req.end();
+  });
+}
+
+function endpoint(baseUrl, pathname) {
+  const base = new URL(baseUrl);
+  base.pathname = base.pathname.replace(/\/+$/, '').replace(/\/v1$/, '') + pathname;
+  return base;
+}
+
+// --- Providers ---
+
+// Anthropic Messages API (POST /v1/messages)
+class AnthropicProvider {
+  constructor({ baseUrl, apiKey }) {
+    this.name = 'anthropic';
+    this.baseUrl = baseUrl || 'https://api.anthropic.com';
+    this.apiKey = apiKey;
+  }
+
+  async complete({ model, system, messages, maxTokens, timeout, onChunk }) {
+    const url = endpoint(this.baseUrl, '/v1/messages');
+    const headers = { 'x-api-key': this.apiKey || '', 'anthropic-version': '2023-06-01' };
+    const payload = { model, max_tokens: maxTokens, messages };
+    if (system) payload.system = system;
+
+    if (!onChunk) {
+      const data = await postJSON(url, headers, payload, { timeout });
+      return {
+        text: (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+        usage: { inputTokens: data.usage?.input_tokens || 0, outputTokens: data.usage?.output_tokens || 0 },
+        model: data.model || model
+      };
+    }
+
+    const result = { text: '', usage: { inputTokens: 0, outputTokens: 0 }, model };
+    await postJSON(url, headers, { ...payload, stream: true }, {
+      timeout,
+      onEvent: (event) => {
+        if (event.type === 'message_start') {
+          result.model = event.message?.model || model;
+          result.usage.inputTokens = event.message?.usage?.input_tokens || 0;
+        } else if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          result.text += event.delta.text;
+          onChunk(event.delta.text);
+        } else if (event.type === 'message_delta') {
+          result.usage.outputTokens = event.usage?.output_tokens || result.usage.outputTokens;
+        } else if (event.type === 'error') {
+          throw new LLMError(`LLM stream error: ${event.error?.message || 'unknown'}`);
+        }
+      }
+    });
+    return result;
+  }
+}
+
+// OpenAI 호환 chat/completions (POST /v1/chat/completions) — LiteLLM 등 프록시용
+class OpenAIProvider {
+  constructor({ baseUrl, apiKey }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl || 'https://api.openai.com';
+    this.apiKey = apiKey;
+  }
+
+  async complete({ model, system, messages, maxTokens, timeout, onChunk }) {
+    const url = endpoint(this.baseUrl, '/v1/chat/completions');
+    const headers = { 'Authorization': `Bearer ${this.apiKey || ''}` };
+    const payload = {
+      model,
+      max_tokens: maxTokens,
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+    };
+
+    if (!onChunk) {
+      const data = await postJSON(url, headers, payload, { timeout });
+      return {
+        text: data.choices?.[0]?.message?.content || '',
+        usage: { inputTokens: data.usage?.prompt_tokens || 0, outputTokens: data.usage?.completion_tokens || 0 },
+        model: data.model || model
+      };
+    }
+
+    const result = { text: '', usage: { inputTokens: 0, outputTokens: 0 }, model };
+    await postJSON(url, headers, { ...payload, stream: true, stream_options: { include_usage: true } }, {
+      timeout,
+      onEvent: (event) => {
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          result.text += delta;
+          onChunk(delta);
+        }
+        if (event.usage) {
+          result.usage = { inputTokens: event.usage.prompt_tokens || 0, outputTokens: event.usage.completion_tokens || 0 };
+        }
+        if (event.model) result.model = event.model;
+      }
+    });
+    return result;
+  }
+}
+
+// 오프라인 mock — 네트워크 없이 용도별 고정 응답 (responses[purpose]는 문자열 또는 함수)
+class MockProvider {
+  constructor({ responses = {} } = {}) {
+    this.name = 'mock';
+    this.responses = responses;
+  }
+
+  async complete({ purpose, model, messages, onChunk }) {
+    const prompt = messages.map(m => m.content).join('\n');
+    const response = this.responses[purpose] !== undefined ? this.responses[purpose] : MockProvider.defaultResponse(purpose, prompt);
+    const text = typeof response === 'function' ? response(prompt) : response;
+
+    if (onChunk) {
+      for (const piece of text.match(/[\s\S]{1,64}/g) || []) onChunk(piece);
+    }
+    return {
+      text,
+      usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) },
+      model
+    };
+  }
+
+  static defaultResponse(purpose, prompt) {
+    if (purpose === 'validation') return '{"known": true, "question": null}';
+    if (purpose === 'spec') {
+      const name = (prompt.match(/for a '([^']+)' game/) || [])[1] || 'game';
+      return `# ${name} — Game Specification
+
+## Overview
+Offline mock specification for ${name}.
+
+## Game Rules
+- The player controls the game with the keyboard.
+- The game ends when the player loses all lives.
+
+## Controls
+- Arrow keys: move
+- Space: action
+
+## Module Breakdown
+
+### 1. **game.js** — game state
+- createGame(), updateGame(state, dt), isGameOver(state)
+
+### 2. **renderer.js** — canvas rendering
+- createRenderer(canvas), render(renderer, state)
+
+### 3. **input.js** — keyboard input
+- setupInput(callback) maps key presses to game actions
+
+## Visual Design
+800x600 canvas, dark background.
+
+## Scoring
+One point per action.
+
+## Implementation Priority
+1. Game state
+2. Rendering
+3. Input`;
+    }
+    return 'OK';
+  }
+}
+
+const PROVIDERS = {
+  anthropic: AnthropicProvider,
+  openai: OpenAIProvider,
+  mock: MockProvider
+};
+
+// --- Client ---
+
+class LLMClient {
+  constructor({ provider, models = {}, maxRetries = DEFAULT_MAX_RETRIES, retryDelay = RETRY_BASE_DELAY } = {}) {
+    this.provider = provider;
+    this.models = { ...DEFAULT_MODELS, ...models };
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+  }
+
+  static fromEnv(env = process.env) {
+    const name = (env.LLM_PROVIDER || 'anthropic').toLowerCase();
+    const Provider = PROVIDERS[name];
+    if (!Provider) {
+      throw new Error(`Unknown LLM_PROVIDER "${name}" (expected: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    const retries = parseInt(env.LLM_MAX_RETRIES, 10);
+    return new LLMClient({
+      provider: new Provider({
+        baseUrl: env.LLM_BASE_URL || env.ANTHROPIC_BASE_URL,
+        apiKey: env.LLM_API_KEY || env.ANTHROPIC_API_KEY
+      }),
+      models: {
+        ...(env.LLM_MODEL_VALIDATION && { validation: env.LLM_MODEL_VALIDATION }),
+        ...(env.LLM_MODEL_SPEC && { spec: env.LLM_MODEL_SPEC }),
+        ...(env.LLM_MODEL_AGENT && { agent: env.LLM_MODEL_AGENT })
+      },
+      maxRetries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_MAX_RETRIES
+    });
+  }
+
+  get providerName() {
+    return this.provider.name;
+  }
+
+  model(purpose) {
+    return this.models[purpose] || this.models.validation;
+  }
+
+  // purpose: 'validation' | 'spec' — 모델과 기본 max_tokens 선택에 사용
+  // options: { system, maxTokens, timeout, onChunk }
+  async complete(purpose, messages, options = {}) {
+    const request = {
+      purpose,
+      model: options.model || this.model(purpose),
+      system: options.system,
+      messages,
+      maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS[purpose] || 1024,
+      timeout: options.timeout || DEFAULT_TIMEOUT
+    };
+
+    for (let attempt = 0; ; attempt++) {
+      // 스트리밍 중 일부가 이미 전달되었으면 중복 출력을 막기 위해 재시도하지 않음
+      let streamed = false;
+      if (options.onChunk) {
+        request.onChunk = (chunk) => {
+          streamed = true;
+          options.onChunk(chunk);
+        };
+      }
+
+      try {
+        return await this.provider.complete(request);
+      } catch (err) {
+        const retryable = err instanceof LLMError && err.retryable && !streamed;
+        if (!retryable || attempt >= this.maxRetries) throw err;
+
+        const backoff = Math.min(this.retryDelay * 2 ** attempt, RETRY_MAX_DELAY);
+        // 서버가 준 Retry-After도 RETRY_MAX_DELAY를 넘지 않게 — 큰 값이면 forge 요청이 끝없이 대기
+        const delay = err.retryAfter ? Math.min(err.retryAfter, RETRY_MAX_DELAY) : backoff + Math.floor(Math.random() * backoff * 0.2);
+        console.warn(`[LLM] ${this.providerName} ${purpose} request failed (${err.message}), retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = {
+  LLMClient,
+  LLMError,
+  AnthropicProvider,
+  OpenAIProvider,
+  MockProvider,
+  DEFAULT_MODELS
+};
@@ -0,0 +1,163 @@
+/**
+ * preview.js — 진행 중인 게임 미리보기 (/preview/<session>/...)
+ *
+ *   /preview/<session>/<key>/           — watcher 작업 디렉토리의 src/ (에이전트 push가 pull된 최신 상태)
+ *   /preview/<session>/<key>/@<commit>/ — 해당 커밋을 임시 worktree로 체크아웃한 src/
+ *
+ * 에이전트가 만든 코드이므로 iframe sandbox + CSP sandbox로 대시보드 origin과 분리.
+ * 분리된(opaque) origin에서는 SameSite 쿠키가 가지 않으므로 인증 대신 세션별 <key>를 경로에 넣음 —
+ * key는 미리보기 파일 조회만 허용하고 API 권한은 없음 (서버 시작마다 새로 생성).
+ *
+ * worktree는 작업 디렉토리 clone에서 만들고 세션마다 최근 MAX_WORKTREES개만 유지.
+ * 세션이 끝나면 release()로 정리. 파일 서빙은 StaticFiles (root 밖 경로 차단, ETag)에 맡김.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { StaticFiles } = require('./static');
+
+const MAX_WORKTREES = 5;
+const PREVIEW_URL = /^\/preview\/([0-9a-f]+)\/([0-9a-f]{32})(?:\/@([0-9a-f]{4,40}))?(\/.*)?$/;
+const PREVIEW_CSP = 'sandbox allow-scripts';
+
+class PreviewManager {
+  constructor(options = {}) {
+    this.baseDir = options.baseDir || path.join(os.tmpdir(), 'tokamak-preview');
+    this.maxWorktrees = options.maxWorktrees || MAX_WORKTREES;
+    this.worktrees = new Map(); // sessionId -> Map(sha -> { dir, lastUsed })
+    this.servers = new Map(); // root -> StaticFiles (gzip 캐시 재사용)
+    this.secret = options.secret || crypto.randomBytes(32);
+  }
+
+  key(sessionId) {
+    return crypto.createHmac('sha256', this.secret).update(sessionId).digest('hex').slice(0, 32);
+  }
+
+  // iframe에 넣을 세션 미리보기 주소
+  url(sessionId) {
+    return `/preview/${sessionId}/${this.key(sessionId)}/`;
+  }
+
+  verify(target) {
+    return crypto.timingSafeEqual(Buffer.from(this.key(target.sessionId)), Buffer.from(target.key));
+  }
+
+  // URL → { sessionId, key, commit, rest } (미리보기 경로가 아니면 null)
+  parse(url) {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    const m = pathname.match(PREVIEW_URL);
+    if (!m) return null;
+    return { sessionId: m[1], key: m[2], commit: m[3] || null, rest: m[4] || null };
+  }
+
+  git(workDir, args) {
+    return new Promise((resolve, reject) => {
+      execFile('git', ['-C', workDir, ...args], { encoding: 'utf-8', timeout: 15000 }, (err, stdout) => {
+        if (err) reject(err);
+        else resolve(stdout.trim());
+      });
+    });
+  }
+
+  // 커밋의 src/ — 같은 커밋은 기존 worktree 재사용, 한도를 넘으면 가장 오래 안 쓴 것부터 제거
+  async commitRoot(session, commit) {
+    let sha;
+    try {
+      sha = await this.git(session.workDir, ['rev-parse', '--verify', '-q', `${commit}^{commit}`]);
+    } catch {
+      return null;
+    }
+
+    let trees = this.worktrees.get(session.id);
+    if (!trees) {
+      trees = new Map();
+      this.worktrees.set(session.id, trees);
+    }
+
+    // 같은 커밋을 동시에 요청해도 worktree는 한 번만 만듦
+    let tree = trees.get(sha);
+    if (!tree) {
+      const dir = path.join(this.baseDir, session.id, sha.slice(0, 12));
+      tree = { dir, lastUsed: Date.now(), ready: this.addWorktree(session, dir, sha) };
+      trees.set(sha, tree);
+      tree.ready.catch(() => trees.delete(sha));
+      this.evict(session, trees);
+    }
+    tree.lastUsed = Date.now();
+    await tree.ready;
+    return path.join(tree.dir, 'src');
+  }
+
+  async addWorktree(session, dir, sha) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(path.dirname(dir), { recursive: true });
+    await this.git(session.workDir, ['worktree', 'prune']);
+    await this.git(session.workDir, ['worktree', 'add', '--detach', dir, sha]);
+    console.log(`[Preview] Session ${session.id}: checked out ${sha.slice(0, 7)} to ${dir}`);
+  }
+
+  evict(session, trees) {
+    const sorted = [...trees.entries()].sort((a, b) => b[1].lastUsed - a[1].lastUsed);
+    for (const [sha, tree] of sorted.slice(this.maxWorktrees)) {
+      trees.delete(sha);
+      tree.ready.catch(() => {}).then(() => this.removeWorktree(session, tree.dir));
+    }
+  }
+
+  removeWorktree(session, dir) {
+    this.servers.delete(path.join(dir, 'src'));
+    return this.git(session.workDir, ['worktree', 'remove', '--force', dir])
+      .catch(() => fs.rmSync(dir, { recursive: true, force: true }));
+  }
+
+  // 세션 종료 시 worktree 전부 제거
+  async release(session) {
+    const trees = this.worktrees.get(session.id);
+    if (!trees) return;
+    this.worktrees.delete(session.id);
+    for (const tree of trees.values()) {
+      await tree.ready.catch(() => {});
+      await this.removeWorktree(session, tree.dir);
+    }
+    if (session.workDir && fs.existsSync(session.workDir)) {
+      await this.git(session.workDir, ['worktree', 'prune']).catch(() => {});
+    }
+    fs.rmSync(path.join(this.baseDir, session.id), { recursive: true, force: true });
+  }
+
+  // 이전 실행에서 남은 worktree 디렉토리 정리 (작업 디렉토리의 메타데이터는 다음 add 때 prune)
+  cleanup() {
+    fs.rmSync(this.baseDir, { recursive: true, force: true });
+  }
+
+  // { status, message } 또는 StaticFiles로 응답 처리 후 null
+  async serve(req, res, session, target) {
+    // 상대 경로(script src="game.js")가 미리보기 경로 기준으로 풀리도록 끝에 / 추가
+    if (!target.rest) {
+      const location = `${this.url(session.id)}${target.commit ? `@${target.commit}/` : ''}`;
+      res.writeHead(301, { Location: location });
+      res.end();
+      return null;
+    }
+
+    if (!session.workDir || !fs.existsSync(session.workDir)) {
+      return { status: 404, message: 'Session has no work dir yet' };
+    }
+    const root = target.commit ? await this.commitRoot(session, target.commit) : path.join(session.workDir, 'src');
+    if (!root) return { status: 404, message: `Unknown commit: ${target.commit}` };
+    if (!fs.existsSync(root)) return { status: 404, message: 'No src/ directory in this revision' };
+
+    let files = this.servers.get(root);
+    if (!files) {
+      files = new StaticFiles(root);
+      this.servers.set(root, files);
+    }
+    files.serve(req, res, target.rest);
+    return null;
+  }
+}
+
+module.exports = { PreviewManager, PREVIEW_CSP };
@@ -0,0 +1,271 @@
+/**
+ * publish.js — 세션 repo의 src/를 게임 허브(games/<id>/)로 배포
+ *
+ * 1. bare repo에서 지정한 커밋의 src/ 트리를 읽음
+ * 2. 로드 가능 여부 검증 — index.html, 참조하는 로컬 script/stylesheet 파일, JS 문법
+ * 3. games/<id>/를 교체하고 games/games.json 매니페스트 갱신
+ * 4. games/index.html의 게임 목록(<!-- games:start --> ~ <!-- games:end -->)을 매니페스트로 재생성
+ * 5. 같은 파일로 zip 아티팩트 생성 (<artifactsDir>/<id>-<commit>.zip)
+ *
+ * 사용법: node dashboard/publish.js <bare-repo> <game-name> [commit]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createZip } = require('./zip');
+
+const GAMES_MANIFEST = 'games.json';
+const HUB_START = '<!-- games:start -->';
+const HUB_END = '<!-- games:end -->';
+const ARTIFACT_NAME = /^[a-z0-9_-]+-[0-9a-f]{7}\.zip$/;
+const EXTERNAL_URL = /^(?:[a-z]+:|\/\/|#)/i;
+
+// 검증 실패 — problems: [{ path, message }] (HTTP 422 details로 그대로 전달)
+class PublishError extends Error {
+  constructor(message, problems = []) {
+    super(message);
+    this.name = 'PublishError';
+    this.problems = problems;
+  }
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function gameId(gameName) {
+  return gameName.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// "ping-pong" → "Ping Pong"
+function defaultTitle(gameName) {
+  return gameName.split(/[-_\s]+/).filter(Boolean).map(w => w[0].toUpperCase() + w.slice(1)).join(' ');
+}
+
+// index.html이 참조하는 로컬 파일 — [{ file, module }]
+function referencedFiles(html) {
+  const refs = [];
+  const tag = /<(script|link)\b([^>]*)>/gi;
+  let m;
+  while ((m = tag.exec(html)) !== null) {
+    const attrs = m[2];
+    const isScript = m[1].toLowerCase() === 'script';
+    if (!isScript && !/\brel\s*=\s*["']?stylesheet/i.test(attrs)) continue;
+    const url = attrs.match(isScript ? /\bsrc\s*=\s*["']([^"']+)["']/i : /\bhref\s*=\s*["']([^"']+)["']/i);
+    if (!url || EXTERNAL_URL.test(url[1])) continue;
+    refs.push({
+      file: path.posix.normalize(url[1].split(/[?#]/)[0].replace(/^\.\//, '')),
+      module: isScript && /\btype\s*=\s*["']?module/i.test(attrs)
+    });
+  }
+  return refs;
+}
+
+class GamePublisher {
+  constructor(options = {}) {
+    this.projectRoot = options.projectRoot || path.resolve(__dirname, '..');
+    this.gamesDir = options.gamesDir || path.join(this.projectRoot, 'games');
+    this.artifactsDir = options.artifactsDir || path.join(__dirname, 'data', 'artifacts');
+  }
+
+  // --- Manifest ---
+
+  readManifest() {
+    try {
+      const data = JSON.parse(fs.readFileSync(path.join(this.gamesDir, GAMES_MANIFEST), 'utf-8'));
+      return { games: Array.isArray(data.games) ? data.games : [] };
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[Publish] Failed to read ${GAMES_MANIFEST}:`, err.message);
+      return { games: [] };
+    }
+  }
+
+  writeManifest(manifest) {
+    fs.writeFileSync(path.join(this.gamesDir, GAMES_MANIFEST), JSON.stringify(manifest, null, 2) + '\n');
+  }
+
+  // games/index.html의 마커 사이를 매니페스트의 게임 카드로 교체
+  renderHub(manifest) {
+    const hubPath = path.join(this.gamesDir, 'index.html');
+    const html = fs.readFileSync(hubPath, 'utf-8');
+    const start = html.indexOf(HUB_START);
+    const end = html.indexOf(HUB_END);
+    if (start === -1 || end < start) {
+      throw new Error(`games/index.html has no ${HUB_START} ... ${HUB_END} markers`);
+    }
+    const indent = html.slice(html.lastIndexOf('\n', start) + 1, start);
+    const cards = manifest.games.map(game => [
+      `${indent}<a class="game-card" href="${escapeHtml(game.path)}">`,
+      `${indent}  <h2>${escapeHtml(game.title)}</h2>`,
+      `${indent}  <p>${escapeHtml(game.description || '')}</p>`,
+      `${indent}</a>`
+    ].join('\n'));
+    const list = `${HUB_START}\n\n${cards.join('\n\n')}\n\n${indent}`;
+    fs.writeFileSync(hubPath, html.slice(0, start) + list + html.slice(end));
+  }
+
+  // --- Repo ---
+
+  git(repoPath, args, options = {}) {
+    return execFileSync('git', [`--git-dir=${repoPath}`, ...args], {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      maxBuffer: 64 * 1024 * 1024,
+      ...options
+    });
+  }
+
+  // 커밋의 src/ 파일 — [{ path: 'game.js', data: Buffer }]
+  readSource(repoPath, commit) {
+    let sha;
+    try {
+      sha = this.git(repoPath, ['rev-parse', '--verify', '--end-of-options', `${commit}^{commit}`], { encoding: 'utf-8' }).trim();
+    } catch {
+      throw new PublishError(`Unknown commit: ${commit}`);
+    }
+    const names = this.git(repoPath, ['ls-tree', '-r', '-z', '--name-only', sha, '--', 'src/'], { encoding: 'utf-8' })
+      .split('\0').filter(Boolean);
+    if (names.length === 0) throw new PublishError(`src/ is empty at ${sha.slice(0, 7)}`);
+
+    const files = names.map(name => ({
+      path: name.slice('src/'.length),
+      data: this.git(repoPath, ['cat-file', 'blob', `${sha}:${name}`])
+    }));
+    return { sha, files };
+  }
+
+  // 브라우저에서 로드 가능한지 정적으로 검사 — 문제가 있으면 PublishError
+  validate(files) {
+    const byPath = new Map(files.map(f => [f.path, f]));
+    const problems = [];
+
+    const index = byPath.get('index.html');
+    if (!index) {
+      throw new PublishError('src/index.html is missing', [{ path: 'src/index.html', message: 'missing' }]);
+    }
+
+    const modules = new Set();
+    for (const ref of referencedFiles(index.data.toString('utf-8'))) {
+      if (!byPath.has(ref.file)) {
+        problems.push({ path: `src/${ref.file}`, message: 'referenced by index.html but missing' });
+      }
+      if (ref.module) modules.add(ref.file);
+    }
+
+    for (const file of files) {
+      if (!/\.(?:js|mjs)$/.test(file.path)) continue;
+      const inputType = modules.has(file.path) || file.path.endsWith('.mjs') ? 'module' : 'commonjs';
+      try {
+        execFileSync(process.execPath, ['--check', `--input-type=${inputType}`, '-'], {
+          input: file.data,
+          stdio: ['pipe', 'ignore', 'pipe'],
+          timeout: 10000
+        });
+      } catch (err) {
+        const stderr = (err.stderr || '').toString();
+        const message = stderr.split('\n').find(l => /Error/.test(l)) || 'syntax check failed';
+        problems.push({ path: `src/${file.path}`, message: message.trim() });
+      }
+    }
+
+    if (problems.length > 0) {
+      throw new PublishError(`Game does not load: ${problems.length} problem(s)`, problems);
+    }
+  }
+
+  // --- Publish ---
+
+  publish({ repoPath, gameName, commit = 'main', title, description, sessionId = null }) {
+    const id = gameId(gameName);
+    if (!id) throw new PublishError(`Invalid game name: ${gameName}`);
+
+    const { sha, files } = this.readSource(repoPath, commit);
+    this.validate(files);
+
+    // 임시 디렉토리에 쓰고 교체 — 도중에 실패해도 기존 배포는 유지
+    const target = path.join(this.gamesDir, id);
+    const staging = `${target}.publish-${process.pid}`;
+    fs.rmSync(staging, { recursive: true, force: true });
+    for (const file of files) {
+      const dest = path.join(staging, file.path);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.writeFileSync(dest, file.data);
+    }
+    fs.rmSync(target, { recursive: true, force: true });
+    fs.renameSync(staging, target);
+
+    const manifest = this.readManifest();
+    const previous = manifest.games.find(g => g.id === id);
+    const entry = {
+      id,
+      title: title || (previous && previous.title) || defaultTitle(gameName),
+      description: description !== undefined ? description : (previous ? previous.description : ''),
+      path: `/${id}/`,
+      commit: sha,
+      publishedAt: new Date().toISOString(),
+      sessionId
+    };
+    if (previous) manifest.games[manifest.games.indexOf(previous)] = entry;
+    else manifest.games.push(entry);
+    this.writeManifest(manifest);
+    this.renderHub(manifest);
+
+    fs.mkdirSync(this.artifactsDir, { recursive: true });
+    const artifactName = `${id}-${sha.slice(0, 7)}.zip`;
+    const zip = createZip(files.map(f => ({ name: `${id}/${f.path}`, data: f.data })));
+    fs.writeFileSync(path.join(this.artifactsDir, artifactName), zip);
+
+    return {
+      ...entry,
+      files: files.length,
+      bytes: files.reduce((n, f) => n + f.data.length, 0),
+      artifact: { name: artifactName, bytes: zip.length }
+    };
+  }
+
+  // --- Artifacts ---
+
+  listArtifacts(id = null) {
+    let names = [];
+    try {
+      names = fs.readdirSync(this.artifactsDir).filter(n => ARTIFACT_NAME.test(n));
+    } catch {}
+    return names
+      .filter(name => !id || name.startsWith(`${id}-`))
+      .map(name => {
+        const stat = fs.statSync(path.join(this.artifactsDir, name));
+        return { name, bytes: stat.size, createdAt: stat.mtimeMs };
+      })
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  // 다운로드용 경로 — 이름 형식이 맞지 않거나 없으면 null
+  artifactPath(name) {
+    if (!ARTIFACT_NAME.test(name)) return null;
+    const file = path.join(this.artifactsDir, name);
+    return fs.existsSync(file) ? file : null;
+  }
+}
+
+if (require.main === module) {
+  const [repoPath, gameName, commit = 'main'] = process.argv.slice(2);
+  if (!repoPath || !gameName) {
+    console.error('Usage: node dashboard/publish.js <bare-repo> <game-name> [commit]');
+    process.exit(1);
+  }
+  try {
+    const result = new GamePublisher().publish({ repoPath, gameName, commit });
+    console.log(`Published ${result.title} (${result.commit.slice(0, 7)}) to games${result.path}: ${result.files} files`);
+    console.log(`Artifact: ${result.artifact.name} (${result.artifact.bytes} bytes)`);
+  } catch (err) {
+    console.error(`[Publish] ${err.message}`);
+    for (const problem of err.problems || []) console.error(`  ${problem.path}: ${problem.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { GamePublisher, PublishError, gameId, GAMES_MANIFEST };
@@ -0,0 +1,192 @@
+/**
+ * push-gate.js — bare repo의 pre-receive 테스트 게이트 설치와 결과 수집
+ *
+ * installPushGate(): templates/hooks/pre-receive를 repo 옆의 <game>.gate/에 복사하고 core.hooksPath로 지정.
+ *   main으로 들어오는 push마다 훅이 테스트를 돌려 실패하면 거부하고 (템플릿 주석 참고)
+ *   결과를 <repo>/tokamak/pre-receive.jsonl에 한 줄씩 기록.
+ *   에이전트 컨테이너에는 repo가 쓰기 가능하게 마운트되므로 훅과 토큰 해시는 repo 밖 (.gate/)에 두고,
+ *   DockerManager가 .gate/와 <repo>/config를 읽기 전용으로 마운트 — 에이전트는 훅을 바꾸거나 끌 수 없음.
+ * gatedPush() / bypassEnv(): 테스트 없이 push할 때 (forge 초기 push, 잠금 회수) 훅에 넘길 환경 변수.
+ *   토큰의 해시만 .gate/pre-receive.token에 두므로 TOKAMAK_HOOK_BYPASS만으로는 게이트를 건너뛸 수 없음.
+ * PushGateMonitor: 그 파일에 추가되는 줄을 읽어 push:accepted / push:rejected / push:bypassed 이벤트로 전달.
+ *   거부된 push는 ref를 바꾸지 않으므로 RepoWatcher와 별도로 로그 파일을 감시.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const GATE_DIR = 'tokamak';
+const GATE_LOG = 'pre-receive.jsonl';
+const HOOK_NAME = 'pre-receive';
+const TOKEN_FILE = 'pre-receive.token';
+
+const bypassTokens = new Map(); // repoPath -> 토큰 (해시와 달리 디스크에 남기지 않음)
+
+function gateLogPath(repoPath) {
+  return path.join(repoPath, GATE_DIR, GATE_LOG);
+}
+
+// 훅과 토큰 해시를 두는 디렉토리 — <base>/<game>.git 옆의 <base>/<game>.gate (대시보드 소유)
+function hooksDir(repoPath) {
+  const repo = path.resolve(repoPath);
+  return path.join(path.dirname(repo), `${path.basename(repo, '.git')}.gate`);
+}
+
+function isGateInstalled(repoPath) {
+  return fs.existsSync(path.join(hooksDir(repoPath), HOOK_NAME));
+}
+
+// 에이전트 컨테이너(agent 사용자)가 로그를 쓸 수 있도록 tokamak/은 모두에게 쓰기 허용 — 훅은 거기 있는 것을 믿지 않음
+function installPushGate(repoPath, projectRoot) {
+  const dir = hooksDir(repoPath);
+  const hook = path.join(dir, HOOK_NAME);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.chmodSync(dir, 0o755);
+  fs.copyFileSync(path.join(projectRoot, 'templates', 'hooks', HOOK_NAME), hook);
+  fs.chmodSync(hook, 0o755);
+  execFileSync('git', ['--git-dir', repoPath, 'config', 'core.hooksPath', dir], { stdio: 'ignore' });
+  // 이전 버전이 repo 안에 설치한 훅과 토큰 해시 — core.hooksPath가 있으면 쓰이지 않음
+  for (const name of [HOOK_NAME, TOKEN_FILE]) {
+    fs.rmSync(path.join(repoPath, 'hooks', name), { force: true });
+  }
+  const logDir = path.join(repoPath, GATE_DIR);
+  fs.mkdirSync(logDir, { recursive: true });
+  fs.chmodSync(logDir, 0o777);
+  return hook;
+}
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// 훅 우회용 환경 변수 — 토큰을 만들고 SHA-256을 .gate/pre-receive.token에 기록.
+// 대시보드가 재시작하거나 forge.sh가 해시를 바꿨으면 새 토큰을 만듦.
+function bypassEnv(repoPath, reason) {
+  const tokenFile = path.join(hooksDir(repoPath), TOKEN_FILE);
+  let token = bypassTokens.get(repoPath);
+  let stored = null;
+  try {
+    stored = fs.readFileSync(tokenFile, 'utf-8').trim();
+  } catch {}
+  if (!token || stored !== tokenHash(token)) {
+    token = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(tokenFile), { recursive: true });
+    fs.writeFileSync(tokenFile, `${tokenHash(token)}\n`, { mode: 0o644 });
+    bypassTokens.set(repoPath, token);
+  }
+  return { TOKAMAK_HOOK_BYPASS: reason, TOKAMAK_HOOK_TOKEN: token };
+}
+
+// 대시보드가 호스트에서 직접 하는 push (forge 초기 push, 잠금 회수)의 git push 인자와 환경 변수.
+// receive-pack에 core.hooksPath를 직접 넘겨 repo config가 바뀌었어도 .gate/의 훅만 실행하고,
+// 그 훅에는 대시보드의 환경(API 키, 토큰)을 물려주지 않음 — PATH, HOME과 우회 변수만.
+function gatedPush(repoPath, reason) {
+  const dir = hooksDir(repoPath).replace(/'/g, `'\\''`);
+  return {
+    args: [`--receive-pack=git -c core.hooksPath='${dir}' receive-pack`],
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME || '/',
+      ...bypassEnv(repoPath, reason)
+    }
+  };
+}
+
+function parseLines(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {}
+  }
+  return entries;
+}
+
+// 최근 push 결과 (최신 먼저)
+function readPushLog(repoPath, limit = 50) {
+  try {
+    return parseLines(fs.readFileSync(gateLogPath(repoPath), 'utf-8')).slice(-limit).reverse();
+  } catch {
+    return [];
+  }
+}
+
+class PushGateMonitor {
+  constructor(repoPath) {
+    this.repoPath = repoPath;
+    this.logPath = gateLogPath(repoPath);
+    this.listeners = [];
+    this.offset = 0;
+    this.fsWatcher = null;
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  emit(event, data) {
+    this.listeners.forEach(cb => cb(event, data));
+  }
+
+  // 시작 시점 이후에 기록된 결과만 전달
+  start() {
+    if (!isGateInstalled(this.repoPath)) return false;
+    try {
+      this.offset = fs.statSync(this.logPath).size;
+    } catch {
+      this.offset = 0;
+    }
+    try {
+      this.fsWatcher = fs.watch(path.dirname(this.logPath), (event, name) => {
+        if (!name || name === GATE_LOG) this.read();
+      });
+      this.fsWatcher.on('error', err => {
+        console.warn(`[PushGate] Stopped watching ${this.logPath}: ${err.message}`);
+        this.stop();
+      });
+    } catch (err) {
+      console.warn(`[PushGate] Cannot watch ${this.logPath}: ${err.message}`);
+      return false;
+    }
+    return true;
+  }
+
+  stop() {
+    if (this.fsWatcher) {
+      this.fsWatcher.close();
+      this.fsWatcher = null;
+    }
+  }
+
+  read() {
+    let size;
+    try {
+      size = fs.statSync(this.logPath).size;
+    } catch {
+      return;
+    }
+    if (size < this.offset) this.offset = 0; // 파일이 새로 만들어짐
+    if (size === this.offset) return;
+
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = fs.openSync(this.logPath, 'r');
+    try {
+      fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      fs.closeSync(fd);
+    }
+    // 아직 다 쓰이지 않은 마지막 줄은 다음에 읽음
+    const text = buffer.toString('utf-8');
+    const end = text.lastIndexOf('\n') + 1;
+    this.offset += Buffer.byteLength(text.slice(0, end));
+
+    for (const entry of parseLines(text.slice(0, end))) {
+      this.emit(`push:${entry.status}`, entry);
+    }
+  }
+}
+
+module.exports = { PushGateMonitor, installPushGate, isGateInstalled, readPushLog, bypassEnv, gatedPush, hooksDir };
@@ -0,0 +1,278 @@
+/**
+ * repo-store.js — bare repo / 작업 디렉토리 저장 위치와 보존 정책
+ *
+ * 세션마다 하위 디렉토리를 써서 같은 게임 이름의 세션끼리 덮어쓰지 않음:
+ *   <repoBase>/<sessionId>/<game>.git            — 에이전트가 push하는 bare repo
+ *   <repoBase>/<sessionId>/<game>.gate           — 그 repo의 pre-receive 훅 (push-gate.js)
+ *   <workBase>/<sessionId>/<game>/project        — forge 작업 디렉토리
+ *   <repoBase>/archive/<game>/<prefix>-<time>.bundle — 보존 기간이 지나 보관된 repo (git bundle)
+ * 세션 없이 만든 repo (forge.sh, 이전 버전의 대시보드)는 <repoBase>/<game>.git 그대로 — legacy로 표시.
+ *
+ * 목록·정리는 모두 async — 요청 경로에서 git과 디스크 사용량 계산이 이벤트 루프를 막지 않도록 함.
+ * 디스크 사용량은 list({ sizes: true })와 purge에서만 계산.
+ *
+ * 환경 변수:
+ *   TOKAMAK_REPO_BASE, TOKAMAK_WORK_BASE — 기본값 /tmp/tokamak-forge-repos, /tmp/tokamak-forge-work
+ *   TOKAMAK_RETENTION_DAYS   — 마지막 커밋 후 N일 지난 중지 세션의 repo 정리 (0 또는 미설정이면 끔)
+ *   TOKAMAK_RETENTION_ACTION — archive (bundle로 보관 후 삭제, 기본값) | delete
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { hooksDir } = require('./push-gate');
+
+const DEFAULT_REPO_BASE = '/tmp/tokamak-forge-repos';
+const DEFAULT_WORK_BASE = '/tmp/tokamak-forge-work';
+const ARCHIVE_DIR = 'archive';
+const RETENTION_ACTIONS = ['archive', 'delete'];
+const DAY = 24 * 60 * 60 * 1000;
+const GIT_TIMEOUT = 10000;
+
+const execFileAsync = promisify(execFile);
+
+async function git(args, options = {}) {
+  const { stdout } = await execFileAsync('git', args, { encoding: 'utf-8', timeout: GIT_TIMEOUT, ...options });
+  return stdout.trim();
+}
+
+// du처럼 디렉토리 전체 크기 (심볼릭 링크는 따라가지 않음)
+async function diskUsage(target) {
+  let stat;
+  try {
+    stat = await fs.promises.lstat(target);
+  } catch {
+    return 0;
+  }
+  if (!stat.isDirectory()) return stat.size;
+  let names;
+  try {
+    names = await fs.promises.readdir(target);
+  } catch {
+    return 0;
+  }
+  let total = 0;
+  for (const name of names) {
+    total += await diskUsage(path.join(target, name));
+  }
+  return total;
+}
+
+async function readDirs(dir) {
+  try {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    return entries.filter(e => e.isDirectory()).map(e => e.name);
+  } catch {
+    return [];
+  }
+}
+
+// 비어 있는 세션 디렉토리 정리 (base 자체는 남김)
+function removeIfEmpty(dir, base) {
+  if (path.resolve(dir) === path.resolve(base)) return;
+  try {
+    if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+  } catch {}
+}
+
+class RepoStore {
+  constructor(options = {}) {
+    this.repoBase = path.resolve(options.repoBase || DEFAULT_REPO_BASE);
+    this.workBase = path.resolve(options.workBase || DEFAULT_WORK_BASE);
+    this.retentionDays = Math.max(Number(options.retentionDays) || 0, 0);
+    this.retentionAction = options.retentionAction || 'archive';
+    if (!RETENTION_ACTIONS.includes(this.retentionAction)) {
+      throw new Error(`Unknown retention action: ${this.retentionAction} (use ${RETENTION_ACTIONS.join(' or ')})`);
+    }
+  }
+
+  static fromEnv(env = process.env) {
+    return new RepoStore({
+      repoBase: env.TOKAMAK_REPO_BASE,
+      workBase: env.TOKAMAK_WORK_BASE,
+      retentionDays: env.TOKAMAK_RETENTION_DAYS,
+      retentionAction: env.TOKAMAK_RETENTION_ACTION
+    });
+  }
+
+  get archiveDir() {
+    return path.join(this.repoBase, ARCHIVE_DIR);
+  }
+
+  // sessionId가 없으면 legacy 경로 (forge.sh와 같은 위치)
+  repoPath(gameName, sessionId = null) {
+    return sessionId
+      ? path.join(this.repoBase, sessionId, `${gameName}.git`)
+      : path.join(this.repoBase, `${gameName}.git`);
+  }
+
+  workDir(gameName, sessionId = null) {
+    return sessionId
+      ? path.join(this.workBase, sessionId, gameName)
+      : path.join(this.workBase, gameName);
+  }
+
+  // --- Listing ---
+
+  async entry(id, sessionId, gameName, options = {}) {
+    const repoPath = this.repoPath(gameName, sessionId);
+    const workDir = this.workDir(gameName, sessionId);
+    let updatedAt = 0;
+    try {
+      updatedAt = Number(await git(['--git-dir', repoPath, 'log', '-1', '--all', '--format=%ct'])) * 1000;
+    } catch {}
+    // 커밋이 없는 repo는 디렉토리 수정 시각 기준
+    if (!updatedAt) updatedAt = (await fs.promises.stat(repoPath)).mtimeMs;
+
+    const entry = {
+      id,
+      type: 'repo',
+      sessionId,
+      gameName,
+      repoPath,
+      workDir: fs.existsSync(workDir) ? workDir : null,
+      updatedAt
+    };
+    if (options.sizes) await this.measure(entry);
+    return entry;
+  }
+
+  // repoBytes/workBytes 채우기 — 전체 디렉토리를 훑으므로 필요할 때만
+  async measure(entry) {
+    entry.repoBytes = await diskUsage(entry.repoPath);
+    entry.workBytes = await diskUsage(this.workDir(entry.gameName, entry.sessionId));
+    return entry;
+  }
+
+  // 저장된 bare repo 목록 (최근 커밋 순). sizes: true면 디스크 사용량 포함
+  async list(options = {}) {
+    const entries = [];
+    for (const name of await readDirs(this.repoBase)) {
+      if (name === ARCHIVE_DIR) continue;
+      if (name.endsWith('.git')) {
+        const gameName = name.slice(0, -4);
+        entries.push(await this.entry(`legacy-${gameName}`, null, gameName, options));
+        continue;
+      }
+      for (const child of await readDirs(path.join(this.repoBase, name))) {
+        if (child.endsWith('.git')) entries.push(await this.entry(name, name, child.slice(0, -4), options));
+      }
+    }
+    return entries.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  // 보관된 bundle 목록 (마지막 커밋 순)
+  async archives() {
+    const archives = [];
+    for (const gameName of await readDirs(this.archiveDir)) {
+      const dir = path.join(this.archiveDir, gameName);
+      for (const file of await fs.promises.readdir(dir)) {
+        if (!file.endsWith('.bundle')) continue;
+        const filePath = path.join(dir, file);
+        const stat = await fs.promises.stat(filePath);
+        archives.push({
+          id: `archive-${gameName}-${file.slice(0, -7)}`,
+          type: 'archive',
+          gameName,
+          path: filePath,
+          bytes: stat.size,
+          updatedAt: stat.mtimeMs // archive()가 repo의 마지막 커밋 시각으로 맞춰 둠
+        });
+      }
+    }
+    return archives.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async get(id) {
+    return (await this.list()).find(e => e.id === id) ||
+      (await this.archives()).find(a => a.id === id) ||
+      null;
+  }
+
+  // continue 모드용: 같은 게임의 가장 최근 repo, 없으면 가장 최근 bundle
+  async latest(gameName) {
+    return (await this.list()).find(e => e.gameName === gameName) ||
+      (await this.archives()).find(a => a.gameName === gameName) ||
+      null;
+  }
+
+  // --- Cleanup ---
+
+  // bare repo 전체를 git bundle 하나로 보관 — 커밋이 없으면 보관할 것이 없으므로 null
+  async archive(entry) {
+    const count = await git(['--git-dir', entry.repoPath, 'rev-list', '--all', '--count']);
+    if (count === '0') return null;
+
+    const dir = path.join(this.archiveDir, entry.gameName);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${entry.sessionId || 'legacy'}-${Date.now()}.bundle`);
+    await git(['--git-dir', entry.repoPath, 'bundle', 'create', file, '--all'], { timeout: 0 });
+    const updatedAt = new Date(entry.updatedAt);
+    fs.utimesSync(file, updatedAt, updatedAt);
+    return file;
+  }
+
+  // repo + 작업 디렉토리 삭제 (archive: true면 먼저 bundle로 보관). bundle 항목은 파일만 삭제.
+  async purge(entry, options = {}) {
+    if (entry.type === 'archive') {
+      fs.rmSync(entry.path, { force: true });
+      removeIfEmpty(path.dirname(entry.path), this.archiveDir);
+      return { id: entry.id, freedBytes: entry.bytes, archive: null };
+    }
+
+    if (entry.repoBytes === undefined) await this.measure(entry);
+    const bundle = options.archive ? await this.archive(entry) : null;
+    const workDir = this.workDir(entry.gameName, entry.sessionId);
+    fs.rmSync(entry.repoPath, { recursive: true, force: true });
+    fs.rmSync(hooksDir(entry.repoPath), { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+    removeIfEmpty(path.dirname(entry.repoPath), this.repoBase);
+    removeIfEmpty(path.dirname(workDir), this.workBase);
+
+    return {
+      id: entry.id,
+      freedBytes: entry.repoBytes + entry.workBytes - (bundle ? await diskUsage(bundle) : 0),
+      archive: bundle
+    };
+  }
+
+  // 다른 세션의 repo를 newRepoPath로 옮겨 이어서 사용 (bundle이면 clone으로 복원). 이전 작업 디렉토리는 삭제.
+  async adopt(entry, newRepoPath) {
+    fs.mkdirSync(path.dirname(newRepoPath), { recursive: true });
+    if (entry.type === 'archive') {
+      await git(['clone', '--bare', entry.path, newRepoPath], { timeout: 0 });
+      await git(['--git-dir', newRepoPath, 'remote', 'remove', 'origin']);
+      return;
+    }
+    fs.renameSync(entry.repoPath, newRepoPath);
+    fs.rmSync(hooksDir(entry.repoPath), { recursive: true, force: true }); // forge가 새 위치에 다시 설치
+    const workDir = this.workDir(entry.gameName, entry.sessionId);
+    fs.rmSync(workDir, { recursive: true, force: true });
+    removeIfEmpty(path.dirname(entry.repoPath), this.repoBase);
+    removeIfEmpty(path.dirname(workDir), this.workBase);
+  }
+
+  // 보존 정책 적용 — inUse(entry)가 true인 repo(실행 중인 세션)는 건너뜀
+  // options로 days/action을 덮어쓰면 수동 정리에도 사용 (days: 0이면 사용 중이 아닌 repo 전부)
+  async sweep(inUse = () => false, options = {}) {
+    const days = options.days !== undefined ? options.days : this.retentionDays;
+    const action = options.action || this.retentionAction;
+    if (options.days === undefined && !days) return [];
+
+    const cutoff = (options.now || Date.now()) - days * DAY;
+    const results = [];
+    for (const entry of await this.list()) {
+      if (entry.updatedAt > cutoff || inUse(entry)) continue;
+      try {
+        results.push(await this.purge(entry, { archive: action === 'archive' }));
+        console.log(`[RepoStore] ${action === 'archive' ? 'Archived' : 'Deleted'} ${entry.repoPath}`);
+      } catch (err) {
+        console.error(`[RepoStore] Failed to clean up ${entry.repoPath}: ${err.message}`);
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = { RepoStore, RETENTION_ACTIONS, diskUsage };
@@ -0,0 +1,279 @@
+/**
+ * router.js — 대시보드 REST API 라우터
+ *
+ * 메서드 + 경로 패턴("/api/sessions/:id/agents/:agentId")으로 핸들러를 등록하고,
+ * 요청마다 req.params / req.query / req.body를 채워 호출.
+ * 요청 body는 크기 제한과 JSON schema(부분 집합)로 검증하며,
+ * 핸들러가 HttpError를 던지면 { error, code, details } 형태로 응답.
+ */
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+
+const ERROR_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  500: 'INTERNAL_ERROR'
+};
+
+class HttpError extends Error {
+  constructor(status, message, options = {}) {
+    super(message);
+    this.status = status;
+    this.code = options.code || ERROR_CODES[status] || 'ERROR';
+    this.details = options.details;
+  }
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// 모든 API 에러 응답의 공통 형태: { error: message, code, details? }
+function sendError(res, err) {
+  if (!(err instanceof HttpError)) {
+    console.error('[Server] Request error:', err);
+    err = new HttpError(500, 'Internal server error');
+  }
+  if (res.headersSent) {
+    res.end();
+    return;
+  }
+  const body = { error: err.message, code: err.code };
+  if (err.details) body.details = err.details;
+  sendJSON(res, err.status, body);
+}
+
+// JSON body parser (express 없이 직접 구현) — limit 바이트를 넘으면 413
+function parseBody(req, options = {}) {
+  const limit = options.limit || MAX_BODY_SIZE;
+
+  return new Promise((resolve, reject) => {
+    const declared = parseInt(req.headers['content-length'], 10);
+    if (declared > limit) {
+      req.resume();
+      reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', chunk => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > limit) {
+        aborted = true;
+        reject(new HttpError(413, `Request body exceeds ${limit} bytes`));
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (aborted) return;
+      const body = Buffer.concat(chunks).toString('utf-8');
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch {
+        reject(new HttpError(400, 'Invalid JSON', { code: 'INVALID_JSON' }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// --- JSON schema validation ---
+// 지원 키워드: type, properties, required, additionalProperties(boolean),
+// items, minItems, maxItems, enum, minLength, maxLength, pattern, minimum, maximum
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+// 에러 목록 [{ path, message }] 반환 (비어 있으면 유효)
+function validate(schema, value, path = 'body') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `${path} must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `${path} must be one of: ${schema.enum.map(String).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: schema.minLength === 1 ? `${path} is required` : `${path} must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `${path} must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `${path} must match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${path} must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${path} must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: `${path}.${key} is required` });
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validate(properties[key], child, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: `${path}.${key} is not allowed` });
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${path} must have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${path} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  return errors;
+}
+
+// --- Router ---
+
+// "/api/sessions/:id" → { regex, keys: ['id'] }
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern.split('/').map(segment => {
+    if (!segment.startsWith(':')) return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    keys.push(segment.slice(1));
+    return '([^/]+)';
+  }).join('/');
+  return { regex: new RegExp(`^${source}/?$`), keys };
+}
+
+class Router {
+  constructor(options = {}) {
+    this.routes = [];
+    this.hooks = [];
+    this.bodyLimit = options.bodyLimit || MAX_BODY_SIZE;
+  }
+
+  // hook(req, res, route) — 핸들러 실행 전 호출 (인증 등). HttpError를 던져 요청 거부.
+  use(hook) {
+    this.hooks.push(hook);
+    return this;
+  }
+
+  // options: { body: schema, bodyLimit, ...라우트별 메타데이터 (hook에서 route.options로 참조) }
+  add(method, pattern, handler, options = {}) {
+    this.routes.push({ method, pattern, handler, options, ...compilePattern(pattern) });
+    return this;
+  }
+
+  get(pattern, handler, options) {
+    return this.add('GET', pattern, handler, options);
+  }
+
+  post(pattern, handler, options) {
+    return this.add('POST', pattern, handler, options);
+  }
+
+  // { route, params } | { allowed: [methods] } | null
+  match(method, pathname) {
+    const allowed = [];
+    for (const route of this.routes) {
+      const m = pathname.match(route.regex);
+      if (!m) continue;
+      if (route.method !== method) {
+        allowed.push(route.method);
+        continue;
+      }
+      const params = {};
+      route.keys.forEach((key, i) => {
+        params[key] = decodeURIComponent(m[i + 1]);
+      });
+      return { route, params };
+    }
+    return allowed.length > 0 ? { allowed } : null;
+  }
+
+  // 등록된 경로가 아니면 false 반환 (정적 파일 등 다음 처리로 넘김)
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    let found;
+    try {
+      found = this.match(req.method, url.pathname);
+    } catch {
+      sendError(res, new HttpError(400, 'Malformed URL'));
+      return true;
+    }
+    if (!found) return false;
+
+    try {
+      if (found.allowed) {
+        res.setHeader('Allow', [...new Set(found.allowed)].join(', '));
+        throw new HttpError(405, `Method ${req.method} not allowed`);
+      }
+
+      const { route, params } = found;
+      req.route = route;
+      req.params = params;
+      req.query = Object.fromEntries(url.searchParams);
+
+      for (const hook of this.hooks) {
+        await hook(req, res, route);
+      }
+
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        req.body = await parseBody(req, { limit: route.options.bodyLimit || this.bodyLimit });
+        if (route.options.body) {
+          const errors = validate(route.options.body, req.body);
+          if (errors.length > 0) {
+            throw new HttpError(400, errors[0].message, { code: 'VALIDATION_ERROR', details: errors });
+          }
+        }
+      }
+
+      await route.handler(req, res);
+    } catch (err) {
+      sendError(res, err);
+    }
+    return true;
+  }
+}
+
+module.exports = { Router, HttpError, parseBody, validate, sendJSON, sendError, MAX_BODY_SIZE };
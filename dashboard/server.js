@@ -6,14 +6,29 @@
  */
 
 const http = require('http');
-const https = require('https');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const { URL } = require('url');
 const { WebSocketServer } = require('ws');
 const { RepoWatcher } = require('./watcher');
 const { SessionManager, STATUS } = require('./session');
-const { ForgeProcess } = require('./forge');
+const { SessionStore } = require('./store');
+const { normalizeBudget, evaluateBudget, overBudgetAgents } = require('./budget');
+const { Auth, redactToken } = require('./auth');
+const { AuditLog } = require('./audit');
+const { Router, HttpError, sendJSON, sendError } = require('./router');
+const { StaticFiles } = require('./static');
+const { LLMClient } = require('./llm');
+const { ForgeProcess, FORGE_MODES, resolveImportSource } = require('./forge');
+const { RepoStore, RETENTION_ACTIONS } = require('./repo-store');
+const { GamePublisher, PublishError, gameId } = require('./publish');
+const { PreviewManager, PREVIEW_CSP } = require('./preview');
+const { CommitTestRunner } = require('./test-runner');
+const { PushGateMonitor, isGateInstalled, readPushLog, gatedPush } = require('./push-gate');
+const { LOCK_TTL, reclaimLocks } = require('./task-locks');
+const { GenreRegistry } = require('./genres');
+const { parseSpec, SPEC_MANIFEST } = require('./spec-parser');
 const { DockerManager } = require('./docker-manager');
 
 // Load .env file if present
@@ -35,271 +50,882 @@ if (fs.existsSync(envPath)) {
 
 const PORT = process.env.PORT || 3000;
 const PROJECT_ROOT = path.resolve(__dirname, '..');
+const DATA_DIR = process.env.DASHBOARD_DATA_DIR || path.join(__dirname, 'data');
+const MAX_AGENTS = 5;
+const BUDGET_CHECK_INTERVAL = 30000; // wall-clock 한도 검사 주기
+const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000; // 저장된 repo 보존 기간 검사 주기
+const TEST_TIMEOUT = (Number(process.env.TOKAMAK_TEST_TIMEOUT) || 120) * 1000; // 커밋별 테스트 제한 시간
+const TEST_SANDBOX = process.env.TOKAMAK_TEST_SANDBOX === 'local' ? 'local' : 'docker'; // 커밋 테스트 실행 위치
+const TASK_LOCK_TTL = Number(process.env.TOKAMAK_LOCK_TTL) || LOCK_TTL; // 초, 갱신 없는 current_tasks 잠금이 stale이 되는 시간
+const AUTO_RECLAIM_LOCKS = process.env.TOKAMAK_LOCK_RECLAIM === 'auto'; // stale 잠금을 바로 abandoned_tasks/로
 
-const sessionManager = new SessionManager();
-const dockerManager = new DockerManager({ projectRoot: PROJECT_ROOT });
-let watcher = null;
+const staticFiles = new StaticFiles(path.join(__dirname, 'public'));
+const llm = LLMClient.fromEnv();
+const genres = new GenreRegistry(PROJECT_ROOT);
+const repoStore = RepoStore.fromEnv();
+const publisher = new GamePublisher({ projectRoot: PROJECT_ROOT, artifactsDir: path.join(DATA_DIR, 'artifacts') });
+const previews = new PreviewManager();
+const auth = Auth.fromEnv();
+const auditLog = new AuditLog(path.join(DATA_DIR, 'audit.jsonl'));
+const sessionStore = new SessionStore(path.join(DATA_DIR, 'sessions.json'));
+const sessionManager = new SessionManager({
+  store: sessionStore,
+  // forge 라이프사이클 전환을 감사 로그에 기록
+  onStatusChange: (session, from, to) => {
+    auditLog.record({
+      action: 'session.status',
+      sessionId: session.id,
+      details: { gameName: session.gameName, from, to }
+    });
+  }
+});
+
+// --- Routes ---
+
+const router = new Router();
+
+// 인증: route.options.public이 아니면 조회(GET)는 viewer, 변경은 operator 권한 필요
+router.use((req, res, route) => {
+  if (res.audit && route.options.audit) res.audit.action = route.options.audit;
+  if (route.options.public) return;
 
-// Serve static files
-const MIME_TYPES = {
-  '.html': 'text/html',
-  '.js': 'text/javascript',
-  '.css': 'text/css',
-  '.json': 'application/json'
+  req.user = auth.authenticate(req);
+  if (!req.user) {
+    throw new HttpError(401, 'Authentication required');
+  }
+  const required = route.options.role || (req.method === 'GET' ? 'viewer' : 'operator');
+  if (!auth.hasRole(req.user, required)) {
+    throw new HttpError(403, `${required} role required`);
+  }
+});
+
+// --- Request schemas ---
+
+const LOGIN_SCHEMA = {
+  type: 'object',
+  required: ['username', 'password'],
+  properties: {
+    username: { type: 'string', maxLength: 200 },
+    password: { type: 'string', maxLength: 200 }
+  }
 };
 
-// JSON body parser (express 없이 직접 구현)
-function parseBody(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => { body += chunk; });
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (err) {
-        reject(new Error('Invalid JSON'));
-      }
-    });
-    req.on('error', reject);
-  });
+const GAME_NAME_SCHEMA = { type: 'string', minLength: 1, maxLength: 100, pattern: '^[a-zA-Z0-9_-]+$' };
+
+const VALIDATE_GAME_SCHEMA = {
+  type: 'object',
+  required: ['gameName'],
+  properties: {
+    gameName: { type: 'string', minLength: 1, maxLength: 100 }
+  }
+};
+
+// agentCount는 범위 밖이면 clamp, 잘못된 값이면 기본값 3 (normalizeBudget이 budget 필드 검증)
+const FORGE_SCHEMA = {
+  type: 'object',
+  required: ['gameName'],
+  properties: {
+    gameName: GAME_NAME_SCHEMA,
+    agentCount: { type: ['integer', 'string', 'null'] },
+    gameDescription: { type: 'string', maxLength: 4000 },
+    budget: { type: ['object', 'null'] },
+    reviewSpec: { type: 'boolean' },
+    genre: { type: ['string', 'null'], enum: [...genres.ids(), null] },
+    mode: { type: 'string', enum: FORGE_MODES },
+    source: { type: 'string', maxLength: 1000 },
+    requirements: { type: 'string', maxLength: 8000 }
+  }
+};
+
+const REPO_PURGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    archive: { type: 'boolean' }
+  }
+};
+
+const REPO_SWEEP_SCHEMA = {
+  type: 'object',
+  properties: {
+    olderThanDays: { type: 'number', minimum: 0 },
+    action: { type: 'string', enum: RETENTION_ACTIONS }
+  }
+};
+
+const PUBLISH_SCHEMA = {
+  type: 'object',
+  properties: {
+    commit: { type: 'string', minLength: 1, maxLength: 100, pattern: '^[0-9A-Za-z][\\w./^~-]*$' },
+    title: { type: 'string', minLength: 1, maxLength: 100 },
+    description: { type: 'string', maxLength: 500 }
+  }
+};
+
+const LOCK_RECLAIM_SCHEMA = {
+  type: 'object',
+  properties: {
+    files: { type: 'array', maxItems: 50, items: { type: 'string', minLength: 1, maxLength: 200 } }
+  }
+};
+
+const SPEC_APPROVE_SCHEMA = {
+  type: 'object',
+  properties: {
+    content: { type: 'string', minLength: 1, maxLength: 200000 }
+  }
+};
+
+const SPEC_REGENERATE_SCHEMA = {
+  type: 'object',
+  required: ['feedback'],
+  properties: {
+    feedback: { type: 'string', minLength: 1, maxLength: 4000 }
+  }
+};
+
+const BUDGET_SCHEMA = {
+  type: 'object',
+  required: ['budget'],
+  properties: {
+    budget: { type: ['object', 'null'] }
+  }
+};
+
+const SCALE_SCHEMA = {
+  type: 'object',
+  required: ['agentCount'],
+  properties: {
+    agentCount: { type: 'integer', minimum: 1, maximum: MAX_AGENTS }
+  }
+};
+
+const INSTRUCT_SCHEMA = {
+  type: 'object',
+  required: ['instruction'],
+  properties: {
+    instruction: { type: 'string', minLength: 1, maxLength: 4000 }
+  }
+};
+
+function findSession(id) {
+  const session = sessionManager.get(id);
+  if (!session) throw new HttpError(404, `Session not found: ${id}`);
+  return session;
 }
 
-function sendJSON(res, status, data) {
-  res.writeHead(status, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(data));
+function parseBudget(input) {
+  try {
+    return normalizeBudget(input);
+  } catch (err) {
+    throw new HttpError(400, err.message, { code: 'VALIDATION_ERROR' });
+  }
 }
 
-// LLM API call (OpenAI-compatible endpoint)
-function callLLM(messages, model) {
-  return new Promise((resolve, reject) => {
-    const baseUrl = process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com';
-    const apiKey = process.env.ANTHROPIC_API_KEY;
-    const url = new URL('/v1/chat/completions', baseUrl);
-    const payload = JSON.stringify({
-      model: model || 'claude-haiku-4.5',
-      messages,
-      max_tokens: 512
-    });
-    const mod = url.protocol === 'https:' ? https : http;
-    const req = mod.request(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${apiKey}`
-      }
-    }, (res) => {
-      let body = '';
-      res.on('data', (c) => { body += c; });
-      res.on('end', () => {
-        try {
-          const data = JSON.parse(body);
-          const content = data.choices?.[0]?.message?.content || '';
-          resolve(content);
-        } catch (e) {
-          reject(new Error('Failed to parse LLM response'));
-        }
-      });
-    });
-    req.on('error', reject);
-    req.setTimeout(30000, () => { req.destroy(); reject(new Error('LLM request timeout')); });
-    req.write(payload);
-    req.end();
-  });
+// 세션 단위 라우트 등록: /api/sessions/:id[/action]
+// options.legacy가 있으면 같은 핸들러를 가장 최근 활성 세션 대상 경로로도 등록 (단일 세션 API 호환)
+function sessionRoute(method, action, handler, options = {}) {
+  const { legacy, ...routeOptions } = options;
+  const run = (req, res, session) => {
+    if (res.audit) res.audit.sessionId = session.id;
+    return handler(req, res, session);
+  };
+
+  router.add(method, `/api/sessions/:id${action ? `/${action}` : ''}`,
+    (req, res) => run(req, res, findSession(req.params.id)), routeOptions);
+
+  if (!legacy) return;
+  router.add(method, legacy, (req, res) => {
+    const session = sessionManager.getActive();
+    if (session) return run(req, res, session);
+    if (method !== 'GET') throw new HttpError(404, 'No active session');
+    sendJSON(res, 200, action === '' ? { session: null } : {});
+  }, routeOptions);
 }
 
-const server = http.createServer(async (req, res) => {
-  // CORS headers
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// --- Auth endpoints (인증 불필요) ---
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204);
-    res.end();
+// GET /api/me — 현재 사용자 및 인증 설정
+router.get('/api/me', (req, res) => {
+  sendJSON(res, 200, { authEnabled: auth.enabled, user: auth.authenticate(req) });
+}, { public: true });
+
+// POST /api/login — { username, password } → 토큰 + HttpOnly 쿠키
+router.post('/api/login', (req, res) => {
+  if (!auth.enabled) {
+    throw new HttpError(400, 'Authentication is disabled');
+  }
+  const { username, password } = req.body;
+  res.audit.actor = username;
+  const login = auth.login(username, password);
+  if (!login) {
+    throw new HttpError(401, 'Invalid username or password');
+  }
+  res.setHeader('Set-Cookie', auth.sessionCookie(login.token));
+  sendJSON(res, 200, { token: login.token, user: { name: login.name, role: login.role } });
+}, { public: true, body: LOGIN_SCHEMA, audit: 'auth.login' });
+
+// POST /api/logout
+router.post('/api/logout', (req, res) => {
+  auth.logout(req);
+  res.setHeader('Set-Cookie', auth.clearCookie());
+  sendJSON(res, 200, { ok: true });
+}, { public: true, audit: 'auth.logout' });
+
+// --- Audit ---
+
+// GET /api/audit — 감사 로그 조회 (?sessionId, action, actor, since, until, limit)
+router.get('/api/audit', (req, res) => {
+  sendJSON(res, 200, { entries: auditLog.query(req.query) });
+});
+
+// GET /api/audit/export — 필터에 맞는 전체 기록을 JSONL 파일로
+router.get('/api/audit/export', (req, res) => {
+  const entries = auditLog.query({ limit: 0, ...req.query });
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="tokamak-audit-${Date.now()}.jsonl"`
+  });
+  res.end(auditLog.toJSONL(entries));
+});
+
+// --- Sessions ---
+
+// GET /api/sessions — 전체 세션 목록
+router.get('/api/sessions', (req, res) => {
+  sendJSON(res, 200, { sessions: sessionManager.list().map(s => s.toJSON()) });
+});
+
+// GET /api/sessions/:id — 세션 정보
+sessionRoute('GET', '', (req, res, session) => {
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { legacy: '/api/session' });
+
+// GET /api/sessions/:id/state — 세션 watcher 상태
+sessionRoute('GET', 'state', (req, res, session) => {
+  sendJSON(res, 200, session.watcher ? session.watcher.getState() : {});
+}, { legacy: '/api/state' });
+
+// GET /api/sessions/:id/tests — 커밋별 테스트 결과 (최신 먼저), 실행 중·대기 중인 커밋
+sessionRoute('GET', 'tests', (req, res, session) => {
+  if (!session.repoPath) {
+    sendJSON(res, 200, { runs: [], current: null, queued: [] });
     return;
   }
+  sendJSON(res, 200, testRunnerFor(session).list());
+});
+
+// GET /api/sessions/:id/tests/:commit — 한 커밋의 테스트별 결과와 실패 출력
+sessionRoute('GET', 'tests/:commit', (req, res, session) => {
+  const record = session.repoPath ? testRunnerFor(session).get(req.params.commit) : null;
+  if (!record) throw new HttpError(404, `No test run for commit: ${req.params.commit}`);
+  sendJSON(res, 200, { run: record });
+});
+
+// GET /api/sessions/:id/pushes — pre-receive 테스트 게이트의 최근 push 결과 (최신 먼저)
+sessionRoute('GET', 'pushes', (req, res, session) => {
+  if (!session.repoPath) {
+    sendJSON(res, 200, { enabled: false, pushes: [] });
+    return;
+  }
+  sendJSON(res, 200, { enabled: isGateInstalled(session.repoPath), pushes: readPushLog(session.repoPath) });
+});
+
+// POST /api/sessions/:id/locks/reclaim — { files? } stale 잠금을 abandoned_tasks/로 옮겨 커밋 (생략하면 stale 잠금 전부)
+sessionRoute('POST', 'locks/reclaim', async (req, res, session) => {
+  if (!session.watcher || !session.repoPath) {
+    throw new HttpError(409, `Session is not running (${session.status})`);
+  }
+  const locks = session.watcher.getState().currentTasks;
+  const stale = locks.filter(task => task.stale).map(task => task.file);
+  const files = req.body.files || stale;
+  for (const file of files) {
+    if (!locks.some(task => task.file === file)) throw new HttpError(404, `Task lock not found: ${file}`);
+    if (!stale.includes(file)) throw new HttpError(409, `Task lock has not expired: ${file}`);
+  }
+  res.audit.details = { files };
+  const result = files.length > 0
+    ? await reclaimStaleLocks(session, files, req.user ? req.user.name : 'operator')
+    : { commit: null, reclaimed: [], renewed: [], missing: [] };
+  sendJSON(res, 200, result);
+}, { body: LOCK_RECLAIM_SCHEMA, audit: 'session.locks-reclaim' });
+
+// GET /api/sessions/:id/preview — iframe에 넣을 미리보기 주소 (세션 key 포함)
+sessionRoute('GET', 'preview', (req, res, session) => {
+  sendJSON(res, 200, { url: previews.url(session.id) });
+});
 
+// GET /api/sessions/:id/analytics — 에이전트별·파일별 변경 줄 수, hot file, 커밋별 numstat
+sessionRoute('GET', 'analytics', (req, res, session) => {
+  sendJSON(res, 200, session.watcher ? session.watcher.getAnalytics() : {});
+}, { legacy: '/api/analytics' });
+
+// GET /api/sessions/:id/logs — 작업 디렉토리 로그 파일
+sessionRoute('GET', 'logs', (req, res, session) => {
+  sendJSON(res, 200, readWorkLogs(session));
+}, { legacy: '/api/logs' });
+
+// GET /api/sessions/:id/usage — 에이전트별/세션 토큰·비용 사용량
+sessionRoute('GET', 'usage', (req, res, session) => {
+  sendJSON(res, 200, { sessionId: session.id, ...session.usageSummary(), recent: session.usage.recent });
+}, { legacy: '/api/session/usage' });
+
+// GET /api/sessions/:id/agents — 컨테이너 상태
+sessionRoute('GET', 'agents', async (req, res, session) => {
+  const agents = session.docker ? await session.docker.getStatus() : {};
+  sendJSON(res, 200, { agents });
+});
+
+// POST /api/sessions/:id/budget — 예산 한도 변경 (이전 경고 기록 초기화)
+sessionRoute('POST', 'budget', async (req, res, session) => {
+  session.budget = parseBudget(req.body.budget);
+  session.budgetAlerts = [];
+  res.audit.details = { budget: session.budget };
+  session.addLog(`Budget updated: ${JSON.stringify(session.budget)}`);
+  if (session.status === STATUS.RUNNING && session.docker) await releaseBudgetPaused(session);
+  if (session.isLaunched()) await enforceBudget(session);
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { body: BUDGET_SCHEMA, audit: 'session.budget' });
+
+// POST /api/sessions/:id/stop — 세션 에이전트 중지
+sessionRoute('POST', 'stop', async (req, res, session) => {
+  if (!session.isActive()) {
+    throw new HttpError(409, `Session already stopped: ${session.id}`);
+  }
+  await stopSession(session);
+  sendJSON(res, 200, { ok: true });
+}, { legacy: '/api/session/stop', audit: 'session.stop' });
+
+// POST /api/sessions/:id/pause — 모든 에이전트 컨테이너 일시정지
+sessionRoute('POST', 'pause', async (req, res, session) => {
+  if (session.status !== STATUS.RUNNING || !session.docker) {
+    throw new HttpError(409, `Session is not running (${session.status})`);
+  }
+  await session.docker.pauseAll();
+  session.setStatus(STATUS.PAUSED);
+  session.addLog('Agents paused');
+  await broadcastSessionUpdate(session, 'paused');
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { legacy: '/api/session/pause', audit: 'session.pause' });
+
+// POST /api/sessions/:id/resume — 일시정지된 컨테이너 재개
+sessionRoute('POST', 'resume', async (req, res, session) => {
+  if (session.status !== STATUS.PAUSED || !session.docker) {
+    throw new HttpError(409, `Session is not paused (${session.status})`);
+  }
+  // 예산을 넘은 에이전트는 예산을 올리기 전까지 계속 일시정지
+  const overBudget = overBudgetAgents(session).map(a => a.agentId);
+  await session.docker.unpauseAll(overBudget);
+  session.setStatus(STATUS.RUNNING);
+  session.addLog(overBudget.length > 0 ? `Agents resumed (agent ${overBudget.join(', ')} kept paused: over budget)` : 'Agents resumed');
+  await broadcastSessionUpdate(session, 'resumed');
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { legacy: '/api/session/resume', audit: 'session.resume' });
+
+// POST /api/sessions/:id/scale — { agentCount } 로 에이전트 추가/제거
+sessionRoute('POST', 'scale', async (req, res, session) => {
+  const target = req.body.agentCount;
+  res.audit.details = { from: session.agentCount, to: target };
+
+  if (session.status !== STATUS.RUNNING || !session.docker) {
+    throw new HttpError(409, `Session must be running to scale (${session.status})`);
+  }
+  await scaleSession(session, target);
+  await broadcastSessionUpdate(session, 'scaled');
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { legacy: '/api/session/scale', body: SCALE_SCHEMA, audit: 'session.scale' });
+
+// GET /api/sessions/:id/spec — SPEC.md (검토 대기 중이면 승인 전 초안)와 파싱된 모듈 매니페스트
+sessionRoute('GET', 'spec', (req, res, session) => {
+  if (session.specReview) {
+    const content = session.specReview.content;
+    sendJSON(res, 200, { content, manifest: parseSpec(content), awaitingReview: true });
+    return;
+  }
+  const specPath = session.workDir && path.join(session.workDir, 'SPEC.md');
+  if (!specPath || !fs.existsSync(specPath)) {
+    throw new HttpError(404, 'SPEC.md has not been generated yet');
+  }
+  const content = fs.readFileSync(specPath, 'utf-8');
+  let manifest;
   try {
-    // --- REST API endpoints ---
+    manifest = JSON.parse(fs.readFileSync(path.join(session.workDir, SPEC_MANIFEST), 'utf-8'));
+  } catch {
+    manifest = parseSpec(content);
+  }
+  sendJSON(res, 200, { content, manifest, awaitingReview: false });
+});
 
-    // GET /api/state — 기존 watcher 상태
-    if (req.url === '/api/state' && req.method === 'GET') {
-      const state = watcher ? watcher.getState() : {};
-      sendJSON(res, 200, state);
-      return;
-    }
+// POST /api/sessions/:id/spec/approve — { content? } 수정한 SPEC.md로 승인하고 forge 계속
+sessionRoute('POST', 'spec/approve', (req, res, session) => {
+  const review = takeSpecReview(session);
+  const edited = typeof req.body.content === 'string' && req.body.content !== review.content;
+  res.audit.details = { edited };
+  review.resolve({ action: 'approve', content: req.body.content });
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { body: SPEC_APPROVE_SCHEMA, audit: 'session.spec-approve' });
 
-    // GET /api/logs — 기존 로그 조회
-    if (req.url === '/api/logs' && req.method === 'GET') {
-      const session = sessionManager.getActive();
-      if (!session || !session.workDir) {
-        sendJSON(res, 200, {});
-        return;
-      }
-      const logsDir = path.join(session.workDir, 'logs');
-      try {
-        const files = fs.readdirSync(logsDir).filter(f => f.endsWith('.log'));
-        const logs = {};
-        files.forEach(f => {
-          const content = fs.readFileSync(path.join(logsDir, f), 'utf-8');
-          const lines = content.split('\n');
-          logs[f] = lines.slice(-50);
-        });
-        sendJSON(res, 200, logs);
-      } catch {
-        sendJSON(res, 200, {});
-      }
-      return;
+// POST /api/sessions/:id/spec/regenerate — { feedback } 피드백을 반영해 SPEC.md 재생성
+sessionRoute('POST', 'spec/regenerate', (req, res, session) => {
+  const review = takeSpecReview(session);
+  res.audit.details = { feedback: req.body.feedback };
+  review.resolve({ action: 'regenerate', feedback: req.body.feedback });
+  sendJSON(res, 200, { session: session.toJSON() });
+}, { body: SPEC_REGENERATE_SCHEMA, audit: 'session.spec-regenerate' });
+
+function takeSpecReview(session) {
+  const review = session.specReview;
+  if (!review) {
+    throw new HttpError(409, `Session is not waiting for SPEC review (${session.status})`);
+  }
+  session.specReview = null;
+  return review;
+}
+
+// --- Publish ---
+
+// GET /api/sessions/:id/publish — 게임 허브에 배포된 정보와 zip 아티팩트 목록
+sessionRoute('GET', 'publish', (req, res, session) => {
+  const id = gameId(session.gameName);
+  const published = publisher.readManifest().games.find(g => g.id === id) || null;
+  sendJSON(res, 200, { published, artifacts: publisher.listArtifacts(id) });
+});
+
+// POST /api/sessions/:id/publish — { commit?, title?, description? } src/를 games/<id>/로 배포하고 zip 생성
+sessionRoute('POST', 'publish', (req, res, session) => {
+  if (!session.repoPath || !fs.existsSync(session.repoPath)) {
+    throw new HttpError(409, 'Session has no repo to publish yet');
+  }
+  const { commit = 'main', title, description } = req.body;
+  let result;
+  try {
+    result = publisher.publish({ repoPath: session.repoPath, gameName: session.gameName, commit, title, description, sessionId: session.id });
+  } catch (err) {
+    if (err instanceof PublishError) {
+      throw new HttpError(422, err.message, { code: 'PUBLISH_FAILED', details: err.problems });
     }
+    throw err;
+  }
+  res.audit.details = { commit: result.commit, path: result.path, artifact: result.artifact.name };
+  session.addLog(`Published ${result.commit.slice(0, 7)} to games${result.path} (${result.files} files, ${result.artifact.name})`);
+  sendJSON(res, 200, { published: result });
+}, { body: PUBLISH_SCHEMA, audit: 'session.publish' });
 
-    // GET /api/session — 현재 활성 세션 정보
-    if (req.url === '/api/session' && req.method === 'GET') {
-      const session = sessionManager.getActive();
-      sendJSON(res, 200, { session: session ? session.toJSON() : null });
-      return;
+// GET /api/sessions/:id/artifacts/:name — zip 다운로드 (이 세션 게임의 아티팩트만)
+sessionRoute('GET', 'artifacts/:name', (req, res, session) => {
+  const { name } = req.params;
+  const file = name.startsWith(`${gameId(session.gameName)}-`) && publisher.artifactPath(name);
+  if (!file) throw new HttpError(404, `Artifact not found: ${name}`);
+  res.writeHead(200, {
+    'Content-Type': 'application/zip',
+    'Content-Length': fs.statSync(file).size,
+    'Content-Disposition': `attachment; filename="${name}"`
+  });
+  fs.createReadStream(file).pipe(res);
+});
+
+// --- Agent routes ---
+
+// 세션이 실행 중이고 해당 에이전트 컨테이너가 있어야 함 (stop은 일시정지 중에도 허용)
+function agentRoute(action, handler, options = {}) {
+  sessionRoute('POST', `agents/:agentId/${action}`, async (req, res, session) => {
+    const { agentId } = req.params;
+    res.audit.details = { agentId };
+
+    if (!session.docker || !session.docker.containers.has(agentId)) {
+      throw new HttpError(404, `Agent ${agentId} not found in session ${session.id}`);
+    }
+    if (action !== 'stop' && session.status !== STATUS.RUNNING) {
+      throw new HttpError(409, `Session is not running (${session.status})`);
     }
 
-    // POST /api/validate-game — 게임 이름 검증 (모호하면 설명 요청)
-    if (req.url === '/api/validate-game' && req.method === 'POST') {
-      const body = await parseBody(req);
-      const { gameName } = body;
+    await handler(req, res, session, agentId);
+    await broadcastSessionUpdate(session, `agent-${agentId}-${action}`);
+    sendJSON(res, 200, { session: session.toJSON() });
+  }, { ...options, audit: `agent.${action}` });
+}
 
-      if (!gameName) {
-        sendJSON(res, 400, { error: 'gameName is required' });
-        return;
-      }
+// POST /api/sessions/:id/agents/:agentId/restart — 컨테이너 재시작
+agentRoute('restart', async (req, res, session, agentId) => {
+  if (overBudgetAgents(session).some(a => a.agentId === agentId)) {
+    throw new HttpError(409, `Agent ${agentId} is over its budget; raise the budget before restarting it`);
+  }
+  await session.docker.restartAgent(agentId);
+  streamAgentLogs(session, [{ agentId }]);
+  session.addLog(`Agent ${agentId} restarted by operator`);
+});
+
+// POST /api/sessions/:id/agents/:agentId/stop — 단일 에이전트 중지
+agentRoute('stop', async (req, res, session, agentId) => {
+  if (session.docker.containers.size <= 1) {
+    throw new HttpError(409, 'Cannot stop the last agent; stop the session instead');
+  }
+  await session.docker.removeAgent(agentId);
+  syncContainers(session);
+  session.addLog(`Agent ${agentId} stopped by operator`);
+});
 
-      try {
-        const prompt = `The user wants to create a game called "${gameName}".
+// POST /api/sessions/:id/agents/:agentId/instruct — { instruction } 1회성 지시
+agentRoute('instruct', async (req, res, session, agentId) => {
+  const instruction = req.body.instruction.trim();
+  if (!instruction) {
+    throw new HttpError(400, 'instruction is required (max 4000 characters)', { code: 'VALIDATION_ERROR' });
+  }
+  await session.docker.injectInstruction(agentId, instruction);
+  res.audit.details.instruction = instruction;
+  const preview = instruction.length > 80 ? instruction.slice(0, 80) + '...' : instruction;
+  session.addLog(`Instruction queued for agent ${agentId}: ${preview}`);
+}, { body: INSTRUCT_SCHEMA });
+
+// --- Forge ---
+
+// GET /api/genres — 장르 템플릿 목록 (forge 폼의 선택지)
+router.get('/api/genres', (req, res) => {
+  sendJSON(res, 200, { genres: genres.list() });
+});
 
-Determine if this is a well-known, unambiguous game that can be implemented as a browser HTML5 Canvas game.
+// POST /api/validate-game — 게임 이름 검증 (모호하면 설명 요청) + 장르 분류
+router.post('/api/validate-game', async (req, res) => {
+  const { gameName } = req.body;
+  const genreList = genres.list().map(g => `- ${g.id}: ${g.description}`).join('\n');
+  // LLM이 장르를 주지 않거나 목록에 없는 값이면 키워드 분류로 대체
+  const withGenre = (result) => ({
+    ...result,
+    genre: genres.has(result.genre) ? result.genre : genres.classify(gameName)
+  });
+
+  try {
+    const prompt = `The user wants to create a game called "${gameName}".
+
+Determine if this is a well-known, unambiguous game that can be implemented as a browser HTML5 Canvas game, and which scaffolding template fits it best.
+
+Templates:
+${genreList}
 
 Reply with ONLY a JSON object (no markdown, no code fences):
 {
   "known": true or false,
-  "question": "If not known or ambiguous, write a short question in Korean asking the user to describe the game. If known, set to null."
+  "question": "If not known or ambiguous, write a short question in Korean asking the user to describe the game. If known, set to null.",
+  "genre": "one template id from the list above"
 }
 
 Examples:
-- "tetris" → {"known": true, "question": null}
-- "snake" → {"known": true, "question": null}
-- "zxcv" → {"known": false, "question": "'zxcv'가 어떤 게임인지 설명해 주세요. 어떤 규칙과 조작 방식의 게임인가요?"}
-- "war" → {"known": false, "question": "'war'는 여러 종류의 게임이 있습니다. 어떤 종류의 war 게임을 원하시나요? (카드 게임, 전략 게임 등)"}`;
-
-        const response = await callLLM([{ role: 'user', content: prompt }]);
-
-        // Parse JSON from response
-        const jsonMatch = response.match(/\{[\s\S]*\}/);
-        if (jsonMatch) {
-          const result = JSON.parse(jsonMatch[0]);
-          sendJSON(res, 200, result);
-        } else {
-          // Fallback: treat as known
-          sendJSON(res, 200, { known: true, question: null });
-        }
-      } catch (err) {
-        console.error('[Validate] Error:', err.message);
-        // On error, skip validation and proceed
-        sendJSON(res, 200, { known: true, question: null });
-      }
-      return;
+- "tetris" → {"known": true, "question": null, "genre": "grid-puzzle"}
+- "snake" → {"known": true, "question": null, "genre": "grid-puzzle"}
+- "zxcv" → {"known": false, "question": "'zxcv'가 어떤 게임인지 설명해 주세요. 어떤 규칙과 조작 방식의 게임인가요?", "genre": "arcade"}
+- "war" → {"known": false, "question": "'war'는 여러 종류의 게임이 있습니다. 어떤 종류의 war 게임을 원하시나요? (카드 게임, 전략 게임 등)", "genre": "card-game"}`;
+
+    const { text: response } = await llm.complete('validation', [{ role: 'user', content: prompt }]);
+
+    // Parse JSON from response
+    const jsonMatch = response.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      const result = JSON.parse(jsonMatch[0]);
+      sendJSON(res, 200, withGenre(result));
+    } else {
+      // Fallback: treat as known
+      sendJSON(res, 200, withGenre({ known: true, question: null }));
     }
+  } catch (err) {
+    console.error('[Validate] Error:', err.message);
+    // On error, skip validation and proceed
+    sendJSON(res, 200, withGenre({ known: true, question: null }));
+  }
+}, { body: VALIDATE_GAME_SCHEMA, audit: 'forge.validate' });
 
-    // POST /api/forge — 세션 생성, forge 실행
-    if (req.url === '/api/forge' && req.method === 'POST') {
-      const body = await parseBody(req);
-      const { gameName, agentCount = 3, gameDescription = '' } = body;
+// POST /api/forge — 세션 생성, forge 실행
+router.post('/api/forge', async (req, res) => {
+  const { gameName, agentCount = 3, gameDescription = '', reviewSpec = false, mode = 'new', requirements = '' } = req.body;
+  const genre = req.body.genre || genres.classify(`${gameName} ${gameDescription}`);
+  const count = Math.min(Math.max(parseInt(agentCount, 10) || 3, 1), MAX_AGENTS);
+  const budget = parseBudget(req.body.budget);
 
-      if (!gameName || typeof gameName !== 'string') {
-        sendJSON(res, 400, { error: 'gameName is required' });
-        return;
-      }
+  // continue/import는 세션을 만들기 전에 대상 repo·소스를 확인
+  let source = null;
+  if (mode === 'continue' && !(await repoStore.latest(gameName))) {
+    throw new HttpError(404, `No existing repo to continue for ${gameName}`);
+  }
+  if (mode === 'import') {
+    try {
+      source = resolveImportSource(req.body.source, PROJECT_ROOT).label;
+    } catch (err) {
+      throw new HttpError(400, err.message, { code: 'VALIDATION_ERROR' });
+    }
+  }
 
-      // Validate gameName: only alphanumeric, hyphens, underscores
-      if (!/^[a-zA-Z0-9_-]+$/.test(gameName)) {
-        sendJSON(res, 400, { error: 'gameName must be alphanumeric (hyphens and underscores allowed)' });
-        return;
-      }
+  let session;
+  try {
+    session = sessionManager.create(gameName, count);
+  } catch (err) {
+    throw new HttpError(409, err.message);
+  }
+  session.gameDescription = gameDescription;
+  session.budget = budget;
+  session.reviewSpec = reviewSpec;
+  session.genre = genre;
+  session.mode = mode;
+  session.source = source;
+  session.requirements = requirements;
+  res.audit.sessionId = session.id;
+  res.audit.details = { gameName, agentCount: count, gameDescription, budget, reviewSpec, genre, mode, source, requirements };
+  sendJSON(res, 200, { session: session.toJSON() });
+  broadcastSessions();
 
-      const count = Math.min(Math.max(parseInt(agentCount, 10) || 3, 1), 5);
+  // Start forge process asynchronously
+  runForge(session);
+}, { body: FORGE_SCHEMA, audit: 'forge.create' });
 
-      try {
-        const session = sessionManager.create(gameName, count);
-        session.gameDescription = gameDescription;
-        sendJSON(res, 200, { session: session.toJSON() });
+// --- Stored repos ---
 
-        // Start forge process asynchronously
-        runForge(session);
-      } catch (err) {
-        sendJSON(res, 409, { error: err.message });
-      }
-      return;
-    }
+// 활성 세션이 쓰고 있는 repo (forge 중에는 repoPath가 아직 없으므로 세션 id로도 확인)
+function repoInUse(entry) {
+  return sessionManager.list().some(s =>
+    s.isActive() && (s.id === entry.sessionId || s.repoPath === entry.repoPath)
+  );
+}
 
-    // POST /api/session/stop — 에이전트 중지
-    if (req.url === '/api/session/stop' && req.method === 'POST') {
-      const session = sessionManager.getActive();
-      if (!session) {
-        sendJSON(res, 404, { error: 'No active session' });
-        return;
-      }
+// GET /api/repos — 저장된 bare repo / 작업 디렉토리 / 보관 bundle과 디스크 사용량
+router.get('/api/repos', async (req, res) => {
+  const repos = (await repoStore.list({ sizes: true })).map(entry => ({ ...entry, inUse: repoInUse(entry) }));
+  const archives = await repoStore.archives();
+  sendJSON(res, 200, {
+    repoBase: repoStore.repoBase,
+    workBase: repoStore.workBase,
+    retention: { days: repoStore.retentionDays, action: repoStore.retentionAction },
+    repos,
+    archives,
+    totalBytes: repos.reduce((n, r) => n + r.repoBytes + r.workBytes, 0) + archives.reduce((n, a) => n + a.bytes, 0)
+  });
+});
 
-      try {
-        await dockerManager.stopAll();
-        if (watcher) {
-          watcher.stop();
-          watcher = null;
-        }
-        sessionManager.stop(session.id);
-        broadcast({ type: 'session:stopped' });
-        sendJSON(res, 200, { ok: true });
-      } catch (err) {
-        sendJSON(res, 500, { error: err.message });
-      }
-      return;
+// POST /api/repos/:id/purge — repo와 작업 디렉토리 삭제 (archive: true면 bundle로 보관), bundle은 파일 삭제
+router.post('/api/repos/:id/purge', async (req, res) => {
+  const entry = await repoStore.get(req.params.id);
+  if (!entry) throw new HttpError(404, `Stored repo not found: ${req.params.id}`);
+  if (entry.type === 'repo' && repoInUse(entry)) {
+    throw new HttpError(409, `Repo is in use by an active session: ${entry.repoPath}`);
+  }
+  const result = await repoStore.purge(entry, { archive: req.body.archive === true });
+  res.audit.sessionId = entry.sessionId || null;
+  res.audit.details = { id: entry.id, gameName: entry.gameName, ...result };
+  sendJSON(res, 200, result);
+}, { body: REPO_PURGE_SCHEMA, audit: 'repos.purge' });
+
+// POST /api/repos/sweep — 보존 정책을 지금 적용 (olderThanDays/action으로 덮어쓰기 가능, 0이면 사용 중이 아닌 repo 전부)
+router.post('/api/repos/sweep', async (req, res) => {
+  const days = req.body.olderThanDays !== undefined ? req.body.olderThanDays : repoStore.retentionDays;
+  const action = req.body.action || repoStore.retentionAction;
+  if (req.body.olderThanDays === undefined && !days) {
+    throw new HttpError(400, 'Retention is disabled — set TOKAMAK_RETENTION_DAYS or pass olderThanDays');
+  }
+  const purged = await repoStore.sweep(repoInUse, { days, action });
+  res.audit.details = { days, action, purged: purged.map(p => p.id) };
+  sendJSON(res, 200, { days, action, purged });
+}, { body: REPO_SWEEP_SCHEMA, audit: 'repos.sweep' });
+
+// --- Helpers ---
+
+// 실제 컨테이너 목록과 session.agentCount/containerIds 동기화
+function syncContainers(session) {
+  const ids = session.docker.agentIds();
+  session.agentCount = ids.length;
+  session.containerIds = ids.map(id => session.docker.containers.get(id).id);
+  session.touch();
+}
+
+async function scaleSession(session, target) {
+  const current = session.docker.agentIds();
+
+  if (target > current.length) {
+    // 비어 있는 가장 작은 번호부터 채움
+    const added = [];
+    for (let id = 1; current.length + added.length < target; id++) {
+      const agentId = String(id);
+      if (current.includes(agentId)) continue;
+      added.push(await session.docker.launchAgent(session, agentId));
     }
+    streamAgentLogs(session, added);
+    session.addLog(`Scaled up: added agent ${added.map(a => a.agentId).join(', ')}`);
+  } else if (target < current.length) {
+    // 가장 큰 번호부터 제거
+    const removed = current.slice(target);
+    for (const agentId of removed) {
+      await session.docker.removeAgent(agentId);
+    }
+    session.addLog(`Scaled down: removed agent ${removed.join(', ')}`);
+  }
 
-    // --- Static file serving ---
-    let filePath = req.url === '/' ? '/index.html' : req.url;
-    filePath = path.join(__dirname, filePath);
+  syncContainers(session);
+}
 
-    const ext = path.extname(filePath);
-    const contentType = MIME_TYPES[ext] || 'application/octet-stream';
+async function broadcastSessionUpdate(session, action) {
+  const agents = session.docker ? await session.docker.getStatus() : {};
+  broadcastSession(session, {
+    type: 'session:updated',
+    data: { action, agents },
+    session: session.toJSON(),
+    timestamp: Date.now()
+  });
+  broadcastSessions();
+}
 
-    fs.readFile(filePath, (err, data) => {
-      if (err) {
-        res.writeHead(404);
-        res.end('Not found');
-        return;
-      }
-      res.writeHead(200, { 'Content-Type': contentType });
-      res.end(data);
+// 라우트의 audit 이름 (예: session.pause, agent.restart, forge.create), 없으면 api.<method>
+function recordApiAudit(req, res) {
+  const audit = res.audit || {};
+  auditLog.record({
+    actor: audit.actor || (req.user ? req.user.name : 'anonymous'),
+    role: req.user ? req.user.role : null,
+    action: audit.action || `api.${req.method.toLowerCase()}`,
+    sessionId: audit.sessionId || null,
+    status: res.statusCode,
+    details: { path: redactToken(req.url), ...(audit.details || {}) }
+  });
+}
+
+function readWorkLogs(session) {
+  if (!session.workDir) return {};
+  const logsDir = path.join(session.workDir, 'logs');
+  try {
+    const files = fs.readdirSync(logsDir).filter(f => f.endsWith('.log'));
+    const logs = {};
+    files.forEach(f => {
+      const content = fs.readFileSync(path.join(logsDir, f), 'utf-8');
+      const lines = content.split('\n');
+      logs[f] = lines.slice(-50);
     });
-  } catch (err) {
-    console.error('[Server] Request error:', err);
-    sendJSON(res, 500, { error: 'Internal server error' });
+    return logs;
+  } catch {
+    return {};
+  }
+}
+
+async function stopSession(session, status = STATUS.STOPPED) {
+  if (session.specReview) {
+    session.specReview.reject(new Error('Forge cancelled during SPEC.md review'));
+    session.specReview = null;
+  }
+  if (session.docker) {
+    await session.docker.stopAll();
+  }
+  if (session.watcher) {
+    session.watcher.stop();
+    session.watcher = null;
   }
+  if (session.pushGate) {
+    session.pushGate.stop();
+    session.pushGate = null;
+  }
+  previews.release(session).catch(err => console.warn(`[Preview] Cleanup failed for ${session.id}: ${err.message}`));
+  if (session.tests) session.tests.stop();
+  sessionManager.stop(session.id, status);
+  broadcastSession(session, { type: 'session:stopped', session: session.toJSON() });
+  broadcastSessions();
+}
+
+const server = http.createServer(async (req, res) => {
+  // CORS headers (DASHBOARD_CORS_ORIGINS 허용 목록)
+  auth.applyCors(req, res);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  // 변경 요청(POST 등)은 응답 후 감사 로그에 기록 — 핸들러가 res.audit에 세부 정보 추가
+  if (req.method !== 'GET' && req.url.startsWith('/api/')) {
+    res.audit = {};
+    res.on('finish', () => recordApiAudit(req, res));
+  }
+
+  // --- REST API endpoints ---
+  if (await router.handle(req, res)) return;
+  if (req.url.startsWith('/api/')) {
+    sendError(res, new HttpError(404, 'Not found'));
+    return;
+  }
+
+  // --- Game preview (/preview/<session>/<key>/[@<commit>/]...) ---
+  const preview = previews.parse(req.url);
+  if (preview || req.url.startsWith('/preview/')) {
+    servePreview(req, res, preview);
+    return;
+  }
+
+  // --- Static file serving (public/ 하위만) ---
+  staticFiles.serve(req, res);
 });
 
+// 에이전트가 만든 코드 — 오류 응답까지 모두 CSP sandbox로 대시보드 origin과 분리.
+// sandbox iframe에는 쿠키가 가지 않으므로 인증은 경로의 세션 key로 (GET /api/sessions/:id/preview)
+async function servePreview(req, res, target) {
+  res.setHeader('Content-Security-Policy', PREVIEW_CSP);
+  try {
+    if (!target || !previews.verify(target)) throw new HttpError(404, 'Not found');
+    const session = findSession(target.sessionId);
+    const error = await previews.serve(req, res, session, target);
+    if (error) throw new HttpError(error.status, error.message);
+  } catch (err) {
+    sendError(res, err);
+  }
+}
+
 // WebSocket server
-const wss = new WebSocketServer({ server });
+// 클라이언트는 ?session=<id> 또는 { type: 'subscribe', sessionId } 메시지로 세션 채널을 선택.
+// 세션을 지정하지 않으면 가장 최근 활성 세션을 구독.
+const wss = new WebSocketServer({
+  server,
+  // 핸드셰이크 인증: 쿠키, Authorization 헤더 또는 ?token=
+  verifyClient: (info, done) => {
+    if (!auth.isAllowedOrigin(info.req)) {
+      done(false, 403, 'Origin not allowed');
+      return;
+    }
+    const user = auth.authenticate(info.req);
+    if (!user) {
+      done(false, 401, 'Authentication required');
+      return;
+    }
+    info.req.user = user;
+    done(true);
+  }
+});
 
-wss.on('connection', (ws) => {
-  console.log('[Dashboard] Client connected');
+wss.on('connection', (ws, req) => {
+  console.log(`[Dashboard] Client connected (${req.user.name}, ${req.user.role})`);
+  ws.user = req.user;
 
-  const session = sessionManager.getActive();
-  ws.send(JSON.stringify({
-    type: 'init',
-    gameName: session ? session.gameName : null,
-    session: session ? session.toJSON() : null,
-    state: watcher ? watcher.getState() : null
-  }));
+  const requested = new URL(req.url, 'http://localhost').searchParams.get('session');
+  const session = requested ? sessionManager.get(requested) : sessionManager.getActive();
+  subscribe(ws, session);
+
+  ws.on('message', (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw.toString());
+    } catch {
+      return;
+    }
+    if (msg.type === 'subscribe') {
+      subscribe(ws, msg.sessionId ? sessionManager.get(msg.sessionId) : null);
+    }
+  });
 
   ws.on('close', () => {
     console.log('[Dashboard] Client disconnected');
   });
 });
 
+function subscribe(ws, session) {
+  ws.sessionId = session ? session.id : null;
+  ws.send(JSON.stringify({
+    type: 'init',
+    gameName: session ? session.gameName : null,
+    session: session ? session.toJSON() : null,
+    sessions: sessionManager.list().map(s => s.toJSON()),
+    state: session && session.watcher ? session.watcher.getState() : null
+  }));
+}
+
 function broadcast(data) {
   const message = JSON.stringify(data);
   wss.clients.forEach(client => {
@@ -309,19 +935,76 @@ function broadcast(data) {
   });
 }
 
-// Forge process runner
+// 해당 세션을 구독 중인 클라이언트에게만 전송
+function broadcastSession(session, data) {
+  const message = JSON.stringify({ ...data, sessionId: session.id });
+  wss.clients.forEach(client => {
+    if (client.readyState === 1 && client.sessionId === session.id) {
+      client.send(message);
+    }
+  });
+}
+
+function broadcastSessions() {
+  broadcast({
+    type: 'sessions',
+    data: sessionManager.list().map(s => s.toJSON()),
+    timestamp: Date.now()
+  });
+}
+
+// TOKAMAK_AGENT_IMAGE: 기본 이미지 대신 사용할 에이전트 이미지 (e2e의 fake claude 이미지 등)
+function createDockerManager() {
+  return new DockerManager({
+    projectRoot: PROJECT_ROOT,
+    agentModel: llm.model('agent'),
+    agentImage: process.env.TOKAMAK_AGENT_IMAGE
+  });
+}
+
+// Forge process runner — 세션마다 독립된 DockerManager와 RepoWatcher 사용
 async function runForge(session) {
+  session.docker = createDockerManager();
+  // forge와 이미지 빌드는 오래 걸리므로 await마다 확인 — 그 사이 중지된 세션은 에이전트를 띄우지 않음
+  const checkStopped = () => {
+    if (!session.isActive()) throw new Error('Forge cancelled: session was stopped');
+  };
+
   const forge = new ForgeProcess(session.gameName, session.agentCount, {
     projectRoot: PROJECT_ROOT,
     gameDescription: session.gameDescription || '',
-    dockerManager,
+    dockerManager: session.docker,
+    llm,
+    genres,
+    genre: session.genre,
+    repoStore,
+    sessionId: session.id,
+    mode: session.mode,
+    source: session.source,
+    requirements: session.requirements,
+    isCancelled: () => !session.isActive(),
+    // 승인/재생성 요청(/spec/approve, /spec/regenerate)이 올 때까지 대기, 세션 중지 시 reject
+    onSpecReview: session.reviewSpec
+      ? (content) => new Promise((resolve, reject) => {
+        session.specReview = { content, resolve, reject };
+      })
+      : null,
     onProgress: (progress) => {
-      // Update session state
-      if (progress.type === 'step') {
-        session.setForgeStep(progress.step);
-        if (progress.step <= 2) session.setStatus(STATUS.SCAFFOLDING);
-        else if (progress.step === 3) session.setStatus(STATUS.GENERATING_SPEC);
-        else if (progress.step >= 4) session.setStatus(STATUS.LAUNCHING_AGENTS);
+      // Update session state — 중지된 세션의 상태는 되살리지 않음
+      if (session.isActive()) {
+        if (progress.type === 'step') {
+          session.setForgeStep(progress.step);
+          if (progress.step <= 2) session.setStatus(STATUS.SCAFFOLDING);
+          else if (progress.step === 3) session.setStatus(STATUS.GENERATING_SPEC);
+          else if (progress.step >= 4) session.setStatus(STATUS.LAUNCHING_AGENTS);
+        }
+
+        if (progress.type === 'spec-review') {
+          session.setStatus(STATUS.AWAITING_REVIEW);
+          broadcastSessions();
+        } else if (progress.type === 'spec-regenerate') {
+          session.setStatus(STATUS.GENERATING_SPEC);
+        }
       }
 
       if (progress.type === 'log') {
@@ -329,7 +1012,7 @@ async function runForge(session) {
       }
 
       // Broadcast to WebSocket clients
-      broadcast({
+      broadcastSession(session, {
         type: progress.type === 'complete' ? 'forge:complete'
           : progress.type === 'error' ? 'forge:error'
           : 'forge:progress',
@@ -346,19 +1029,16 @@ async function runForge(session) {
     // Update session with paths
     session.repoPath = result.repoPath;
     session.workDir = result.workDir;
+    session.touch();
+    checkStopped();
 
     // Start watcher on the working copy
-    if (watcher) watcher.stop();
-    watcher = new RepoWatcher(result.workDir);
-    watcher.onChange((event, data) => {
-      broadcast({ type: event, data, timestamp: Date.now() });
-    });
-    watcher.start();
+    startWatcher(session);
 
     // Build agent image and launch containers
     session.setStatus(STATUS.LAUNCHING_AGENTS);
     session.setForgeStep(6);
-    broadcast({
+    broadcastSession(session, {
       type: 'forge:progress',
       data: { type: 'step', step: 6, message: 'Launching agents' },
       session: session.toJSON(),
@@ -367,7 +1047,7 @@ async function runForge(session) {
 
     const logForge = (msg) => {
       session.addLog(msg);
-      broadcast({
+      broadcastSession(session, {
         type: 'forge:progress',
         data: { type: 'log', message: msg },
         session: session.toJSON(),
@@ -376,11 +1056,13 @@ async function runForge(session) {
     };
 
     logForge('Building agent Docker image (tokamak-forge-agent)...');
-    await dockerManager.buildAgentImage();
+    await session.docker.buildAgentImage();
+    checkStopped();
     logForge('Agent Docker image ready');
 
     logForge(`Launching ${session.agentCount} agent containers...`);
-    const agents = await dockerManager.launchAgents(session);
+    const agents = await session.docker.launchAgents(session);
+    checkStopped();
 
     for (const agent of agents) {
       logForge(`  Agent ${agent.agentId}: container ${agent.containerId.slice(0, 12)} started`);
@@ -390,45 +1072,326 @@ async function runForge(session) {
     session.setStatus(STATUS.RUNNING);
     logForge('All agents running!');
 
-    broadcast({
+    broadcastSession(session, {
       type: 'forge:complete',
       data: { agents },
       session: session.toJSON(),
       timestamp: Date.now()
     });
+    broadcastSessions();
 
     // Stream logs from each agent container
-    for (const agent of agents) {
-      dockerManager.streamLogs(agent.agentId, (agentId, line) => {
-        broadcast({
-          type: 'agent:log',
-          data: { agentId, line },
-          timestamp: Date.now()
-        });
-      });
-    }
+    streamAgentLogs(session, agents);
 
     console.log(`[Forge] Session ${session.id} fully running with ${agents.length} agents`);
 
   } catch (err) {
+    if (!session.isActive()) {
+      // stopSession()이 이미 정리함 — 중지 후에 만들어진 컨테이너만 마저 제거
+      console.log(`[Forge] Session ${session.id} stopped during forge: ${err.message}`);
+      await session.docker.stopAll().catch(e => console.warn(`[Forge] Cleanup failed for ${session.id}: ${e.message}`));
+      return;
+    }
     console.error('[Forge] Error:', err);
     // Stop watcher if it was started
-    if (watcher) {
-      watcher.stop();
-      watcher = null;
+    if (session.watcher) {
+      session.watcher.stop();
+      session.watcher = null;
     }
     session.setStatus(STATUS.STOPPED);
-    broadcast({
+    broadcastSession(session, {
       type: 'forge:error',
       data: { message: err.message },
       session: session.toJSON(),
       timestamp: Date.now()
     });
+    broadcastSessions();
+  }
+}
+
+function startWatcher(session) {
+  if (session.watcher) session.watcher.stop();
+  session.watcher = new RepoWatcher(session.workDir, { bareRepo: session.repoPath, lockTtl: TASK_LOCK_TTL });
+  session.watcher.onChange((event, data) => {
+    broadcastSession(session, { type: event, data, timestamp: Date.now() });
+    if (event === 'newCommit' && session.repoPath) testRunnerFor(session).schedule(data.hash);
+    if (event === 'lock:stale') onStaleLocks(session, data.locks);
+  });
+  session.watcher.state.testResults = testRunnerFor(session).latest();
+  session.watcher.start();
+  if (session.repoPath) startPushGate(session);
+}
+
+// 에이전트가 죽으면 잠금이 영원히 남으므로 경고하고, TOKAMAK_LOCK_RECLAIM=auto면 바로 회수
+function onStaleLocks(session, locks) {
+  for (const lock of locks) {
+    const idle = Math.round((Date.now() - lock.renewedAt) / 60000);
+    session.addLog(`Task lock ${lock.file} (agent ${lock.agentId}) is stale: no activity for ${idle}m`);
+  }
+  if (!AUTO_RECLAIM_LOCKS || !session.repoPath) return;
+  reclaimStaleLocks(session, locks.map(lock => lock.file), 'auto')
+    .catch(err => session.addLog(`Failed to reclaim stale task locks: ${err.message}`));
+}
+
+// watcher의 작업 디렉토리에서 커밋·push — refresh와 겹치지 않게 watcher를 통해 실행
+async function reclaimStaleLocks(session, files, actor) {
+  const reason = `lease expired (no commits by the agent or to the lock for ${Math.round(TASK_LOCK_TTL / 60)}m)`;
+  // 잠금 파일만 옮기는 커밋이므로 push 테스트 게이트는 건너뜀 (bypassed로 기록)
+  const push = gatedPush(session.repoPath, 'lock reclaim');
+  const result = await session.watcher.exclusive(() => reclaimLocks(session.workDir, files, { actor, reason, ttl: TASK_LOCK_TTL, push }));
+  if (result.renewed.length > 0) {
+    session.addLog(`Task lock(s) ${result.renewed.join(', ')} were renewed before they could be reclaimed; left in place`);
+  }
+  if (result.reclaimed.length > 0) {
+    session.addLog(`Reclaimed stale task lock(s) ${result.reclaimed.join(', ')} into abandoned_tasks/ (${result.commit.slice(0, 7)}, by ${actor})`);
+    broadcastSession(session, { type: 'lock:reclaimed', data: { ...result, actor }, timestamp: Date.now() });
+  }
+  return result;
+}
+
+// 거부된 push는 ref를 바꾸지 않아 watcher에 잡히지 않으므로 훅 로그를 따로 감시
+function startPushGate(session) {
+  if (session.pushGate) session.pushGate.stop();
+  session.pushGate = new PushGateMonitor(session.repoPath);
+  session.pushGate.onChange((event, data) => {
+    broadcastSession(session, { type: event, data, timestamp: Date.now() });
+    if (event === 'push:rejected') {
+      const files = data.newlyFailing && data.newlyFailing.length > 0 ? data.newlyFailing.join(', ') : data.reason;
+      session.addLog(`Push by ${data.author} rejected by test gate (${data.new.slice(0, 7)}): ${files}`);
+    }
+  });
+  if (!session.pushGate.start()) session.pushGate = null;
+}
+
+// 세션별 커밋 테스트 실행기 — 중지된 세션도 기록 조회를 위해 필요할 때 생성
+function testRunnerFor(session) {
+  if (session.tests) return session.tests;
+  session.tests = new CommitTestRunner({
+    bareRepo: session.repoPath,
+    storePath: path.join(DATA_DIR, 'test-results', `${session.id}.json`),
+    workBase: path.join(os.tmpdir(), 'tokamak-tests', session.id),
+    timeout: TEST_TIMEOUT,
+    // 에이전트 이미지의 일회용 컨테이너에서 실행 — local이면 비밀을 뺀 환경으로 대시보드 호스트에서
+    sandbox: TEST_SANDBOX === 'docker' ? createDockerManager() : null
+  });
+  session.tests.onChange((event, data) => {
+    broadcastSession(session, { type: event, data, timestamp: Date.now() });
+    if (event === 'test:result' && session.watcher) session.watcher.setTestResults(data);
+    if (event === 'test:regression') {
+      session.addLog(`Test regression in ${data.commit.slice(0, 7)} by ${data.author}: ${data.tests.length} test(s) now failing`);
+    }
+  });
+  return session.tests;
+}
+
+// agent-loop.sh가 반복마다 출력하는 사용량 레코드: [USAGE] {...}
+const USAGE_LINE = /\[USAGE\] (\{.*\})/;
+
+function streamAgentLogs(session, agents) {
+  for (const agent of agents) {
+    session.docker.streamLogs(agent.agentId, (agentId, line) => {
+      const usageMatch = line.match(USAGE_LINE);
+      if (usageMatch) {
+        recordAgentUsage(session, agentId, usageMatch[1]);
+        return;
+      }
+
+      broadcastSession(session, {
+        type: 'agent:log',
+        data: { agentId, line },
+        timestamp: Date.now()
+      });
+    }).catch(err => {
+      // 재시작·중지·복원 중에 컨테이너가 사라질 수 있음
+      console.warn(`[Docker] Cannot stream logs for agent ${agent.agentId} in ${session.id}: ${err.message}`);
+    });
   }
 }
 
+function recordAgentUsage(session, agentId, json) {
+  let entry;
+  try {
+    entry = JSON.parse(json);
+  } catch {
+    return;
+  }
+  if (!session.recordUsage(agentId, entry)) return;
+
+  broadcastSession(session, {
+    type: 'usage:update',
+    data: session.usageSummary(),
+    timestamp: Date.now()
+  });
+
+  enforceBudget(session).catch(err => {
+    console.error(`[Budget] Session ${session.id}:`, err.message);
+  });
+}
+
+// 실행 중인 세션에서 개별로 멈춘 컨테이너는 예산 초과로 멈춘 것 — 새 한도 안이면 재개
+async function releaseBudgetPaused(session) {
+  const overBudget = overBudgetAgents(session).map(a => a.agentId);
+  for (const agentId of session.docker.containers.keys()) {
+    if (overBudget.includes(agentId)) continue;
+    try {
+      if (!(await session.docker.isPaused(agentId))) continue;
+      await session.docker.unpauseAgent(agentId);
+      session.addLog(`Agent ${agentId} resumed (within the new budget)`);
+    } catch (err) {
+      console.error(`[Budget] Failed to resume agent ${agentId}:`, err.message);
+    }
+  }
+}
+
+// 예산 경고는 WebSocket으로 알리고, 초과 시 에이전트 일시정지 / 세션 중지
+async function enforceBudget(session) {
+  const alerts = evaluateBudget(session);
+
+  for (const alert of alerts) {
+    session.addLog(alert.message);
+    broadcastSession(session, {
+      type: alert.level === 'exceeded' ? 'budget:exceeded' : 'budget:warning',
+      data: alert,
+      timestamp: Date.now()
+    });
+  }
+
+  if (!session.isLaunched()) return;
+
+  // 세션 한도 초과 — 모든 에이전트 중지
+  if (alerts.some(alert => alert.level === 'exceeded' && alert.scope === 'session')) {
+    console.log(`[Budget] Session ${session.id} exhausted its budget, stopping agents`);
+    await stopSession(session, STATUS.BUDGET_EXHAUSTED);
+    return;
+  }
+
+  // 에이전트 한도 초과 — 해당 컨테이너만 일시정지. 알림은 한 번이지만 검사는 매번 현재 사용량 기준이라
+  // resume이나 컨테이너 재시작으로 풀려도 다시 멈춤
+  let throttled = false;
+  for (const { agentId, metrics } of overBudgetAgents(session)) {
+    if (!session.docker || !session.docker.containers.has(agentId)) continue;
+    try {
+      if (await session.docker.isPaused(agentId)) continue;
+      await session.docker.pauseAgent(agentId);
+      session.addLog(`Agent ${agentId} paused (budget ${metrics.join(', ')})`);
+      throttled = true;
+    } catch (err) {
+      console.error(`[Budget] Failed to pause agent ${agentId}:`, err.message);
+    }
+  }
+  if (throttled) await broadcastSessionUpdate(session, 'budget-throttled');
+}
+
+setInterval(() => {
+  for (const session of sessionManager.list()) {
+    if (!session.isLaunched()) continue;
+    enforceBudget(session).catch(err => {
+      console.error(`[Budget] Session ${session.id}:`, err.message);
+    });
+  }
+}, BUDGET_CHECK_INTERVAL);
+
+// 보존 기간이 지난 중지 세션의 repo 정리 (TOKAMAK_RETENTION_DAYS가 없으면 아무것도 안 함)
+async function sweepRepos() {
+  if (!repoStore.retentionDays) return;
+  try {
+    const purged = await repoStore.sweep(repoInUse);
+    if (purged.length > 0) {
+      auditLog.record({
+        action: 'repos.retention',
+        details: { days: repoStore.retentionDays, action: repoStore.retentionAction, purged: purged.map(p => p.id) }
+      });
+    }
+  } catch (err) {
+    console.error('[RepoStore] Retention sweep failed:', err.message);
+  }
+}
+
+setInterval(sweepRepos, RETENTION_CHECK_INTERVAL);
+
+// --- Rehydration ---
+// 재시작 전에 실행 중이던 세션을 컨테이너/작업 디렉토리에 다시 연결
+async function rehydrateSessions() {
+  const restored = sessionManager.load();
+  if (restored.length === 0) return;
+
+  console.log(`[Dashboard] Restored ${restored.length} session(s) from ${sessionStore.filePath}`);
+
+  for (const session of restored) {
+    if (!session.isActive()) continue;
+
+    // forge 도중 재시작된 세션은 이어서 진행할 수 없음
+    if (!session.isLaunched()) {
+      session.addLog(`Forge interrupted by dashboard restart (was ${session.status})`);
+      session.setStatus(STATUS.STOPPED);
+      continue;
+    }
+
+    try {
+      session.docker = createDockerManager();
+      const agents = await session.docker.attach(session);
+
+      if (agents.length === 0) {
+        session.addLog('No agent containers found after dashboard restart');
+        session.setStatus(STATUS.STOPPED);
+        continue;
+      }
+
+      // 대시보드가 꺼져 있는 동안 종료된 에이전트 — 세션을 running으로 두지 않음
+      const running = agents.filter(a => a.running);
+      const exited = agents.filter(a => !a.running);
+      if (running.length === 0) {
+        session.addLog(`No running agent containers after dashboard restart (${agents.map(a => `agent ${a.agentId}: ${a.state}`).join(', ')})`);
+        await session.docker.stopAll();
+        session.setStatus(STATUS.STOPPED);
+        continue;
+      }
+      for (const agent of exited) {
+        session.addLog(`Agent ${agent.agentId} is not running after dashboard restart (${agent.state}); restart it to continue`);
+      }
+
+      session.containerIds = agents.map(a => a.containerId);
+      session.addLog(`Reattached ${running.length} running agent container(s) after dashboard restart`);
+
+      if (session.workDir && fs.existsSync(session.workDir)) {
+        startWatcher(session);
+      }
+      streamAgentLogs(session, running);
+
+      console.log(`[Dashboard] Session ${session.id} (${session.gameName}) reattached with ${running.length} running agents` +
+        (exited.length > 0 ? ` (${exited.length} exited)` : ''));
+    } catch (err) {
+      console.error(`[Dashboard] Failed to reattach session ${session.id}:`, err.message);
+      session.addLog(`Failed to reattach after restart: ${err.message}`);
+      session.setStatus(STATUS.STOPPED);
+    }
+  }
+
+  broadcastSessions();
+}
+
+// 종료 시 대기 중인 저장을 즉시 기록 (컨테이너는 계속 실행)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    sessionStore.flush();
+    process.exit(0);
+  });
+}
+
 // Start server
+previews.cleanup();
+
 server.listen(PORT, () => {
   console.log(`[Dashboard] Running at http://localhost:${PORT}`);
   console.log(`[Dashboard] Project root: ${PROJECT_ROOT}`);
+  console.log(`[Dashboard] Repos: ${repoStore.repoBase}, work dirs: ${repoStore.workBase}` +
+    (repoStore.retentionDays ? ` (${repoStore.retentionAction} after ${repoStore.retentionDays} days)` : ''));
+  if (!auth.enabled) {
+    console.warn('[Dashboard] Authentication disabled — set DASHBOARD_API_TOKENS or DASHBOARD_USERS before exposing this port');
+  }
+  rehydrateSessions()
+    .catch(err => {
+      console.error('[Dashboard] Rehydration error:', err.message);
+    })
+    .then(sweepRepos);
 });
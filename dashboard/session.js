@@ -2,7 +2,8 @@
  * session.js — 세션 상태 관리
  *
  * Session 클래스와 SessionManager로 forge 세션 라이프사이클을 관리.
- * v1에서는 단일 세션만 허용.
+ * 여러 세션을 동시에 실행할 수 있으며, 같은 게임 이름은 한 번에 하나만 허용.
+ * store가 주어지면 변경될 때마다 세션을 디스크에 저장하고 재시작 시 복원.
  */
 
 const crypto = require('crypto');
@@ -11,16 +12,41 @@ const STATUS = {
   INITIALIZING: 'initializing',
   SCAFFOLDING: 'scaffolding',
   GENERATING_SPEC: 'generating-spec',
+  AWAITING_REVIEW: 'awaiting-review',
   LAUNCHING_AGENTS: 'launching-agents',
   RUNNING: 'running',
-  STOPPED: 'stopped'
+  PAUSED: 'paused',
+  STOPPED: 'stopped',
+  BUDGET_EXHAUSTED: 'budget-exhausted'
 };
 
+// 에이전트가 모두 내려간 종료 상태
+const FINISHED = [STATUS.STOPPED, STATUS.BUDGET_EXHAUSTED];
+
+// serialize()/fromRecord()로 저장·복원되는 필드
+const PERSISTED_FIELDS = [
+  'id', 'gameName', 'agentCount', 'gameDescription', 'status', 'repoPath', 'workDir',
+  'logs', 'forgeStep', 'containerIds', 'createdAt', 'usage', 'budget', 'budgetAlerts', 'reviewSpec', 'genre',
+  'mode', 'source', 'requirements'
+];
+
+// agent-loop.sh가 반복마다 출력하는 [USAGE] 레코드의 누적 필드
+const USAGE_FIELDS = [
+  'inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheCreationTokens', 'costUsd', 'durationMs', 'turns'
+];
+
+function emptyUsage() {
+  const usage = { iterations: 0 };
+  for (const field of USAGE_FIELDS) usage[field] = 0;
+  return usage;
+}
+
 class Session {
   constructor(gameName, agentCount) {
     this.id = crypto.randomBytes(4).toString('hex');
     this.gameName = gameName;
     this.agentCount = agentCount;
+    this.gameDescription = '';
     this.status = STATUS.INITIALIZING;
     this.repoPath = null;
     this.workDir = null;
@@ -37,23 +63,105 @@ class Session {
     ];
     this.containerIds = [];
     this.createdAt = Date.now();
+    this.usage = { agents: {}, recent: [] };
+    this.budget = null;
+    this.budgetAlerts = [];
+    this.reviewSpec = false; // true면 SPEC.md 생성 후 운영자 승인 대기
+    this.genre = null; // templates/genres/<id> — forge가 분류한 결과로 채워짐
+    this.mode = 'new'; // new | continue | import (forge.js FORGE_MODES)
+    this.source = null; // import 소스 (games/<name> 또는 로컬 git repo 경로)
+    this.requirements = ''; // continue/import 시 SPEC.md에 추가한 요구사항
+
+    // Runtime handles (세션별 watcher / docker manager) — toJSON에 포함하지 않음
+    this.watcher = null;
+    this.docker = null;
+    this.tests = null; // 커밋별 테스트 실행기 (test-runner.js)
+    this.pushGate = null; // pre-receive 게이트 결과 감시 (push-gate.js)
+    this.specReview = null; // 승인 대기 중인 SPEC { content, resolve, reject }
+    this.onChange = null;
+    this.onStatusChange = null;
+  }
+
+  static fromRecord(record) {
+    const session = new Session(record.gameName, record.agentCount);
+    for (const field of PERSISTED_FIELDS) {
+      if (record[field] !== undefined) session[field] = record[field];
+    }
+    return session;
+  }
+
+  isActive() {
+    return !FINISHED.includes(this.status);
+  }
+
+  // 에이전트 컨테이너가 떠 있는 상태 (running 또는 paused)
+  isLaunched() {
+    return this.status === STATUS.RUNNING || this.status === STATUS.PAUSED;
+  }
+
+  // 상태 변경 알림 (SessionManager가 저장 예약)
+  touch() {
+    if (this.onChange) this.onChange(this);
   }
 
   setStatus(status) {
+    const previous = this.status;
     this.status = status;
+    this.touch();
+    if (previous !== status && this.onStatusChange) this.onStatusChange(this, previous, status);
   }
 
   setForgeStep(step) {
     this.forgeStep = step;
+    this.touch();
   }
 
   addLog(message) {
     const entry = { time: Date.now(), message };
     this.logs.push(entry);
     if (this.logs.length > 500) this.logs.shift();
+    this.touch();
     return entry;
   }
 
+  // 에이전트 한 반복의 사용량 기록 — 로그 스트림 재연결로 같은 레코드가 다시 들어오면 무시
+  recordUsage(agentId, entry) {
+    const agent = this.usage.agents[agentId] || { ...emptyUsage(), lastTime: 0 };
+    if (entry.time && entry.time <= agent.lastTime) return false;
+
+    agent.iterations++;
+    for (const field of USAGE_FIELDS) {
+      agent[field] += Number(entry[field]) || 0;
+    }
+    agent.lastTime = entry.time || Date.now();
+    this.usage.agents[agentId] = agent;
+
+    this.usage.recent.push({ agentId, ...entry });
+    if (this.usage.recent.length > 100) this.usage.recent.shift();
+    this.touch();
+    return true;
+  }
+
+  // 에이전트별 + 세션 전체 사용량 요약
+  usageSummary() {
+    const total = emptyUsage();
+    const agents = {};
+    for (const [agentId, agent] of Object.entries(this.usage.agents)) {
+      const { lastTime, ...counts } = agent;
+      agents[agentId] = { ...counts, lastIterationAt: lastTime };
+      total.iterations += agent.iterations;
+      for (const field of USAGE_FIELDS) total[field] += agent[field];
+    }
+    total.totalTokens = total.inputTokens + total.outputTokens + total.cacheReadTokens + total.cacheCreationTokens;
+    return { total, agents };
+  }
+
+  serialize() {
+    const record = {};
+    for (const field of PERSISTED_FIELDS) record[field] = this[field];
+    return record;
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -66,47 +174,90 @@ class Session {
       forgeSteps: this.forgeSteps,
       containerIds: this.containerIds,
       createdAt: this.createdAt,
+      usage: this.usageSummary(),
+      budget: this.budget,
+      reviewSpec: this.reviewSpec,
+      genre: this.genre,
+      mode: this.mode,
+      source: this.source,
       logs: this.logs.slice(-50)
     };
   }
 }
 
 class SessionManager {
-  constructor() {
+  constructor(options = {}) {
     this.sessions = new Map();
     this.activeSessionId = null;
+    this.store = options.store || null;
+    this.onStatusChange = options.onStatusChange || null;
+  }
+
+  // 저장된 세션 복원 — 생성 순서대로 등록
+  load() {
+    if (!this.store) return [];
+    const records = this.store.load().sort((a, b) => a.createdAt - b.createdAt);
+    return records.map(record => {
+      const session = Session.fromRecord(record);
+      this.track(session);
+      if (session.isActive()) this.activeSessionId = session.id;
+      return session;
+    });
+  }
+
+  track(session) {
+    session.onChange = () => this.persist();
+    session.onStatusChange = (...args) => {
+      if (this.onStatusChange) this.onStatusChange(...args);
+    };
+    this.sessions.set(session.id, session);
+  }
+
+  persist() {
+    if (!this.store) return;
+    this.store.scheduleSave(() => this.list().map(s => s.serialize()));
   }
 
   create(gameName, agentCount) {
-    // v1: 단일 세션만 허용 — 기존 세션이 있으면 에러
-    if (this.activeSessionId) {
-      const existing = this.sessions.get(this.activeSessionId);
-      if (existing && existing.status !== STATUS.STOPPED) {
-        throw new Error(`Session already active: ${existing.gameName} (${existing.id})`);
-      }
+    // 같은 게임 이름은 repo/work 디렉토리를 공유하므로 동시에 하나만 허용
+    const existing = this.findActiveByGame(gameName);
+    if (existing) {
+      throw new Error(`Session already active for ${gameName}: ${existing.id}`);
     }
 
     const session = new Session(gameName, agentCount);
-    this.sessions.set(session.id, session);
+    this.track(session);
     this.activeSessionId = session.id;
+    this.persist();
     return session;
   }
 
+  // 가장 최근에 생성된 활성 세션 (단일 세션 API 호환용)
   getActive() {
-    if (!this.activeSessionId) return null;
-    const session = this.sessions.get(this.activeSessionId);
-    if (!session || session.status === STATUS.STOPPED) return null;
-    return session;
+    const current = this.sessions.get(this.activeSessionId);
+    if (current && current.isActive()) return current;
+
+    const active = this.list({ activeOnly: true });
+    return active.length > 0 ? active[active.length - 1] : null;
   }
 
   get(id) {
     return this.sessions.get(id) || null;
   }
 
-  stop(id) {
+  list({ activeOnly = false } = {}) {
+    const sessions = Array.from(this.sessions.values());
+    return activeOnly ? sessions.filter(s => s.isActive()) : sessions;
+  }
+
+  findActiveByGame(gameName) {
+    return this.list({ activeOnly: true }).find(s => s.gameName === gameName) || null;
+  }
+
+  stop(id, status = STATUS.STOPPED) {
     const session = this.sessions.get(id || this.activeSessionId);
     if (session) {
-      session.setStatus(STATUS.STOPPED);
+      session.setStatus(status);
     }
     return session;
   }
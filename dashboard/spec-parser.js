@@ -0,0 +1,241 @@
+/**
+ * spec-parser.js — SPEC.md → spec.json 매니페스트
+ *
+ * LLM이 생성한 영문 SPEC ("## Module Breakdown", "## Implementation Priority")과
+ * 한글 템플릿 ("## 모듈 구조", "## 구현 우선순위")을 모두 파싱해서
+ * 모듈별 파일, export 함수, 요구사항, 우선순위를 구조화된 JSON으로 변환.
+ *
+ * forge가 SPEC.md와 함께 spec.json을 커밋하고, RepoWatcher가 이를 읽어
+ * src/의 export와 tests/의 참조를 비교해 모듈별 진행 상태를 계산.
+ *
+ * 사용법: node dashboard/spec-parser.js SPEC.md > spec.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SPEC_MANIFEST = 'spec.json';
+const MANIFEST_VERSION = 1;
+
+const MODULE_SECTION = /module\s+breakdown|^modules?\b|모듈/i;
+const PRIORITY_SECTION = /priorit|우선순위/i;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+const SOURCE_FILE = /`?((?:src\/)?[\w./-]+\.(?:js|mjs|html|css))`?/;
+
+// --- Markdown helpers ---
+
+// **bold**, `code`, 링크 등 인라인 마크업 제거
+function plain(text) {
+  return text
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// SPEC을 "## " 섹션 단위로 분할 (코드 블록 안의 #은 무시)
+function splitSections(markdown) {
+  const sections = [];
+  let current = { heading: '', lines: [] };
+  let inFence = false;
+
+  for (const line of markdown.split(/\r?\n/)) {
+    if (/^\s*```/.test(line)) inFence = !inFence;
+    const m = !inFence && line.match(/^##\s+(.+?)\s*#*$/);
+    if (m) {
+      sections.push(current);
+      current = { heading: plain(m[1]), lines: [] };
+    } else {
+      current.lines.push(inFence ? '' : line);
+    }
+  }
+  sections.push(current);
+  return sections;
+}
+
+// --- Module parsing ---
+
+// "### 1. **game.js** — game state", "### 2. 렌더링 (`src/renderer.js`)" 등
+function parseModuleHeading(heading) {
+  const text = heading.replace(/^\d+[.)]\s*/, '').trim();
+  const bold = text.match(/\*\*(.+?)\*\*/);
+  const fileMatch = text.match(SOURCE_FILE);
+
+  let name;
+  let description = '';
+  if (bold) {
+    name = plain(bold[1]);
+    description = text.slice(bold.index + bold[0].length);
+  } else {
+    const parts = text.split(/\s+[—–-]\s+|:\s+/);
+    name = plain(parts[0].replace(/\(\s*`?[^)]*\.(?:js|mjs|html|css)`?\s*\)/, ''));
+    description = parts.slice(1).join(' — ');
+  }
+  description = plain(description.replace(/\(\s*`?[^)]*\.(?:js|mjs|html|css)`?\s*\)/, '').replace(/^\s*[—–:-]\s*/, ''));
+
+  let file = fileMatch ? fileMatch[1] : null;
+  if (!file && /\.(?:js|mjs|html|css)$/.test(name)) file = name;
+  return { name, description, file };
+}
+
+function normalizeFile(file) {
+  if (!file) return null;
+  const clean = file.replace(/^\.\//, '');
+  return clean.includes('/') ? clean : `src/${clean}`;
+}
+
+function addExport(exports, name, signature) {
+  const short = name.split('.').pop();
+  if (!IDENTIFIER.test(short) || exports.some(e => e.name === short)) return;
+  exports.push({ name: short, signature: signature.replace(/\s+/g, ' ').trim() || short });
+}
+
+// 한 줄의 요구사항에서 export 함수 추출
+//   "**export**: `createGame()`, `render(state)`"  — export 목록
+//   "Exported functions: createGame, updateGame"   — 괄호 없는 목록
+//   "createGame(width, height) returns ..."        — 시그니처로 시작하는 줄
+//   "createGame(), updateGame(state, dt)"          — 시그니처 나열
+//   "... `isGameOver(state)` ..."                  — 코드 span 안의 호출
+function extractExports(bullet, exports) {
+  const exportList = bullet.match(/export(?:s|ed(?:\s+functions?)?)?\**\s*:\s*(.+)$/i);
+  if (exportList) {
+    const items = exportList[1].replace(/\([^)]*\)/g, m => m.replace(/,/g, '\u0000')).split(',');
+    for (const item of items) {
+      const signature = plain(item).replace(/\u0000/g, ',');
+      const m = signature.match(/^([A-Za-z_$][\w$.]*)/);
+      if (m) addExport(exports, m[1], signature.match(/^[\w$.]+\s*(?:\([^)]*\))?/)[0]);
+    }
+    return;
+  }
+
+  // 시그니처로 시작하는 줄 — "a(), b(x), c(y)"처럼 시그니처만 나열된 줄이면 모두 추출
+  const text = plain(bullet);
+  const signature = /([A-Za-z_$][\w$.]*)\s*(\([^)]*\))/y;
+  let leading;
+  while ((leading = signature.exec(text)) !== null) {
+    addExport(exports, leading[1], leading[1] + leading[2]);
+    const separator = text.slice(signature.lastIndex).match(/^\s*,\s*/);
+    if (!separator) break;
+    signature.lastIndex += separator[0].length;
+  }
+
+  const codeSpan = /`([A-Za-z_$][\w$.]*)\s*(\([^)`]*\))[^`]*`/g;
+  let m;
+  while ((m = codeSpan.exec(bullet)) !== null) {
+    addExport(exports, m[1], m[1] + m[2]);
+  }
+}
+
+// numberedOnly: 모듈 섹션 밖에서는 "### N. ..." 제목만 모듈로 취급
+function parseModules(lines, numberedOnly = false) {
+  const modules = [];
+  let current = null;
+
+  for (const line of lines) {
+    const heading = line.match(/^###\s+(.+?)\s*#*$/);
+    if (heading) {
+      current = null;
+      if (numberedOnly && !/^\d+[.)]\s/.test(heading[1])) continue;
+      current = { ...parseModuleHeading(heading[1]), requirements: [], exports: [] };
+      modules.push(current);
+      continue;
+    }
+    if (!current) continue;
+
+    const bullet = line.match(/^\s*[-*+]\s+(.+)$/);
+    if (!bullet) continue;
+    current.requirements.push(plain(bullet[1]));
+    extractExports(bullet[1], current.exports);
+    if (!current.file) {
+      const fileMatch = bullet[1].match(SOURCE_FILE);
+      if (fileMatch && fileMatch[1].startsWith('src/')) current.file = fileMatch[1];
+    }
+  }
+
+  const usedIds = new Set();
+  return modules.map((mod, i) => {
+    const file = normalizeFile(mod.file);
+    const base = file ? path.basename(file).replace(/\.[^.]+$/, '') : mod.name;
+    let id = base.toLowerCase().replace(/[^\w가-힣]+/g, '-').replace(/^-+|-+$/g, '') || `module-${i + 1}`;
+    if (usedIds.has(id)) id = `${id}-${i + 1}`;
+    usedIds.add(id);
+    return { id, name: mod.name, file, description: mod.description, exports: mod.exports, requirements: mod.requirements, priority: null };
+  });
+}
+
+// --- Priority parsing ---
+
+function parsePriorities(lines) {
+  const priorities = [];
+  for (const line of lines) {
+    const m = line.match(/^\s*(\d+)[.)]\s+(.+)$/);
+    if (m) priorities.push({ order: priorities.length + 1, text: plain(m[2]), modules: [] });
+  }
+  return priorities;
+}
+
+// 우선순위 항목이 모듈 이름, 파일 이름 또는 export 함수를 언급하면 연결
+function linkPriorities(modules, priorities) {
+  for (const item of priorities) {
+    const text = item.text.toLowerCase();
+    for (const mod of modules) {
+      const terms = [mod.name, ...mod.exports.map(e => e.name)];
+      let stem = null;
+      if (mod.file) {
+        terms.push(path.basename(mod.file));
+        stem = path.basename(mod.file).replace(/\.[^.]+$/, '').toLowerCase();
+      }
+      const mentioned = terms.some(term => {
+        const t = term.toLowerCase();
+        if (/^[\w$.]+$/.test(t)) return new RegExp(`\\b${t.replace(/[.$]/g, '\\$&')}\\b`).test(text);
+        return text.includes(t);
+      }) || (
+        // "renderer.js" ↔ "Rendering"처럼 파일 이름의 어간으로 시작하는 단어
+        stem && stem.length >= 4 && stem !== 'index' && /^\w+$/.test(stem) &&
+        new RegExp(`\\b${stem.slice(0, Math.max(4, stem.length - 2))}`).test(text)
+      );
+      if (mentioned) {
+        item.modules.push(mod.id);
+        if (mod.priority === null) mod.priority = item.order;
+      }
+    }
+  }
+}
+
+// --- Public API ---
+
+function parseSpec(markdown) {
+  const sections = splitSections(markdown || '');
+  const titleLine = sections[0].lines.find(l => /^#\s+/.test(l));
+  const title = titleLine ? plain(titleLine.replace(/^#\s+/, '')).split(/\s+[—–-]\s+/)[0] : '';
+
+  const moduleSection = sections.find(s => MODULE_SECTION.test(s.heading));
+  // 모듈 섹션 제목이 다르면 "### N. ..." 형식의 하위 제목을 전체 문서에서 탐색
+  const modules = moduleSection
+    ? parseModules(moduleSection.lines)
+    : parseModules(sections.flatMap(s => s.lines), true);
+
+  const prioritySection = sections.find(s => PRIORITY_SECTION.test(s.heading));
+  const priorities = prioritySection ? parsePriorities(prioritySection.lines) : [];
+  linkPriorities(modules, priorities);
+
+  return { version: MANIFEST_VERSION, title, modules, priorities };
+}
+
+function readSpecFile(specPath) {
+  return parseSpec(fs.readFileSync(specPath, 'utf-8'));
+}
+
+if (require.main === module) {
+  const specPath = process.argv[2] || 'SPEC.md';
+  try {
+    process.stdout.write(JSON.stringify(readSpecFile(specPath), null, 2) + '\n');
+  } catch (err) {
+    console.error(`[SpecParser] ${specPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { parseSpec, readSpecFile, SPEC_MANIFEST };
@@ -0,0 +1,108 @@
+/**
+ * spec-tests.js — spec.json 매니페스트 → 모듈별 인수 테스트
+ *
+ * SPEC.md의 모듈마다 tests/spec-<id>.test.js 하나를 생성:
+ *   - 모듈 파일 존재 확인
+ *   - SPEC에 적힌 export 함수마다 typeof === 'function' 검사 (스텁에 없으면 실패)
+ *   - 나머지 요구사항은 pending 테스트 — 에이전트가 실제 assertion으로 교체
+ *
+ * 사용법: node dashboard/spec-tests.js spec.json tests/
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// "**export**: ..." / "Exported functions: ..." 줄은 export 검사로 대신하므로 pending에서 제외
+const EXPORT_LIST = /^(?:exports?|exported\s+functions?)\s*:/i;
+
+function testFileName(mod) {
+  return `spec-${mod.id}.test.js`;
+}
+
+// 작은따옴표 JS 문자열 리터럴 (생성된 테스트도 scaffold 코드 스타일을 따름)
+function quote(text) {
+  const body = JSON.stringify(String(text)).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'");
+  return `'${body}'`;
+}
+
+function renderModuleTest(mod) {
+  const lines = [
+    '// Generated from SPEC.md by the forge. Replace pending() entries with real tests as the module is implemented.',
+    "const { assert, describe, it, pending, summary } = require('./base-test');",
+    "const fs = require('fs');",
+    "const path = require('path');",
+    ''
+  ];
+
+  const title = mod.file ? `${mod.name} (${mod.file})` : mod.name;
+  const isScript = mod.file && /\.(?:js|mjs)$/.test(mod.file);
+
+  lines.push(`describe(${quote(`SPEC: ${title}`)}, function() {`);
+  if (mod.file) {
+    lines.push(
+      `  it(${quote(`${mod.file} should exist`)}, function() {`,
+      `    assert.ok(fs.existsSync(path.join(__dirname, '..', ${quote(mod.file)})), ${quote(`${mod.file} missing`)});`,
+      '  });'
+    );
+  }
+  if (isScript) {
+    const requirePath = '../' + mod.file.replace(/\.(?:js|mjs)$/, '');
+    for (const exp of mod.exports) {
+      lines.push(
+        '',
+        `  it(${quote(`should export ${exp.signature}`)}, function() {`,
+        `    const mod = require(${quote(requirePath)});`,
+        `    assert.strictEqual(typeof mod.${exp.name}, 'function', ${quote(`${exp.name} is not exported from ${mod.file}`)});`,
+        '  });'
+      );
+    }
+  }
+  lines.push('});');
+
+  const behaviors = mod.requirements.filter(r => !EXPORT_LIST.test(r));
+  if (behaviors.length > 0) {
+    lines.push('', `describe(${quote(`SPEC: ${mod.name} — behavior`)}, function() {`);
+    for (const requirement of behaviors) {
+      lines.push(`  pending(${quote(requirement)});`);
+    }
+    lines.push('});');
+  }
+
+  lines.push('', 'process.exit(summary());', '');
+  return lines.join('\n');
+}
+
+// manifest → [{ file, content, exports, pending }]
+function generateSpecTests(manifest) {
+  return (manifest.modules || []).map(mod => ({
+    file: testFileName(mod),
+    content: renderModuleTest(mod),
+    exports: mod.file && /\.(?:js|mjs)$/.test(mod.file) ? mod.exports.length : 0,
+    pending: mod.requirements.filter(r => !EXPORT_LIST.test(r)).length
+  }));
+}
+
+// skipExisting: 이미 있는 테스트 파일(에이전트가 고쳤을 수 있음)은 건드리지 않고 새 모듈 것만 작성
+function writeSpecTests(manifest, testsDir, options = {}) {
+  const tests = generateSpecTests(manifest)
+    .filter(test => !options.skipExisting || !fs.existsSync(path.join(testsDir, test.file)));
+  for (const test of tests) {
+    fs.writeFileSync(path.join(testsDir, test.file), test.content);
+  }
+  return tests;
+}
+
+if (require.main === module) {
+  const [manifestPath = 'spec.json', testsDir = 'tests'] = process.argv.slice(2);
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+    for (const test of writeSpecTests(manifest, testsDir)) {
+      console.log(`${path.join(testsDir, test.file)}: ${test.exports} export checks, ${test.pending} pending`);
+    }
+  } catch (err) {
+    console.error(`[SpecTests] ${manifestPath}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = { generateSpecTests, writeSpecTests };
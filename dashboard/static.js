@@ -0,0 +1,141 @@
+/**
+ * static.js — 대시보드 정적 파일 서빙
+ *
+ * public 디렉토리 밖의 파일은 절대 읽지 않음: URL 디코딩·정규화 후 root 하위인지 검사하고,
+ * 심볼릭 링크도 실제 경로 기준으로 다시 확인. 벗어나면 404.
+ * ETag / Last-Modified로 304 응답, 텍스트 파일은 gzip 압축 (압축 결과는 ETag별로 캐시).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.wav': 'audio/wav',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.ico': 'image/x-icon'
+};
+
+const COMPRESSIBLE = ['.html', '.js', '.mjs', '.css', '.json', '.svg'];
+const GZIP_MIN_SIZE = 1024; // bytes
+
+class StaticFiles {
+  constructor(root, options = {}) {
+    this.root = fs.realpathSync(root);
+    this.index = options.index || 'index.html';
+    this.cacheControl = options.cacheControl || 'no-cache';
+    this.gzipCache = new Map(); // filePath -> { etag, data }
+  }
+
+  // URL → root 하위의 실제 파일 경로 (벗어나거나 없으면 null)
+  resolve(url) {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(url, 'http://localhost').pathname);
+    } catch {
+      return null;
+    }
+    if (pathname.includes('\0')) return null;
+    if (pathname.endsWith('/')) pathname += this.index;
+
+    const filePath = path.join(this.root, path.normalize(pathname));
+    if (!this.contains(filePath)) return null;
+
+    try {
+      const realPath = fs.realpathSync(filePath);
+      if (!this.contains(realPath)) return null;
+      const stat = fs.statSync(realPath);
+      return stat.isFile() ? { filePath: realPath, stat } : null;
+    } catch {
+      return null;
+    }
+  }
+
+  contains(filePath) {
+    return filePath.startsWith(this.root + path.sep);
+  }
+
+  // url: 기본값은 req.url — 미리보기처럼 접두 경로를 떼고 서빙할 때 넘김
+  serve(req, res, url = req.url) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { Allow: 'GET, HEAD' });
+      res.end('Method not allowed');
+      return;
+    }
+
+    const file = this.resolve(url);
+    if (!file) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    const { filePath, stat } = file;
+    const ext = path.extname(filePath);
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const headers = {
+      'Content-Type': MIME_TYPES[ext] || 'application/octet-stream',
+      'Cache-Control': this.cacheControl,
+      'ETag': etag,
+      'Last-Modified': stat.mtime.toUTCString(),
+      'X-Content-Type-Options': 'nosniff'
+    };
+
+    if (this.isFresh(req, etag, stat.mtime)) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    let data;
+    try {
+      data = fs.readFileSync(filePath);
+    } catch {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found');
+      return;
+    }
+
+    if (COMPRESSIBLE.includes(ext)) {
+      headers['Vary'] = 'Accept-Encoding';
+      if (data.length >= GZIP_MIN_SIZE && /\bgzip\b/.test(req.headers['accept-encoding'] || '')) {
+        data = this.gzip(filePath, etag, data);
+        headers['Content-Encoding'] = 'gzip';
+      }
+    }
+
+    headers['Content-Length'] = data.length;
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : data);
+  }
+
+  // If-None-Match가 있으면 그것만, 없으면 If-Modified-Since (초 단위) 비교
+  isFresh(req, etag, mtime) {
+    const noneMatch = req.headers['if-none-match'];
+    if (noneMatch) {
+      return noneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*');
+    }
+    const since = Date.parse(req.headers['if-modified-since'] || '');
+    return !Number.isNaN(since) && Math.floor(mtime.getTime() / 1000) * 1000 <= since;
+  }
+
+  gzip(filePath, etag, data) {
+    const cached = this.gzipCache.get(filePath);
+    if (cached && cached.etag === etag) return cached.data;
+    const compressed = zlib.gzipSync(data);
+    this.gzipCache.set(filePath, { etag, data: compressed });
+    return compressed;
+  }
+}
+
+module.exports = { StaticFiles };
@@ -0,0 +1,61 @@
+/**
+ * store.js — 세션 영속화
+ *
+ * 세션 레코드를 JSON 파일로 저장하고 대시보드 재시작 시 다시 읽어옴.
+ * 잦은 상태 변경은 debounce하여 한 번에 기록하고, tmp 파일 + rename으로 원자적으로 교체.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SAVE_DELAY = 500; // ms
+
+class SessionStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.saveDelay = options.saveDelay || SAVE_DELAY;
+    this.timer = null;
+    this.pending = null;
+  }
+
+  load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+      return Array.isArray(data.sessions) ? data.sessions : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        console.error(`[Store] Failed to read ${this.filePath}:`, err.message);
+      }
+      return [];
+    }
+  }
+
+  // getRecords는 저장 시점에 호출되어 최신 상태를 반영
+  scheduleSave(getRecords) {
+    this.pending = getRecords;
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.saveDelay);
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.pending) return;
+
+    const records = this.pending();
+    this.pending = null;
+
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmpPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), sessions: records }, null, 2));
+      fs.renameSync(tmpPath, this.filePath);
+    } catch (err) {
+      console.error(`[Store] Failed to write ${this.filePath}:`, err.message);
+    }
+  }
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,150 @@
+/**
+ * task-locks.js — current_tasks/ 잠금의 lease와 만료된 잠금 회수
+ *
+ * 에이전트는 작업을 시작할 때 current_tasks/agent-<id>-<ts>를 커밋하고 끝나면 completed_tasks/로 옮김.
+ * 에이전트가 죽으면 잠금이 그대로 남아 그 영역이 계속 막히므로 잠금을 lease로 취급:
+ * 파일 이름의 시각, 잠금 파일을 고친 마지막 커밋(heartbeat), 그 에이전트의 마지막 커밋 중
+ * 가장 늦은 시각에 갱신된 것으로 보고 TTL이 지나도록 갱신이 없으면 stale.
+ * reclaimLocks()는 stale 잠금을 abandoned_tasks/로 옮겨 커밋·push — 다른 에이전트가 이어받을 수 있도록.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { execFile } = require('child_process');
+
+const LOCK_TTL = 30 * 60; // 초
+const LOCK_DIR = 'current_tasks';
+const ABANDONED_DIR = 'abandoned_tasks';
+const LOCK_FILE = /^agent-(\d+)-(\d+)/;
+const HEARTBEAT_LINE = /^heartbeat\b/i;
+const PUSH_RETRIES = 3;
+const GIT_TIMEOUT = 30000;
+
+function git(cwd, args, env) {
+  return new Promise((resolve, reject) => {
+    execFile('git', ['-C', cwd, ...args], {
+      encoding: 'utf-8',
+      timeout: GIT_TIMEOUT,
+      env: env || process.env
+    }, (err, stdout, stderr) => {
+      if (err) reject(new Error((stderr || err.message).trim()));
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+// 잠금 파일 → { file, agentId, timestamp (초), description } — heartbeat 줄은 설명에서 제외
+function parseLock(file, content) {
+  const match = file.match(LOCK_FILE);
+  return {
+    file,
+    agentId: match ? match[1] : 'unknown',
+    timestamp: match ? parseInt(match[2], 10) : 0,
+    description: content.split('\n').filter(line => !HEARTBEAT_LINE.test(line.trim())).join('\n').trim()
+  };
+}
+
+// git log --format=@%ct|%an --name-only -- 출력 → 에이전트별·잠금 파일별 마지막 커밋 시각 (ms)
+function parseLockActivity(log) {
+  const agents = new Map();
+  const files = new Map();
+  let current = null;
+  const latest = (map, key, time) => map.set(key, Math.max(map.get(key) || 0, time));
+  for (const line of log.split('\n')) {
+    if (line.startsWith('@')) {
+      const [time, author] = line.slice(1).split('|');
+      current = { time: Number(time) * 1000, agentId: (author.match(/^agent-(\d+)$/) || [])[1] };
+      if (current.agentId) latest(agents, current.agentId, current.time);
+    } else if (current && line.startsWith(`${LOCK_DIR}/`)) {
+      latest(files, line.slice(LOCK_DIR.length + 1), current.time);
+    }
+  }
+  return { agents, files };
+}
+
+// 잠금에 renewedAt / expiresAt (ms)을 붙임 — stale 여부는 RepoWatcher.checkLeases()가 현재 시각으로 판단
+function applyLease(task, activity, ttl) {
+  const renewedAt = Math.max(
+    task.timestamp * 1000,
+    activity.files.get(task.file) || 0,
+    activity.agents.get(task.agentId) || 0
+  );
+  return { ...task, renewedAt, expiresAt: renewedAt + ttl * 1000, stale: false };
+}
+
+function isStale(task, now = Date.now()) {
+  return now >= task.expiresAt;
+}
+
+// 최신 main 기준으로 다시 계산한 잠금의 lease — 잠금 파일이 없으면 (완료·회수됨) null
+async function currentLease(workDir, file, ttl) {
+  if (path.basename(file) !== file) return null;
+  let content;
+  try {
+    content = await fsp.readFile(path.join(workDir, LOCK_DIR, file), 'utf-8');
+  } catch {
+    return null;
+  }
+  const lock = parseLock(file, content);
+  const log = await git(workDir, ['log', `--since=@${lock.timestamp}`, '--format=@%ct|%an', '--name-only']);
+  return applyLease(lock, parseLockActivity(log), ttl);
+}
+
+/**
+ * 잠금 파일들을 abandoned_tasks/로 옮겨 커밋하고 main에 push.
+ * 회수 시각·이유를 파일 끝에 덧붙여 이어받는 에이전트가 볼 수 있게 함.
+ * 시도마다 pull한 main에서 lease를 다시 확인 — 그 사이 갱신된 잠금은 renewed, 옮겨진 잠금은 missing.
+ * 도중에 실패하면 (push 경쟁 포함) 작업 디렉토리를 origin/main으로 되돌리고 처음부터 재시도.
+ * options: { actor, reason, ttl (초), push: { args, env } (push-gate.js의 gatedPush — 게이트 우회와 최소 환경) }
+ * 반환: { commit, reclaimed: [파일], renewed: [갱신된 파일], missing: [이미 없어진 파일] }
+ */
+async function reclaimLocks(workDir, files, options = {}) {
+  const reason = options.reason || 'lease expired';
+  const ttl = options.ttl || LOCK_TTL;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await git(workDir, ['pull', '--rebase', 'origin', 'main']);
+
+      const result = { commit: null, reclaimed: [], renewed: [], missing: [] };
+      for (const file of files) {
+        const lock = await currentLease(workDir, file, ttl);
+        if (!lock) {
+          result.missing.push(file);
+          continue;
+        }
+        if (!isStale(lock)) {
+          result.renewed.push(file);
+          continue;
+        }
+        await fsp.mkdir(path.join(workDir, ABANDONED_DIR), { recursive: true });
+        await git(workDir, ['mv', path.join(LOCK_DIR, file), path.join(ABANDONED_DIR, file)]);
+        await fsp.appendFile(path.join(workDir, ABANDONED_DIR, file),
+          `\nreclaimed ${new Date().toISOString()} by ${options.actor || 'dashboard'}: ${reason}\n`);
+        await git(workDir, ['add', path.join(ABANDONED_DIR, file)]);
+        result.reclaimed.push(file);
+      }
+      if (result.reclaimed.length === 0) return result;
+
+      await git(workDir, ['commit', '-q', '-m', `task: reclaim stale lock ${result.reclaimed.join(', ')}\n\n${reason}`]);
+      const push = options.push || { args: [], env: null };
+      await git(workDir, ['push', '-q', ...push.args, 'origin', 'HEAD:main'], push.env);
+      result.commit = await git(workDir, ['rev-parse', 'HEAD']);
+      return result;
+    } catch (err) {
+      // 절반만 옮긴 잠금이나 push되지 않은 커밋이 작업 디렉토리에 남지 않도록
+      await git(workDir, ['rebase', '--abort']).catch(() => {});
+      await git(workDir, ['reset', '-q', '--hard', 'origin/main']).catch(() => {});
+      if (attempt >= PUSH_RETRIES) throw new Error(`Could not reclaim task locks: ${err.message}`);
+    }
+  }
+}
+
+module.exports = {
+  LOCK_TTL,
+  parseLock,
+  parseLockActivity,
+  applyLease,
+  isStale,
+  reclaimLocks
+};
@@ -0,0 +1,381 @@
+/**
+ * test-runner.js — 커밋별 테스트 실행 기록
+ *
+ * main에 새 커밋이 올라오면 bare repo에서 그 커밋을 임시 디렉토리로 꺼내 (git archive)
+ * tests/run-tests.sh를 실행. 세션마다 큐로 한 번에 하나씩 처리하고 제한 시간을 넘으면 중단.
+ * 테스트는 에이전트가 쓴 코드이므로 sandbox(DockerManager)가 있으면 네트워크 없는 일회용 컨테이너에서,
+ * 없으면 (TOKAMAK_TEST_SANDBOX=local) 비밀을 뺀 최소한의 환경 변수로 로컬에서 실행.
+ * logs/test-results.log를 테스트 단위로 파싱해 커밋별로 저장 (<DATA_DIR>/test-results/<session>.json).
+ * 부모 커밋에서 통과하던 테스트가 실패하면 test:regression 이벤트로 커밋 작성자(에이전트)와 함께 알림.
+ *
+ * 이벤트 (onChange): test:queued, test:started, test:result, test:regression
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFile } = require('child_process');
+
+const RUN_TIMEOUT = 120000; // 커밋 하나의 테스트 제한 시간
+const MAX_BATCH = 10; // 한 번에 여러 커밋이 push되면 최근 커밋부터 이만큼만
+const MAX_HISTORY = 200;
+const OUTPUT_LIMIT = 8 * 1024; // 실패한 실행만 출력 끝부분 저장
+const TEST_LOG = path.join('logs', 'test-results.log');
+const TEST_COMMAND = ['bash', 'tests/run-tests.sh'];
+const LOCAL_ENV = ['PATH', 'LANG', 'LC_ALL', 'TZ']; // 로컬 실행 시 넘겨주는 환경 변수 (API 키 등은 제외)
+
+// base-test.js / run-tests.sh 출력 형식
+const FILE_START = /^▶ Running: (.+)$/;
+const FILE_RESULT = /^ {2}(✓ PASS|✗ FAIL): (\S+)/;
+const TEST_LINE = /^ {4}([✓✗○]) (.+?)( \(pending\))?$/;
+const FAILURE_MESSAGE = /^ {6}(.+)$/;
+const NOT_SUITE = /^ {2}(?:─|Total:|Passed:|Failed:|Pending:|Failures:)/;
+
+function agentIdOf(author) {
+  const match = author && author.match(/agent-(\d+)/);
+  return match ? match[1] : null;
+}
+
+// test-results.log → { files: [{ file, status }], tests: [{ id, file, suite, name, status, message }] }
+function parseTestLog(log) {
+  const files = [];
+  const tests = [];
+  let file = null;
+  let suite = null;
+  let last = null;
+
+  for (const line of log.split('\n')) {
+    let m;
+    if ((m = line.match(FILE_START))) {
+      file = m[1];
+      suite = null;
+      last = null;
+    } else if (!file) {
+      continue;
+    } else if ((m = line.match(FILE_RESULT))) {
+      const status = m[1] === '✓ PASS' ? 'pass' : 'fail';
+      files.push({ file, status });
+      // 테스트 하나 없이 실패한 파일 (문법 오류, require 실패 등)은 파일 자체를 실패한 테스트로 기록
+      if (status === 'fail' && !tests.some(t => t.file === file && t.status === 'fail')) {
+        tests.push({ id: file, file, suite: null, name: null, status: 'fail', message: line.trim() });
+      }
+      file = null;
+    } else if ((m = line.match(TEST_LINE))) {
+      const status = m[1] === '✓' ? 'pass' : m[1] === '✗' ? 'fail' : 'pending';
+      last = {
+        id: [file, suite, m[2]].filter(Boolean).join(' › '),
+        file,
+        suite,
+        name: m[2],
+        status,
+        message: null
+      };
+      tests.push(last);
+    } else if (last && last.status === 'fail' && !last.message && (m = line.match(FAILURE_MESSAGE))) {
+      last.message = m[1];
+    } else if (/^ {2}\S/.test(line) && !NOT_SUITE.test(line)) {
+      suite = line.trim();
+      last = null;
+    }
+  }
+  return { files, tests };
+}
+
+// 대시보드의 환경(ANTHROPIC_API_KEY, TOKAMAK_* 등)을 물려주지 않고 허용한 변수만
+function localEnv(dir) {
+  const env = { HOME: dir, CI: '1' };
+  for (const key of LOCAL_ENV) {
+    if (process.env[key] !== undefined) env[key] = process.env[key];
+  }
+  return env;
+}
+
+// tests/run-tests.sh를 대시보드 호스트에서 실행 (비밀을 뺀 환경, 제한 시간) — forge의 초기 테스트도 사용
+// options: { timeout (ms), onStart(kill) } → { exitCode, timedOut, output }
+function runTestsLocally(dir, options = {}) {
+  return new Promise((resolve, reject) => {
+    // detached: 제한 시간 초과 시 테스트가 띄운 node 프로세스까지 그룹으로 종료
+    const [command, ...args] = TEST_COMMAND;
+    const child = spawn(command, args, { cwd: dir, env: localEnv(dir), detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+    const kill = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    };
+    if (options.onStart) options.onStart(kill);
+
+    let output = '';
+    const collect = chunk => {
+      output = (output + chunk).slice(-OUTPUT_LIMIT * 2);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      kill();
+    }, options.timeout || RUN_TIMEOUT);
+
+    child.on('error', err => {
+      clearTimeout(timer);
+      reject(err);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      resolve({ exitCode: code, timedOut, output });
+    });
+  });
+}
+
+function run(command, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { encoding: 'utf-8', timeout: 30000, maxBuffer: 16 * 1024 * 1024, ...options }, (err, stdout, stderr) => {
+      if (err) reject(new Error((stderr || err.message).trim()));
+      else resolve(stdout);
+    });
+  });
+}
+
+class CommitTestRunner {
+  constructor(options = {}) {
+    this.bareRepo = options.bareRepo;
+    this.storePath = options.storePath || null;
+    this.workBase = options.workBase || path.join(os.tmpdir(), 'tokamak-tests');
+    this.timeout = options.timeout || RUN_TIMEOUT;
+    this.sandbox = options.sandbox || null; // runSandboxed(dir, command, options)를 가진 DockerManager
+    this.listeners = [];
+    this.queue = []; // [{ hash, parent, author, message }] — 오래된 커밋 먼저
+    this.current = null; // { commit, kill, startedAt }
+    this.stopped = false;
+    this.runs = this.load(); // 오래된 실행 먼저
+  }
+
+  onChange(callback) {
+    this.listeners.push(callback);
+  }
+
+  emit(event, data) {
+    this.listeners.forEach(cb => cb(event, data));
+  }
+
+  // --- Persistence ---
+
+  load() {
+    if (!this.storePath) return [];
+    try {
+      const data = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+      return Array.isArray(data.runs) ? data.runs : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.error(`[Tests] Failed to read ${this.storePath}:`, err.message);
+      return [];
+    }
+  }
+
+  save() {
+    if (!this.storePath) return;
+    try {
+      fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+      const tmpPath = `${this.storePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: Date.now(), runs: this.runs }));
+      fs.renameSync(tmpPath, this.storePath);
+    } catch (err) {
+      console.error(`[Tests] Failed to write ${this.storePath}:`, err.message);
+    }
+  }
+
+  // --- Queue ---
+
+  isKnown(hash) {
+    return this.runs.some(r => r.commit === hash) ||
+      this.queue.some(c => c.hash === hash) ||
+      (this.current && this.current.commit.hash === hash);
+  }
+
+  // head까지의 main(first-parent) 커밋 중 아직 테스트하지 않은 것을 큐에 추가
+  async schedule(head) {
+    if (this.stopped || !this.bareRepo) return;
+    let log;
+    try {
+      log = await run('git', ['--git-dir', this.bareRepo, 'log', '--first-parent', `--max-count=${MAX_BATCH}`,
+        '--format=%H%x00%P%x00%an%x00%s', head]);
+    } catch (err) {
+      console.error(`[Tests] Cannot list commits up to ${head}: ${err.message}`);
+      return;
+    }
+
+    const commits = [];
+    for (const line of log.split('\n').filter(Boolean)) {
+      const [hash, parents, author, message] = line.split('\0');
+      if (this.isKnown(hash)) break; // 이전 커밋들은 이미 테스트했거나 대기 중
+      commits.push({ hash, parent: parents.split(' ')[0] || null, author, message });
+    }
+    if (commits.length === 0) return;
+
+    this.queue.push(...commits.reverse());
+    this.emit('test:queued', { commits: commits.map(c => c.hash), queued: this.queue.length });
+    this.process();
+  }
+
+  async process() {
+    if (this.current || this.stopped) return;
+    while (this.queue.length > 0 && !this.stopped) {
+      const commit = this.queue.shift();
+      this.current = { commit, kill: null, startedAt: Date.now() };
+      this.emit('test:started', { commit: commit.hash, author: commit.author });
+
+      let record;
+      try {
+        record = await this.runCommit(commit, this.current);
+      } catch (err) {
+        record = this.createRecord(commit, this.current.startedAt, { status: 'error', error: err.message });
+      }
+      this.current = null;
+      if (this.stopped) break;
+
+      this.runs.push(record);
+      if (this.runs.length > MAX_HISTORY) this.runs.splice(0, this.runs.length - MAX_HISTORY);
+      this.save();
+
+      console.log(`[Tests] ${commit.hash.slice(0, 7)} (${commit.author}): ${record.status}, ${record.passed} passed, ${record.failed} failed`);
+      this.emit('test:result', this.summarize(record));
+      if (record.regressions.length > 0) {
+        this.emit('test:regression', {
+          commit: record.commit,
+          previous: record.previous,
+          author: record.author,
+          agentId: record.agentId,
+          message: record.message,
+          tests: record.regressions
+        });
+      }
+    }
+  }
+
+  // 실행 중인 테스트는 강제 종료하고 대기 중인 커밋은 버림 (기록은 유지)
+  stop() {
+    this.stopped = true;
+    this.queue = [];
+    if (this.current && this.current.kill) this.current.kill();
+  }
+
+  // --- Run ---
+
+  async runCommit(commit, current) {
+    const dir = path.join(this.workBase, commit.hash.slice(0, 12));
+    fs.rmSync(dir, { recursive: true, force: true });
+    fs.mkdirSync(dir, { recursive: true });
+    try {
+      // 작업 디렉토리와 분리된 깨끗한 체크아웃 — .git 없이 파일만
+      await run('bash', ['-c', 'set -o pipefail; git --git-dir="$1" archive --format=tar "$2" | tar -x -C "$3"', 'bash',
+        this.bareRepo, commit.hash, dir]);
+      if (!fs.existsSync(path.join(dir, 'tests', 'run-tests.sh'))) {
+        return this.createRecord(commit, current.startedAt, { status: 'error', error: 'tests/run-tests.sh not found' });
+      }
+
+      const result = await this.execTests(dir, current);
+      let log = '';
+      try {
+        log = fs.readFileSync(path.join(dir, TEST_LOG), 'utf-8');
+      } catch {}
+      const { files, tests } = parseTestLog(log);
+
+      let status = result.exitCode === 0 ? 'pass' : 'fail';
+      if (result.timedOut) status = 'timeout';
+      else if (status === 'fail' && files.length === 0) status = 'error';
+
+      return this.createRecord(commit, current.startedAt, {
+        status,
+        exitCode: result.exitCode,
+        files,
+        tests,
+        output: status === 'pass' ? null : result.output.slice(-OUTPUT_LIMIT)
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  }
+
+  execTests(dir, current) {
+    if (this.sandbox) {
+      return this.sandbox.runSandboxed(dir, TEST_COMMAND, {
+        timeout: this.timeout,
+        outputLimit: OUTPUT_LIMIT * 2,
+        onStart: kill => { current.kill = kill; }
+      });
+    }
+    return this.execLocal(dir, current);
+  }
+
+  execLocal(dir, current) {
+    return runTestsLocally(dir, { timeout: this.timeout, onStart: kill => { current.kill = kill; } });
+  }
+
+  createRecord(commit, startedAt, result) {
+    const tests = result.tests || [];
+    const record = {
+      commit: commit.hash,
+      parent: commit.parent,
+      author: commit.author,
+      agentId: agentIdOf(commit.author),
+      message: commit.message,
+      status: result.status,
+      exitCode: result.exitCode !== undefined ? result.exitCode : null,
+      error: result.error || null,
+      startedAt,
+      durationMs: Date.now() - startedAt,
+      passed: tests.filter(t => t.status === 'pass').length,
+      failed: tests.filter(t => t.status === 'fail').length,
+      pending: tests.filter(t => t.status === 'pending').length,
+      files: result.files || [],
+      tests,
+      output: result.output || null,
+      previous: null,
+      regressions: []
+    };
+
+    // 부모 커밋(없으면 직전에 끝난 실행)과 비교 — 통과하던 테스트가 실패하거나 파일째 실패하면 regression
+    if (record.status === 'fail') {
+      const previous = this.runs.find(r => r.commit === commit.parent) ||
+        [...this.runs].reverse().find(r => r.status === 'pass' || r.status === 'fail');
+      if (previous) {
+        const now = new Map(tests.map(t => [t.id, t]));
+        const failedFiles = new Set(record.files.filter(f => f.status === 'fail').map(f => f.file));
+        record.previous = previous.commit;
+        record.regressions = previous.tests
+          .filter(t => t.status === 'pass')
+          .filter(t => (now.has(t.id) ? now.get(t.id).status === 'fail' : failedFiles.has(t.file)))
+          .map(t => t.id);
+      }
+    }
+    return record;
+  }
+
+  // --- Queries ---
+
+  // 목록·이벤트용 — 테스트 목록과 출력은 빼고 실패한 테스트 id만
+  summarize(record) {
+    const { tests, output, files, ...summary } = record;
+    return { ...summary, failing: tests.filter(t => t.status === 'fail').map(t => t.id) };
+  }
+
+  latest() {
+    const record = this.runs[this.runs.length - 1];
+    return record ? this.summarize(record) : null;
+  }
+
+  get(commit) {
+    if (!commit || commit.length < 4) return null;
+    return [...this.runs].reverse().find(r => r.commit.startsWith(commit)) || null;
+  }
+
+  list() {
+    return {
+      runs: this.runs.map(r => this.summarize(r)).reverse(),
+      current: this.current ? { commit: this.current.commit.hash, author: this.current.commit.author, startedAt: this.current.startedAt } : null,
+      queued: this.queue.map(c => ({ commit: c.hash, author: c.author, message: c.message }))
+    };
+  }
+}
+
+module.exports = { CommitTestRunner, parseTestLog, runTestsLocally };
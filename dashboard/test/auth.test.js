@@ -0,0 +1,133 @@
+/**
+ * auth.test.js — 토큰/로그인 인증, 역할, CORS·WebSocket Origin 검사 확인
+ *
+ * req/res는 headers·url·setHeader만 가진 객체로 대신함.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Auth, redactToken } = require('../auth');
+
+function request(headers = {}, url = '/api/sessions') {
+  return { headers, url };
+}
+
+function response() {
+  const headers = {};
+  return { headers, setHeader: (name, value) => { headers[name.toLowerCase()] = value; } };
+}
+
+describe('Auth.fromEnv', () => {
+  it('parses tokens, users and CORS origins (ports included)', () => {
+    const auth = Auth.fromEnv({
+      DASHBOARD_API_TOKENS: 'ci-token:operator, read-token',
+      DASHBOARD_USERS: 'alice:pw:operator',
+      DASHBOARD_CORS_ORIGINS: 'https://a.example, http://localhost:8080'
+    });
+    assert.deepStrictEqual(auth.apiTokens, [
+      { token: 'ci-token', role: 'operator', name: 'token-1' },
+      { token: 'read-token', role: 'viewer', name: 'token-2' }
+    ]);
+    assert.deepStrictEqual(auth.users, [{ username: 'alice', password: 'pw', role: 'operator' }]);
+    assert.deepStrictEqual(auth.corsOrigins, ['https://a.example', 'http://localhost:8080']);
+    assert.strictEqual(auth.enabled, true);
+  });
+
+  it('rejects unknown roles', () => {
+    assert.throws(() => Auth.fromEnv({ DASHBOARD_API_TOKENS: 'x:admin' }), /Invalid role "admin"/);
+  });
+
+  it('disables authentication when nothing is configured', () => {
+    const auth = Auth.fromEnv({});
+    assert.strictEqual(auth.enabled, false);
+    assert.deepStrictEqual(auth.authenticate(request()), { name: 'local', role: 'operator' });
+  });
+});
+
+describe('Auth.authenticate', () => {
+  const auth = new Auth({
+    apiTokens: [{ token: 'secret', role: 'viewer', name: 'token-1' }],
+    users: [{ username: 'alice', password: 'pw', role: 'operator' }]
+  });
+
+  it('accepts a Bearer token, a cookie or ?token=', () => {
+    const expected = { name: 'token-1', role: 'viewer' };
+    assert.deepStrictEqual(auth.authenticate(request({ authorization: 'Bearer secret' })), expected);
+    assert.deepStrictEqual(auth.authenticate(request({ cookie: 'other=1; tokamak_token=secret' })), expected);
+    assert.deepStrictEqual(auth.authenticate(request({}, '/ws?token=secret')), expected);
+  });
+
+  it('rejects missing and wrong tokens', () => {
+    assert.strictEqual(auth.authenticate(request()), null);
+    assert.strictEqual(auth.authenticate(request({ authorization: 'Bearer nope' })), null);
+    assert.strictEqual(auth.authenticate(request({ authorization: 'Basic secret' })), null);
+  });
+
+  it('ignores malformed cookies instead of throwing', () => {
+    assert.strictEqual(auth.authenticate(request({ cookie: 'bad=%E0%A4%A; tokamak_token=nope' })), null);
+    assert.deepStrictEqual(auth.authenticate(request({ cookie: 'bad=%E0%A4%A; tokamak_token=secret' })),
+      { name: 'token-1', role: 'viewer' });
+  });
+
+  it('issues login tokens and forgets them on logout', () => {
+    assert.strictEqual(auth.login('alice', 'wrong'), null);
+    assert.strictEqual(auth.login('bob', 'pw'), null);
+
+    const login = auth.login('alice', 'pw');
+    assert.match(login.token, /^[0-9a-f]{64}$/);
+    const req = request({ authorization: `Bearer ${login.token}` });
+    assert.deepStrictEqual(auth.authenticate(req), { name: 'alice', role: 'operator' });
+
+    auth.logout(req);
+    assert.strictEqual(auth.authenticate(req), null);
+  });
+
+  it('expires login tokens', () => {
+    const login = auth.login('alice', 'pw');
+    auth.logins.get(login.token).expiresAt = Date.now() - 1;
+    assert.strictEqual(auth.authenticate(request({ authorization: `Bearer ${login.token}` })), null);
+    assert.strictEqual(auth.logins.has(login.token), false);
+  });
+
+  it('orders roles viewer < operator', () => {
+    assert.strictEqual(auth.hasRole({ role: 'operator' }, 'viewer'), true);
+    assert.strictEqual(auth.hasRole({ role: 'viewer' }, 'operator'), false);
+    assert.strictEqual(auth.hasRole(null, 'viewer'), false);
+  });
+});
+
+describe('CORS', () => {
+  const auth = new Auth({ corsOrigins: ['https://a.example'] });
+
+  it('adds CORS headers only for listed origins', () => {
+    const allowed = response();
+    auth.applyCors(request({ origin: 'https://a.example' }), allowed);
+    assert.strictEqual(allowed.headers['access-control-allow-origin'], 'https://a.example');
+    assert.strictEqual(allowed.headers['access-control-allow-credentials'], 'true');
+    assert.strictEqual(allowed.headers.vary, 'Origin');
+
+    const other = response();
+    auth.applyCors(request({ origin: 'https://evil.example' }), other);
+    assert.deepStrictEqual(other.headers, {});
+
+    const none = response();
+    auth.applyCors(request(), none);
+    assert.deepStrictEqual(none.headers, {});
+  });
+
+  it('allows WebSocket upgrades from the same host or a listed origin only', () => {
+    assert.strictEqual(auth.isAllowedOrigin(request({ host: 'localhost:3000' })), true);
+    assert.strictEqual(auth.isAllowedOrigin(request({ host: 'localhost:3000', origin: 'http://localhost:3000' })), true);
+    assert.strictEqual(auth.isAllowedOrigin(request({ host: 'localhost:3000', origin: 'https://a.example' })), true);
+    assert.strictEqual(auth.isAllowedOrigin(request({ host: 'localhost:3000', origin: 'http://evil.example' })), false);
+    assert.strictEqual(auth.isAllowedOrigin(request({ host: 'localhost:3000', origin: 'not a url' })), false);
+  });
+});
+
+describe('redactToken', () => {
+  it('strips ?token= and keeps other parameters', () => {
+    assert.strictEqual(redactToken('/ws?token=secret&session=abc'), '/ws?session=abc');
+    assert.strictEqual(redactToken('/ws?token=secret'), '/ws');
+    assert.strictEqual(redactToken('/api/sessions?x=1'), '/api/sessions?x=1');
+  });
+});
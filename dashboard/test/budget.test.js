@@ -0,0 +1,126 @@
+/**
+ * budget.test.js — budget 옵션 검증과 경고(80%)/초과 알림, 에이전트별 한도 확인
+ *
+ * 세션은 budget·createdAt·budgetAlerts·usageSummary()·touch()만 가진 객체로 대신함.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { normalizeBudget, evaluateBudget, overBudgetAgents } = require('../budget');
+
+const MINUTE = 60000;
+
+function agentUsage(tokens, iterations) {
+  return { inputTokens: tokens, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0, iterations };
+}
+
+function fakeSession(budget, usage = {}) {
+  const session = {
+    budget,
+    createdAt: 0,
+    budgetAlerts: [],
+    touched: 0,
+    total: { totalTokens: 0, iterations: 0, costUsd: 0, ...usage.total },
+    agents: usage.agents || {},
+    usageSummary() {
+      return { total: this.total, agents: this.agents };
+    },
+    touch() {
+      this.touched++;
+    }
+  };
+  return session;
+}
+
+describe('normalizeBudget', () => {
+  it('returns null for no budget or only empty fields', () => {
+    assert.strictEqual(normalizeBudget(undefined), null);
+    assert.strictEqual(normalizeBudget(null), null);
+    assert.strictEqual(normalizeBudget({ maxTokens: '', maxCostUsd: null }), null);
+  });
+
+  it('converts numeric strings and drops empty fields', () => {
+    assert.deepStrictEqual(normalizeBudget({ maxTokens: '1000', maxCostUsd: 2.5, maxMinutes: '' }),
+      { maxTokens: 1000, maxCostUsd: 2.5 });
+  });
+
+  it('rejects non-objects, unknown fields and non-positive values', () => {
+    assert.throws(() => normalizeBudget([]), /budget must be an object/);
+    assert.throws(() => normalizeBudget('100'), /budget must be an object/);
+    assert.throws(() => normalizeBudget({ maxDollars: 1 }), /Unknown budget field: maxDollars/);
+    assert.throws(() => normalizeBudget({ maxTokens: 0 }), /budget.maxTokens must be a positive number/);
+    assert.throws(() => normalizeBudget({ maxTokens: -5 }), /must be a positive number/);
+    assert.throws(() => normalizeBudget({ maxTokens: 'lots' }), /must be a positive number/);
+  });
+});
+
+describe('evaluateBudget', () => {
+  it('returns nothing without a budget or below 80%', () => {
+    assert.deepStrictEqual(evaluateBudget(fakeSession(null)), []);
+    assert.deepStrictEqual(evaluateBudget(fakeSession({ maxTokens: 1000 }, { total: { totalTokens: 799 } })), []);
+  });
+
+  it('warns at 80% and reports exceeded at 100%', () => {
+    const session = fakeSession({ maxTokens: 1000 }, { total: { totalTokens: 800 } });
+    const [warning] = evaluateBudget(session);
+    assert.strictEqual(warning.level, 'warning');
+    assert.strictEqual(warning.scope, 'session');
+    assert.strictEqual(warning.message, 'Session reached 80% of budget maxTokens (1000)');
+
+    session.total.totalTokens = 1000;
+    const [exceeded] = evaluateBudget(session);
+    assert.strictEqual(exceeded.level, 'exceeded');
+    assert.strictEqual(exceeded.message, 'Session exceeded budget maxTokens (100% of 1000)');
+  });
+
+  it('reports each alert only once', () => {
+    const session = fakeSession({ maxIterations: 10 }, { total: { iterations: 9 } });
+    assert.strictEqual(evaluateBudget(session).length, 1);
+    assert.strictEqual(evaluateBudget(session).length, 0);
+    assert.deepStrictEqual(session.budgetAlerts, ['session::maxIterations:warning']);
+    assert.strictEqual(session.touched, 1);
+  });
+
+  it('measures maxMinutes from the session start', () => {
+    const session = fakeSession({ maxMinutes: 10 });
+    assert.deepStrictEqual(evaluateBudget(session, 7 * MINUTE), []);
+    assert.strictEqual(evaluateBudget(session, 8 * MINUTE)[0].level, 'warning');
+    assert.strictEqual(evaluateBudget(session, 10 * MINUTE)[0].level, 'exceeded');
+  });
+
+  it('rounds cost usage and checks per-agent limits', () => {
+    const session = fakeSession({ maxCostUsd: 1, agentMaxTokens: 100 }, {
+      total: { costUsd: 0.83333 },
+      agents: { 'agent-1': agentUsage(50, 1), 'agent-2': agentUsage(120, 1) }
+    });
+    const alerts = evaluateBudget(session);
+    assert.deepStrictEqual(alerts.map(a => a.key), ['session::maxCostUsd:warning', 'agent:agent-2:agentMaxTokens:exceeded']);
+    assert.strictEqual(alerts[0].used, 0.83);
+    assert.strictEqual(alerts[1].agentId, 'agent-2');
+    assert.strictEqual(alerts[1].message, 'Agent agent-2 exceeded budget agentMaxTokens (120% of 100)');
+  });
+});
+
+describe('overBudgetAgents', () => {
+  it('lists agents currently at or over their limits every time it is called', () => {
+    const session = fakeSession({ agentMaxTokens: 100, agentMaxIterations: 5 }, {
+      agents: {
+        'agent-1': agentUsage(99, 4),
+        'agent-2': agentUsage(100, 1),
+        'agent-3': agentUsage(500, 9)
+      }
+    });
+    const expected = [
+      { agentId: 'agent-2', metrics: ['agentMaxTokens'] },
+      { agentId: 'agent-3', metrics: ['agentMaxTokens', 'agentMaxIterations'] }
+    ];
+    assert.deepStrictEqual(overBudgetAgents(session), expected);
+    assert.deepStrictEqual(overBudgetAgents(session), expected);
+  });
+
+  it('ignores session-wide limits', () => {
+    const session = fakeSession({ maxTokens: 10 }, { total: { totalTokens: 100 }, agents: { 'agent-1': agentUsage(100, 1) } });
+    assert.deepStrictEqual(overBudgetAgents(session), []);
+    assert.deepStrictEqual(overBudgetAgents(fakeSession(null)), []);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * router.test.js — 요청 body schema 검증과 Router의 에러 응답 형태 확인
+ *
+ * validate()는 직접 호출하고, Router는 실제 HTTP 서버에 올려 400/405/413 응답을 확인.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Router, HttpError, validate, sendJSON } = require('../router');
+
+const SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 8, pattern: '^[a-z]+$' },
+    count: { type: 'integer', minimum: 1, maximum: 5 },
+    ratio: { type: 'number', minimum: 0 },
+    mode: { enum: ['new', 'continue'] },
+    note: { type: ['string', 'null'] },
+    tags: { type: 'array', minItems: 1, maxItems: 2, items: { type: 'string', maxLength: 3 } }
+  }
+};
+
+function messages(value) {
+  return validate(SCHEMA, value).map(e => e.message);
+}
+
+describe('validate', () => {
+  it('accepts a valid body', () => {
+    assert.deepStrictEqual(validate(SCHEMA, { name: 'ok', count: 2, ratio: 0.5, mode: 'new', note: null, tags: ['a'] }), []);
+  });
+
+  it('checks the top-level type', () => {
+    assert.deepStrictEqual(messages([]), ['body must be object']);
+    assert.deepStrictEqual(messages(null), ['body must be object']);
+  });
+
+  it('reports missing required and unknown properties with their paths', () => {
+    assert.deepStrictEqual(validate(SCHEMA, { extra: 1 }), [
+      { path: 'body.name', message: 'body.name is required' },
+      { path: 'body.extra', message: 'body.extra is not allowed' }
+    ]);
+  });
+
+  it('checks string length and pattern', () => {
+    assert.deepStrictEqual(messages({ name: '' }), ['body.name is required', 'body.name must match ^[a-z]+$']);
+    assert.deepStrictEqual(messages({ name: 'abcdefghi' }), ['body.name must be at most 8 characters']);
+    assert.deepStrictEqual(messages({ name: 'ABC' }), ['body.name must match ^[a-z]+$']);
+  });
+
+  it('distinguishes integer from number and checks bounds', () => {
+    assert.deepStrictEqual(messages({ name: 'a', count: 1.5 }), ['body.count must be integer']);
+    assert.deepStrictEqual(messages({ name: 'a', count: 0 }), ['body.count must be >= 1']);
+    assert.deepStrictEqual(messages({ name: 'a', count: 6 }), ['body.count must be <= 5']);
+    assert.deepStrictEqual(messages({ name: 'a', ratio: 3 }), []);
+    assert.deepStrictEqual(messages({ name: 'a', ratio: '3' }), ['body.ratio must be number']);
+  });
+
+  it('checks enums and type lists', () => {
+    assert.deepStrictEqual(messages({ name: 'a', mode: 'other' }), ['body.mode must be one of: new, continue']);
+    assert.deepStrictEqual(messages({ name: 'a', note: 1 }), ['body.note must be string or null']);
+  });
+
+  it('enforces minItems and maxItems', () => {
+    assert.deepStrictEqual(messages({ name: 'a', tags: [] }), ['body.tags must have at least 1 item(s)']);
+    assert.deepStrictEqual(messages({ name: 'a', tags: ['a', 'b', 'c'] }), ['body.tags must have at most 2 items']);
+    assert.deepStrictEqual(messages({ name: 'a', tags: ['a', 'b'] }), []);
+  });
+
+  it('validates array items with indexed paths', () => {
+    assert.deepStrictEqual(validate(SCHEMA, { name: 'a', tags: ['ok', 'long'] }), [
+      { path: 'body.tags[1]', message: 'body.tags[1] must be at most 3 characters' }
+    ]);
+  });
+});
+
+describe('Router', () => {
+  let server;
+  let port;
+
+  function request(method, requestPath, body) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: '127.0.0.1', port, path: requestPath, method }, res => {
+        let data = '';
+        res.setEncoding('utf-8');
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null }));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  before(async () => {
+    const router = new Router({ bodyLimit: 64 });
+    router.post('/api/things', (req, res) => sendJSON(res, 200, { body: req.body }), { body: SCHEMA });
+    router.get('/api/things/:id', (req, res) => {
+      if (req.params.id === 'missing') throw new HttpError(404, 'No such thing');
+      sendJSON(res, 200, { id: req.params.id, query: req.query });
+    });
+    server = http.createServer(async (req, res) => {
+      if (!(await router.handle(req, res))) sendJSON(res, 418, { passed: true });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(() => server.close());
+
+  it('passes params, query and a validated body to the handler', async () => {
+    assert.deepStrictEqual((await request('GET', '/api/things/a%20b?x=1')).body, { id: 'a b', query: { x: '1' } });
+    assert.deepStrictEqual((await request('POST', '/api/things', '{"name":"ok"}')).body, { body: { name: 'ok' } });
+  });
+
+  it('returns 400 VALIDATION_ERROR with every error in details', async () => {
+    const res = await request('POST', '/api/things', '{"tags":[]}');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'VALIDATION_ERROR');
+    assert.strictEqual(res.body.error, 'body.name is required');
+    assert.deepStrictEqual(res.body.details.map(e => e.path), ['body.name', 'body.tags']);
+  });
+
+  it('returns 400 INVALID_JSON for a malformed body', async () => {
+    const res = await request('POST', '/api/things', '{"name":');
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual(res.body.code, 'INVALID_JSON');
+  });
+
+  it('returns 413 when the body exceeds the limit', async () => {
+    const res = await request('POST', '/api/things', JSON.stringify({ name: 'a'.repeat(100) }));
+    assert.strictEqual(res.status, 413);
+    assert.strictEqual(res.body.code, 'PAYLOAD_TOO_LARGE');
+  });
+
+  it('returns 405 with an Allow header for a known path and wrong method', async () => {
+    const res = await request('GET', '/api/things');
+    assert.strictEqual(res.status, 405);
+    assert.strictEqual(res.headers.allow, 'POST');
+  });
+
+  it('turns a thrown HttpError into its status and code', async () => {
+    const res = await request('GET', '/api/things/missing');
+    assert.strictEqual(res.status, 404);
+    assert.deepStrictEqual(res.body, { error: 'No such thing', code: 'NOT_FOUND' });
+  });
+
+  it('leaves unknown paths to the next handler', async () => {
+    assert.strictEqual((await request('GET', '/elsewhere')).status, 418);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * spec.test.js — SPEC.md 파싱(spec-parser)과 모듈별 인수 테스트 생성(spec-tests) 확인
+ *
+ * 생성된 테스트는 임시 게임 폴더에 templates/tests/base-test.js와 함께 써서 실제로 실행.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseSpec } = require('../spec-parser');
+const { generateSpecTests, writeSpecTests } = require('../spec-tests');
+
+const BASE_TEST = path.join(__dirname, '..', '..', 'templates', 'tests', 'base-test.js');
+
+const ENGLISH_SPEC = `# Snake — classic arcade
+
+## Overview
+A snake game.
+
+## Module Breakdown
+
+### 1. **game.js** — game state and rules
+- **export**: \`createGame(width, height)\`, \`updateGame(state, dt)\`
+- The snake grows when it eats food
+- \`isGameOver(state)\` returns true after a wall hit
+
+### 2. Rendering (\`src/renderer.js\`)
+- render(ctx, state), clear(ctx)
+- Draws the score in the corner
+
+\`\`\`
+## not a heading
+\`\`\`
+
+## Implementation Priority
+1. Game state and createGame
+2. Rendering
+3. Polish
+`;
+
+const KOREAN_SPEC = `# 테트리스
+
+## 모듈 구조
+
+### 1. 보드 (\`board.js\`)
+- Exported functions: createBoard, clearLines
+- 가득 찬 줄은 지운다
+
+### 2. 보드 (\`src/ui/board.js\`)
+- 화면 표시
+
+## 구현 우선순위
+1. 보드 먼저
+`;
+
+describe('parseSpec', () => {
+  const manifest = parseSpec(ENGLISH_SPEC);
+
+  it('reads the title without its subtitle', () => {
+    assert.strictEqual(manifest.version, 1);
+    assert.strictEqual(manifest.title, 'Snake');
+  });
+
+  it('parses modules with files, descriptions and requirements', () => {
+    assert.deepStrictEqual(manifest.modules.map(m => [m.id, m.name, m.file, m.description]), [
+      ['game', 'game.js', 'src/game.js', 'game state and rules'],
+      ['renderer', 'Rendering', 'src/renderer.js', '']
+    ]);
+    assert.deepStrictEqual(manifest.modules[1].requirements, ['render(ctx, state), clear(ctx)', 'Draws the score in the corner']);
+  });
+
+  it('extracts exports from export lists, signature lines and code spans', () => {
+    assert.deepStrictEqual(manifest.modules[0].exports, [
+      { name: 'createGame', signature: 'createGame(width, height)' },
+      { name: 'updateGame', signature: 'updateGame(state, dt)' },
+      { name: 'isGameOver', signature: 'isGameOver(state)' }
+    ]);
+    assert.deepStrictEqual(manifest.modules[1].exports.map(e => e.signature), ['render(ctx, state)', 'clear(ctx)']);
+  });
+
+  it('ignores headings inside code fences', () => {
+    assert.ok(!manifest.modules.some(m => m.requirements.some(r => r.includes('not a heading'))));
+    assert.strictEqual(manifest.priorities.length, 3);
+  });
+
+  it('links priorities to modules by export name and file stem', () => {
+    assert.deepStrictEqual(manifest.priorities.map(p => p.modules), [['game'], ['renderer'], []]);
+    assert.deepStrictEqual(manifest.modules.map(m => m.priority), [1, 2]);
+  });
+
+  it('parses the Korean template and keeps module ids unique', () => {
+    const korean = parseSpec(KOREAN_SPEC);
+    assert.strictEqual(korean.title, '테트리스');
+    assert.deepStrictEqual(korean.modules.map(m => [m.id, m.file]), [['board', 'src/board.js'], ['board-2', 'src/ui/board.js']]);
+    assert.deepStrictEqual(korean.modules[0].exports.map(e => e.name), ['createBoard', 'clearLines']);
+    assert.deepStrictEqual(korean.priorities[0].modules, ['board', 'board-2']);
+  });
+
+  it('falls back to numbered ### headings when there is no module section', () => {
+    const fallback = parseSpec('# T\n\n## Design\n### 1. core.js — main\n- start()\n### Notes\n- nothing');
+    assert.deepStrictEqual(fallback.modules.map(m => [m.id, m.file, m.requirements]), [['core', 'src/core.js', ['start()']]]);
+  });
+
+  it('returns an empty manifest for an empty spec', () => {
+    assert.deepStrictEqual(parseSpec(''), { version: 1, title: '', modules: [], priorities: [] });
+  });
+});
+
+describe('generateSpecTests', () => {
+  const manifest = parseSpec(ENGLISH_SPEC);
+
+  it('creates one test file per module with export and pending counts', () => {
+    const tests = generateSpecTests(manifest);
+    assert.deepStrictEqual(tests.map(t => [t.file, t.exports, t.pending]), [
+      ['spec-game.test.js', 3, 2],
+      ['spec-renderer.test.js', 2, 2]
+    ]);
+  });
+
+  it('checks the file and every export, and leaves behaviour as pending', () => {
+    const [game] = generateSpecTests(manifest);
+    assert.match(game.content, /require\('\.\/base-test'\)/);
+    assert.match(game.content, /it\('src\/game\.js should exist'/);
+    assert.match(game.content, /assert\.strictEqual\(typeof mod\.createGame, 'function'/);
+    assert.match(game.content, /pending\('The snake grows when it eats food'\);/);
+    assert.doesNotMatch(game.content, /pending\('export:/);
+  });
+
+  it('escapes quotes in generated string literals', () => {
+    const [test] = generateSpecTests({
+      modules: [{ id: 'q', name: "Player's \"ship\"", file: null, exports: [], requirements: ["Don't crash\\"] }]
+    });
+    assert.match(test.content, /describe\('SPEC: Player\\'s "ship"'/);
+    assert.match(test.content, /pending\('Don\\'t crash\\\\'\);/);
+    assert.strictEqual(test.exports, 0);
+  });
+
+  it('writes tests that fail until the module exports what the SPEC lists', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tokamak-spec-'));
+    try {
+      fs.mkdirSync(path.join(tmp, 'src'));
+      fs.mkdirSync(path.join(tmp, 'tests'));
+      fs.copyFileSync(BASE_TEST, path.join(tmp, 'tests', 'base-test.js'));
+      writeSpecTests(manifest, path.join(tmp, 'tests'));
+      const run = () => spawnSync(process.execPath, [path.join(tmp, 'tests', 'spec-game.test.js')], { encoding: 'utf-8', timeout: 10000 });
+
+      fs.writeFileSync(path.join(tmp, 'src', 'game.js'), 'module.exports = { createGame() {} };\n');
+      const partial = run();
+      assert.strictEqual(partial.status, 1);
+      assert.match(partial.stdout, /updateGame is not exported from src\/game\.js/);
+
+      fs.writeFileSync(path.join(tmp, 'src', 'game.js'),
+        'module.exports = { createGame() {}, updateGame() {}, isGameOver() {} };\n');
+      const complete = run();
+      assert.strictEqual(complete.status, 0, complete.stdout);
+      assert.match(complete.stdout, /Pending: 2/);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('skips existing test files with skipExisting', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tokamak-spec-'));
+    try {
+      fs.writeFileSync(path.join(tmp, 'spec-game.test.js'), '// edited by an agent\n');
+      const written = writeSpecTests(manifest, tmp, { skipExisting: true });
+      assert.deepStrictEqual(written.map(t => t.file), ['spec-renderer.test.js']);
+      assert.strictEqual(fs.readFileSync(path.join(tmp, 'spec-game.test.js'), 'utf-8'), '// edited by an agent\n');
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * static.test.js — StaticFiles가 root 밖의 파일을 절대 내주지 않는지, ETag/304/gzip 처리 확인
+ *
+ * 임시 디렉토리에 public/와 그 밖의 secret.txt를 만들고 실제 HTTP 서버로 요청.
+ * 요청 경로는 http.request가 정규화하지 않으므로 ../ 등이 그대로 서버에 전달됨.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const { StaticFiles } = require('../static');
+
+let tmp;
+let server;
+let port;
+
+function get(requestPath, headers = {}, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path: requestPath, method, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks);
+        resolve({ status: res.statusCode, headers: res.headers, raw, body: raw.toString('utf-8') });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tokamak-static-'));
+  const root = path.join(tmp, 'public');
+  fs.mkdirSync(path.join(root, 'sub'), { recursive: true });
+  fs.writeFileSync(path.join(root, 'index.html'), '<h1>dashboard</h1>');
+  fs.writeFileSync(path.join(root, 'sub', 'app.js'), 'console.log(1);');
+  fs.writeFileSync(path.join(root, 'big.js'), 'console.log("tokamak");\n'.repeat(200));
+  fs.writeFileSync(path.join(root, 'big.png'), Buffer.alloc(4096, 1));
+  fs.writeFileSync(path.join(tmp, 'secret.txt'), 'TOP SECRET');
+  fs.symlinkSync(path.join(tmp, 'secret.txt'), path.join(root, 'link.txt'));
+  fs.symlinkSync(tmp, path.join(root, 'outside'));
+
+  const files = new StaticFiles(root);
+  server = http.createServer((req, res) => files.serve(req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+describe('StaticFiles', () => {
+  it('serves files inside the root', async () => {
+    assert.strictEqual((await get('/')).body, '<h1>dashboard</h1>');
+    assert.strictEqual((await get('/sub/app.js')).status, 200);
+  });
+
+  const attempts = {
+    'plain ../': '/../secret.txt',
+    'nested ../': '/sub/../../secret.txt',
+    'encoded %2e%2e%2f': '/%2e%2e%2fsecret.txt',
+    'encoded %2e%2e/': '/sub/%2e%2e/%2e%2e/secret.txt',
+    'double-encoded ../': '/%252e%252e%252fsecret.txt',
+    'encoded backslash': '/..%5csecret.txt',
+    'encoded backslash, nested': '/sub/..%5c..%5csecret.txt',
+    'absolute path': `/${path.join(tmp, 'secret.txt')}`,
+    'encoded absolute path': `/${encodeURIComponent(path.join(tmp, 'secret.txt'))}`,
+    'protocol-relative absolute path': `//${path.join(tmp, 'secret.txt')}`,
+    'symlink to a file outside the root': '/link.txt',
+    'symlink to a directory outside the root': '/outside/secret.txt',
+    'NUL byte': '/index.html%00.js',
+    'NUL byte with ../': '/../secret.txt%00'
+  };
+
+  for (const [name, requestPath] of Object.entries(attempts)) {
+    it(`returns 404 for ${name} (${requestPath})`, async () => {
+      const res = await get(requestPath);
+      assert.strictEqual(res.status, 404);
+      assert.ok(!res.body.includes('TOP SECRET'));
+    });
+  }
+});
+
+describe('StaticFiles caching', () => {
+  it('sends an ETag and Last-Modified, and 304 for a matching If-None-Match', async () => {
+    const first = await get('/sub/app.js');
+    assert.strictEqual(first.status, 200);
+    assert.match(first.headers.etag, /^W\/"[0-9a-f]+-[0-9a-f]+"$/);
+    assert.ok(first.headers['last-modified']);
+
+    const cached = await get('/sub/app.js', { 'If-None-Match': first.headers.etag });
+    assert.strictEqual(cached.status, 304);
+    assert.strictEqual(cached.raw.length, 0);
+    assert.strictEqual(cached.headers.etag, first.headers.etag);
+
+    const listed = await get('/sub/app.js', { 'If-None-Match': `W/"other", ${first.headers.etag}` });
+    assert.strictEqual(listed.status, 304);
+  });
+
+  it('returns 200 for a stale ETag even if If-Modified-Since is fresh', async () => {
+    const res = await get('/sub/app.js', {
+      'If-None-Match': 'W/"stale"',
+      'If-Modified-Since': new Date(Date.now() + 60000).toUTCString()
+    });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.body, 'console.log(1);');
+  });
+
+  it('uses If-Modified-Since when there is no If-None-Match', async () => {
+    const first = await get('/sub/app.js');
+    const fresh = await get('/sub/app.js', { 'If-Modified-Since': first.headers['last-modified'] });
+    assert.strictEqual(fresh.status, 304);
+    const stale = await get('/sub/app.js', { 'If-Modified-Since': new Date(0).toUTCString() });
+    assert.strictEqual(stale.status, 200);
+  });
+
+  it('changes the ETag when the file changes', async () => {
+    const file = path.join(tmp, 'public', 'sub', 'app.js');
+    const before = (await get('/sub/app.js')).headers.etag;
+    fs.writeFileSync(file, 'console.log(22);');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+    const res = await get('/sub/app.js', { 'If-None-Match': before });
+    assert.strictEqual(res.status, 200);
+    assert.notStrictEqual(res.headers.etag, before);
+    assert.strictEqual(res.body, 'console.log(22);');
+  });
+});
+
+describe('StaticFiles gzip', () => {
+  const original = 'console.log("tokamak");\n'.repeat(200);
+
+  it('compresses large text files when the client accepts gzip', async () => {
+    const res = await get('/big.js', { 'Accept-Encoding': 'gzip, deflate' });
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-encoding'], 'gzip');
+    assert.strictEqual(res.headers.vary, 'Accept-Encoding');
+    assert.strictEqual(Number(res.headers['content-length']), res.raw.length);
+    assert.strictEqual(zlib.gunzipSync(res.raw).toString('utf-8'), original);
+  });
+
+  it('serves the same bytes from the gzip cache on repeat requests', async () => {
+    const first = await get('/big.js', { 'Accept-Encoding': 'gzip' });
+    const second = await get('/big.js', { 'Accept-Encoding': 'gzip' });
+    assert.ok(first.raw.equals(second.raw));
+  });
+
+  it('sends plain text without Accept-Encoding: gzip', async () => {
+    const res = await get('/big.js');
+    assert.strictEqual(res.headers['content-encoding'], undefined);
+    assert.strictEqual(res.headers.vary, 'Accept-Encoding');
+    assert.strictEqual(res.body, original);
+  });
+
+  it('does not compress small files or binary types', async () => {
+    const small = await get('/sub/app.js', { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(small.headers['content-encoding'], undefined);
+    const image = await get('/big.png', { 'Accept-Encoding': 'gzip' });
+    assert.strictEqual(image.headers['content-encoding'], undefined);
+    assert.strictEqual(image.headers.vary, undefined);
+    assert.strictEqual(image.raw.length, 4096);
+  });
+
+  it('answers HEAD with headers only', async () => {
+    const res = await get('/big.js', { 'Accept-Encoding': 'gzip' }, 'HEAD');
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers['content-encoding'], 'gzip');
+    assert.strictEqual(res.raw.length, 0);
+  });
+});
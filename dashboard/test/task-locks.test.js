@@ -0,0 +1,165 @@
+/**
+ * task-locks.test.js — 잠금 lease 계산과 만료된 잠금 회수 확인
+ *
+ * reclaimLocks는 임시 bare repo와 clone으로 실제 git 커밋·push까지 확인.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseLock, parseLockActivity, applyLease, isStale, reclaimLocks } = require('../task-locks');
+
+const HOUR = 60 * 60;
+
+describe('parseLock', () => {
+  it('reads the agent and time from the file name and drops heartbeat lines', () => {
+    assert.deepStrictEqual(parseLock('agent-2-1700000000', 'collision detection\nheartbeat 1700000600\n'), {
+      file: 'agent-2-1700000000',
+      agentId: '2',
+      timestamp: 1700000000,
+      description: 'collision detection'
+    });
+  });
+
+  it('marks unknown file names', () => {
+    const lock = parseLock('notes.txt', 'x');
+    assert.strictEqual(lock.agentId, 'unknown');
+    assert.strictEqual(lock.timestamp, 0);
+  });
+});
+
+describe('parseLockActivity', () => {
+  const log = [
+    '@1700000900|agent-1',
+    'src/game.js',
+    '',
+    '@1700000600|agent-2',
+    'current_tasks/agent-2-1700000000',
+    '',
+    '@1700000300|agent-2',
+    'current_tasks/agent-2-1700000000',
+    'current_tasks/agent-3-1700000100',
+    '',
+    '@1700000950|dashboard',
+    'current_tasks/agent-3-1700000100'
+  ].join('\n');
+
+  it('keeps the latest commit time per agent and per lock file', () => {
+    const { agents, files } = parseLockActivity(log);
+    assert.deepStrictEqual([...agents], [['1', 1700000900000], ['2', 1700000600000]]);
+    assert.deepStrictEqual([...files], [
+      ['agent-2-1700000000', 1700000600000],
+      ['agent-3-1700000100', 1700000950000]
+    ]);
+  });
+
+  it('handles an empty log', () => {
+    const { agents, files } = parseLockActivity('');
+    assert.strictEqual(agents.size, 0);
+    assert.strictEqual(files.size, 0);
+  });
+});
+
+describe('applyLease', () => {
+  const lock = parseLock('agent-2-1700000000', 'task');
+  const none = { agents: new Map(), files: new Map() };
+
+  it('starts the lease at the lock time', () => {
+    const lease = applyLease(lock, none, 60);
+    assert.strictEqual(lease.renewedAt, 1700000000000);
+    assert.strictEqual(lease.expiresAt, 1700000060000);
+    assert.strictEqual(lease.stale, false);
+  });
+
+  it('renews on a heartbeat commit or any commit by the agent, whichever is later', () => {
+    const heartbeat = { agents: new Map(), files: new Map([['agent-2-1700000000', 1700000500000]]) };
+    assert.strictEqual(applyLease(lock, heartbeat, 60).renewedAt, 1700000500000);
+
+    const both = { agents: new Map([['2', 1700000800000]]), files: heartbeat.files };
+    assert.strictEqual(applyLease(lock, both, 60).renewedAt, 1700000800000);
+
+    const otherAgent = { agents: new Map([['3', 1700000900000]]), files: new Map() };
+    assert.strictEqual(applyLease(lock, otherAgent, 60).renewedAt, 1700000000000);
+  });
+
+  it('is stale from expiresAt on', () => {
+    const lease = applyLease(lock, none, 60);
+    assert.strictEqual(isStale(lease, lease.expiresAt - 1), false);
+    assert.strictEqual(isStale(lease, lease.expiresAt), true);
+  });
+});
+
+describe('reclaimLocks', () => {
+  let tmp;
+  let origin;
+  let work;
+  const now = Math.floor(Date.now() / 1000);
+  const staleLock = `agent-1-${now - 2 * HOUR}`;
+  const freshLock = `agent-2-${now - 60}`;
+
+  function git(cwd, ...args) {
+    return execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'] }).trim();
+  }
+
+  before(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tokamak-locks-'));
+    origin = path.join(tmp, 'origin.git');
+    work = path.join(tmp, 'work');
+    execFileSync('git', ['init', '-q', '--bare', origin]);
+    git(origin, 'symbolic-ref', 'HEAD', 'refs/heads/main');
+    execFileSync('git', ['init', '-q', '-b', 'main', work]);
+    git(work, 'config', 'user.name', 'dashboard');
+    git(work, 'config', 'user.email', 'dashboard@localhost');
+    fs.mkdirSync(path.join(work, 'current_tasks'));
+    fs.writeFileSync(path.join(work, 'current_tasks', staleLock), 'player movement\n');
+    fs.writeFileSync(path.join(work, 'current_tasks', freshLock), 'scoring\n');
+    git(work, 'add', '-A');
+    // 잠금 파일을 고친 커밋도 heartbeat이므로 잠금을 만든 커밋은 과거 시각으로
+    execFileSync('git', ['-C', work, 'commit', '-q', '-m', 'task: locks'], {
+      env: { ...process.env, GIT_COMMITTER_DATE: `@${now - 2 * HOUR}`, GIT_AUTHOR_DATE: `@${now - 2 * HOUR}` }
+    });
+    git(work, 'remote', 'add', 'origin', origin);
+    git(work, 'push', '-q', 'origin', 'main');
+  });
+
+  after(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('moves only stale locks to abandoned_tasks and pushes the commit', async () => {
+    const result = await reclaimLocks(work, [staleLock, freshLock, 'agent-9-1'], {
+      actor: 'tester',
+      reason: 'agent crashed',
+      ttl: HOUR
+    });
+    assert.deepStrictEqual(result.reclaimed, [staleLock]);
+    assert.deepStrictEqual(result.renewed, [freshLock]);
+    assert.deepStrictEqual(result.missing, ['agent-9-1']);
+    assert.strictEqual(git(origin, 'rev-parse', 'main'), result.commit);
+
+    const moved = git(origin, 'show', `main:abandoned_tasks/${staleLock}`);
+    assert.match(moved, /^player movement\n\nreclaimed .+ by tester: agent crashed$/);
+    assert.strictEqual(git(origin, 'ls-tree', '--name-only', 'main', 'current_tasks/'), `current_tasks/${freshLock}`);
+  });
+
+  it('returns without a commit when nothing is stale', async () => {
+    const head = git(origin, 'rev-parse', 'main');
+    const result = await reclaimLocks(work, [freshLock], { ttl: HOUR });
+    assert.deepStrictEqual(result, { commit: null, reclaimed: [], renewed: [freshLock], missing: [] });
+    assert.strictEqual(git(origin, 'rev-parse', 'main'), head);
+  });
+
+  it('resets the work dir and throws when the push keeps failing', async () => {
+    const head = git(work, 'rev-parse', 'HEAD');
+    await assert.rejects(
+      reclaimLocks(work, [freshLock], { ttl: 1, push: { args: ['--receive-pack=false'], env: null } }),
+      /Could not reclaim task locks/
+    );
+    assert.strictEqual(git(work, 'rev-parse', 'HEAD'), head);
+    assert.strictEqual(git(work, 'status', '--porcelain'), '');
+    assert.ok(fs.existsSync(path.join(work, 'current_tasks', freshLock)));
+  });
+});
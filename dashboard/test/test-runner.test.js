@@ -0,0 +1,131 @@
+/**
+ * test-runner.test.js — logs/test-results.log 파싱 확인
+ *
+ * 직접 쓴 로그와, templates/tests의 run-tests.sh·base-test.js를 임시 게임 폴더에서 실제로 돌린 로그를 모두 파싱.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseTestLog } = require('../test-runner');
+
+const TEMPLATE_TESTS = path.join(__dirname, '..', '..', 'templates', 'tests');
+
+const LOG = [
+  '============================================',
+  '  Test Runner — 2026-01-01 00:00:00',
+  '============================================',
+  '',
+  '▶ Running: game.test.js',
+  '',
+  '  Game',
+  '    ✓ creates a board',
+  '    ✗ moves the snake',
+  '      Expected 2 to equal 3',
+  '    ○ wraps around (pending)',
+  '',
+  '  ─────────────────────────────',
+  '  Total:  2',
+  '  Passed: 1',
+  '  Failed: 1',
+  '  ─────────────────────────────',
+  '',
+  '  Failures:',
+  '    1) moves the snake: Expected 2 to equal 3',
+  '',
+  '  ✗ FAIL: game.test.js (exit code: 1)',
+  '',
+  '▶ Running: broken.test.js',
+  "SyntaxError: Unexpected token ')'",
+  '  ✗ FAIL: broken.test.js (exit code: 1)',
+  '',
+  '▶ Running: ui.test.js',
+  '    ✓ renders',
+  '  ✓ PASS: ui.test.js',
+  '',
+  '============================================',
+  '  Results: 1/3 passed'
+].join('\n');
+
+describe('parseTestLog', () => {
+  const { files, tests } = parseTestLog(LOG);
+
+  it('records each file result', () => {
+    assert.deepStrictEqual(files, [
+      { file: 'game.test.js', status: 'fail' },
+      { file: 'broken.test.js', status: 'fail' },
+      { file: 'ui.test.js', status: 'pass' }
+    ]);
+  });
+
+  it('records tests with their suite, status and first failure line', () => {
+    assert.deepStrictEqual(tests.slice(0, 3), [
+      { id: 'game.test.js › Game › creates a board', file: 'game.test.js', suite: 'Game', name: 'creates a board', status: 'pass', message: null },
+      { id: 'game.test.js › Game › moves the snake', file: 'game.test.js', suite: 'Game', name: 'moves the snake', status: 'fail', message: 'Expected 2 to equal 3' },
+      { id: 'game.test.js › Game › wraps around', file: 'game.test.js', suite: 'Game', name: 'wraps around', status: 'pending', message: null }
+    ]);
+  });
+
+  it('does not treat the summary or failure list as tests or suites', () => {
+    assert.strictEqual(tests.filter(t => t.file === 'game.test.js').length, 3);
+    assert.ok(!tests.some(t => /Total|Failures|1\)/.test(t.suite || '')));
+  });
+
+  it('records a file that failed without running any test as a failed test', () => {
+    assert.deepStrictEqual(tests[3], {
+      id: 'broken.test.js', file: 'broken.test.js', suite: null, name: null, status: 'fail',
+      message: '✗ FAIL: broken.test.js (exit code: 1)'
+    });
+  });
+
+  it('keeps tests outside a suite', () => {
+    assert.deepStrictEqual(tests[4], { id: 'ui.test.js › renders', file: 'ui.test.js', suite: null, name: 'renders', status: 'pass', message: null });
+  });
+
+  it('returns nothing for an empty log', () => {
+    assert.deepStrictEqual(parseTestLog(''), { files: [], tests: [] });
+  });
+
+  it('parses the log written by the template run-tests.sh', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tokamak-tests-'));
+    try {
+      const testsDir = path.join(tmp, 'tests');
+      fs.mkdirSync(testsDir);
+      for (const file of ['run-tests.sh', 'base-test.js']) {
+        fs.copyFileSync(path.join(TEMPLATE_TESTS, file), path.join(testsDir, file));
+      }
+      fs.writeFileSync(path.join(testsDir, 'a.test.js'), [
+        "const { assert, describe, it, pending, summary } = require('./base-test');",
+        "describe('Math', function() {",
+        "  it('adds', function() { assert.strictEqual(1 + 1, 2); });",
+        "  it('subtracts', function() { assert.strictEqual(3 - 1, 1, 'off by one'); });",
+        "  pending('divides');",
+        '});',
+        'process.exit(summary());',
+        ''
+      ].join('\n'));
+      fs.writeFileSync(path.join(testsDir, 'b.test.js'), 'this is not javascript(\n');
+
+      const run = spawnSync('bash', ['tests/run-tests.sh'], { cwd: tmp, encoding: 'utf-8', timeout: 30000 });
+      assert.strictEqual(run.status, 1, run.stdout + run.stderr);
+
+      const log = fs.readFileSync(path.join(tmp, 'logs', 'test-results.log'), 'utf-8');
+      const result = parseTestLog(log);
+      assert.deepStrictEqual(result.files, [
+        { file: 'a.test.js', status: 'fail' },
+        { file: 'b.test.js', status: 'fail' }
+      ]);
+      assert.deepStrictEqual(result.tests.map(t => [t.id, t.status, t.message]), [
+        ['a.test.js › Math › adds', 'pass', null],
+        ['a.test.js › Math › subtracts', 'fail', 'off by one'],
+        ['a.test.js › Math › divides', 'pending', null],
+        ['b.test.js', 'fail', '✗ FAIL: b.test.js (exit code: 1)']
+      ]);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * zip.test.js — createZip 결과를 중앙 디렉토리부터 다시 읽어 내용·CRC·날짜 확인
+ *
+ * 외부 unzip 없이 ZIP 형식을 직접 읽음 (zlib으로 deflate 해제).
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { createZip, crc32 } = require('../zip');
+
+// ZIP Buffer → [{ name, method, flags, crc, time, day, data }] — local header와 central directory가 일치하는지도 검사
+function readZip(zip) {
+  const end = zip.length - 22;
+  assert.strictEqual(zip.readUInt32LE(end), 0x06054b50, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  const centralSize = zip.readUInt32LE(end + 12);
+  let pos = zip.readUInt32LE(end + 16);
+  assert.strictEqual(pos + centralSize, end, 'central directory ends where the end record starts');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    assert.strictEqual(zip.readUInt32LE(pos), 0x02014b50, 'central header');
+    const method = zip.readUInt16LE(pos + 10);
+    const compressedSize = zip.readUInt32LE(pos + 20);
+    const nameLength = zip.readUInt16LE(pos + 28);
+    const offset = zip.readUInt32LE(pos + 42);
+    const name = zip.toString('utf-8', pos + 46, pos + 46 + nameLength);
+
+    assert.strictEqual(zip.readUInt32LE(offset), 0x04034b50, 'local header');
+    assert.ok(zip.subarray(offset + 6, offset + 26).equals(zip.subarray(pos + 8, pos + 28)), 'local header matches central header');
+    const localNameLength = zip.readUInt16LE(offset + 26);
+    const start = offset + 30 + localNameLength + zip.readUInt16LE(offset + 28);
+    const body = zip.subarray(start, start + compressedSize);
+
+    entries.push({
+      name,
+      method,
+      flags: zip.readUInt16LE(pos + 8),
+      crc: zip.readUInt32LE(pos + 16),
+      size: zip.readUInt32LE(pos + 24),
+      time: zip.readUInt16LE(pos + 12),
+      day: zip.readUInt16LE(pos + 14),
+      data: method === 8 ? zlib.inflateRawSync(body) : body
+    });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('crc32', () => {
+  it('matches the standard check value', () => {
+    assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+  });
+});
+
+describe('createZip', () => {
+  const html = '<!DOCTYPE html>\n' + '<p>tokamak</p>\n'.repeat(100);
+  const files = [
+    { name: 'pong/index.html', data: html },
+    { name: 'pong\\src\\tiny.js', data: Buffer.from('x') },
+    { name: 'pong/에셋/소리.txt', data: '사운드' },
+    { name: 'pong/empty.txt', data: Buffer.alloc(0) }
+  ];
+
+  it('round-trips every file with its CRC and size', () => {
+    const entries = readZip(createZip(files));
+    assert.deepStrictEqual(entries.map(e => e.name), ['pong/index.html', 'pong/src/tiny.js', 'pong/에셋/소리.txt', 'pong/empty.txt']);
+    entries.forEach((entry, i) => {
+      const data = Buffer.from(files[i].data);
+      assert.ok(entry.data.equals(data), entry.name);
+      assert.strictEqual(entry.crc, crc32(data), entry.name);
+      assert.strictEqual(entry.size, data.length, entry.name);
+    });
+  });
+
+  it('deflates compressible files and stores the rest', () => {
+    const [index, tiny, , empty] = readZip(createZip(files));
+    assert.strictEqual(index.method, 8);
+    assert.strictEqual(tiny.method, 0);
+    assert.strictEqual(empty.method, 0);
+  });
+
+  it('marks file names as UTF-8', () => {
+    for (const entry of readZip(createZip(files))) assert.strictEqual(entry.flags & 0x0800, 0x0800);
+  });
+
+  it('writes the given date in MS-DOS format', () => {
+    const [entry] = readZip(createZip(files.slice(0, 1), new Date(2024, 2, 15, 13, 45, 31)));
+    assert.strictEqual(entry.day >> 9, 2024 - 1980);
+    assert.strictEqual((entry.day >> 5) & 0x0f, 3);
+    assert.strictEqual(entry.day & 0x1f, 15);
+    assert.strictEqual(entry.time >> 11, 13);
+    assert.strictEqual((entry.time >> 5) & 0x3f, 45);
+    assert.strictEqual((entry.time & 0x1f) * 2, 30);
+  });
+
+  it('writes an empty archive as just the end record', () => {
+    const zip = createZip([]);
+    assert.strictEqual(zip.length, 22);
+    assert.deepStrictEqual(readZip(zip), []);
+  });
+});
@@ -1,33 +1,98 @@
 /**
  * watcher.js — Git repo & task directory watcher
  *
- * Polls the shared git repo for changes and emits events
+ * Watches the bare repo agents push to and emits events
  * to the dashboard server via callback.
+ *
+ * bare repo의 refs/heads를 fs.watch로 감시하다가 main이 움직일 때만 작업 디렉토리에 pull하고
+ * 상태를 다시 계산 (git/파일 작업은 모두 비동기 — 서버 이벤트 루프를 막지 않음).
+ * 파일 내용은 mtime/size 캐시로 바뀐 파일만 다시 읽고, 변경 파일 목록은 새 커밋만큼만 갱신.
+ * bare repo가 없거나 감시할 수 없으면 POLL_INTERVAL마다 polling으로 대체하고,
+ * 감시 중에도 놓친 이벤트(packed-refs 갱신 등)에 대비해 FALLBACK_INTERVAL마다 main을 확인.
  */
 
 const fs = require('fs');
+const fsp = fs.promises;
 const path = require('path');
-const { execSync, exec } = require('child_process');
+const { execFile } = require('child_process');
+const { parseSpec, SPEC_MANIFEST } = require('./spec-parser');
+const { CommitAnalytics, LOG_FORMAT } = require('./analytics');
+const { LOCK_TTL, parseLock, parseLockActivity, applyLease, isStale } = require('./task-locks');
+
+const POLL_INTERVAL = 2000; // ref 감시를 못 할 때 polling 주기
+const FALLBACK_INTERVAL = 30000; // ref 감시 중 안전망 확인 주기
+const DEBOUNCE = 200; // push 한 번에 ref 이벤트가 여러 번 옴
+const LEASE_CHECK_INTERVAL = 60000; // main이 멈춰 있어도 잠금 만료는 시간이 지나며 생김
+const GIT_TIMEOUT = 10000;
+
+function git(args, options = {}) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, {
+      encoding: 'utf-8',
+      timeout: GIT_TIMEOUT,
+      maxBuffer: 16 * 1024 * 1024,
+      ...options
+    }, (err, stdout) => {
+      if (err) reject(err);
+      else resolve(stdout.trim());
+    });
+  });
+}
+
+function emptyState() {
+  return {
+    agents: {},
+    commits: [],
+    currentTasks: [],
+    lockTtl: LOCK_TTL,
+    completedTaskCount: 0,
+    testResults: null,
+    totalLines: 0,
+    totalCommits: 0,
+    specModules: []
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// function NAME(, const NAME =, NAME: ..., exports.NAME =, 메서드 NAME(...) {
+function definesFunction(code, name) {
+  const n = escapeRegExp(name);
+  return new RegExp(
+    `function\\s*\\*?\\s*${n}\\s*\\(|(?:const|let|var)\\s+${n}\\s*=|(?:^|[\\s{,])${n}\\s*:|exports\\.${n}\\s*=|^\\s*(?:async\\s+)?${n}\\s*\\([^)]*\\)\\s*\\{`,
+    'm'
+  ).test(code);
+}
 
-const POLL_INTERVAL = 2000; // 2 seconds
+function mentions(code, name) {
+  return new RegExp(`\\b${escapeRegExp(name)}\\b`).test(code);
+}
 
 class RepoWatcher {
   constructor(repoPath, options = {}) {
     this.repoPath = repoPath;
+    this.bareRepo = options.bareRepo || null;
     this.pollInterval = options.pollInterval || POLL_INTERVAL;
+    this.fallbackInterval = options.fallbackInterval || FALLBACK_INTERVAL;
+    this.lockTtl = options.lockTtl || LOCK_TTL;
+    this.staleLocks = new Set(); // lock:stale을 이미 알린 잠금 파일
     this.listeners = [];
     this.lastCommitHash = null;
+    this.touchedCache = null;
+    this.analytics = new CommitAnalytics();
+    this.fileCache = new Map(); // fullPath -> { mtimeMs, size, content }
+    this.readThisRound = new Set();
     this.timer = null;
-    this.state = {
-      agents: {},
-      commits: [],
-      currentTasks: [],
-      completedTaskCount: 0,
-      testResults: null,
-      totalLines: 0,
-      totalCommits: 0,
-      specModules: []
-    };
+    this.leaseTimer = null;
+    this.debounceTimer = null;
+    this.refWatcher = null;
+    this.running = null; // 진행 중인 refresh
+    this.pending = false;
+    this.stopped = true;
+    this.initialized = false;
+    this.state = { ...emptyState(), lockTtl: this.lockTtl };
   }
 
   onChange(callback) {
@@ -39,66 +104,155 @@ class RepoWatcher {
   }
 
   start() {
-    console.log(`[Watcher] Monitoring repo: ${this.repoPath}`);
-    this.poll();
-    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.stopped = false;
+    if (this.watchRefs()) {
+      console.log(`[Watcher] Monitoring repo: ${this.repoPath} (refs of ${this.bareRepo})`);
+      this.startTimer(this.fallbackInterval);
+    } else {
+      console.log(`[Watcher] Monitoring repo: ${this.repoPath} (polling every ${this.pollInterval}ms)`);
+      this.startTimer(this.pollInterval);
+    }
+    this.leaseTimer = setInterval(() => {
+      if (this.initialized && this.checkLeases()) this.emit('state', this.getState());
+    }, LEASE_CHECK_INTERVAL);
+    this.schedule();
   }
 
   stop() {
+    this.stopped = true;
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
     }
+    clearInterval(this.leaseTimer);
+    this.leaseTimer = null;
+    clearTimeout(this.debounceTimer);
+    if (this.refWatcher) {
+      this.refWatcher.close();
+      this.refWatcher = null;
+    }
   }
 
-  reset(newRepoPath) {
+  reset(newRepoPath, bareRepo = this.bareRepo) {
     this.stop();
     this.repoPath = newRepoPath;
+    this.bareRepo = bareRepo;
     this.lastCommitHash = null;
-    this.state = {
-      agents: {},
-      commits: [],
-      currentTasks: [],
-      completedTaskCount: 0,
-      testResults: null,
-      totalLines: 0,
-      totalCommits: 0,
-      specModules: []
-    };
+    this.touchedCache = null;
+    this.analytics.reset();
+    this.fileCache.clear();
+    this.staleLocks.clear();
+    this.initialized = false;
+    this.state = { ...emptyState(), lockTtl: this.lockTtl };
     this.start();
   }
 
-  poll() {
+  startTimer(interval) {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = setInterval(() => this.schedule(), interval);
+  }
+
+  // ref 갱신은 lock 파일 rename이라 refs/heads 디렉토리 이벤트로 들어옴
+  watchRefs() {
+    if (!this.bareRepo) return false;
     try {
-      // Pull latest changes from origin (에이전트의 push를 동기화)
-      this.execGit('pull --rebase origin main');
-
-      this.updateCommits();
-      this.updateCurrentTasks();
-      this.updateCompletedTasks();
-      this.updateCodeStats();
-      this.updateSpecModules();
-      this.updateAgentStatus();
-      this.emit('state', this.getState());
+      this.refWatcher = fs.watch(path.join(this.bareRepo, 'refs', 'heads'), () => {
+        clearTimeout(this.debounceTimer);
+        this.debounceTimer = setTimeout(() => this.schedule(), DEBOUNCE);
+      });
     } catch (err) {
-      console.error('[Watcher] Poll error:', err.message);
+      console.warn(`[Watcher] Cannot watch ${this.bareRepo} (${err.message}), polling instead`);
+      return false;
     }
+    this.refWatcher.on('error', err => {
+      console.warn(`[Watcher] Ref watch failed (${err.message}), polling instead`);
+      this.refWatcher.close();
+      this.refWatcher = null;
+      if (!this.stopped) this.startTimer(this.pollInterval);
+    });
+    return true;
   }
 
-  execGit(cmd) {
+  // refresh를 한 번에 하나만 — 진행 중에 들어온 요청은 끝난 뒤 한 번으로 합침
+  schedule() {
+    if (this.stopped) return;
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    this.running = this.refresh()
+      .catch(err => console.error('[Watcher] Refresh error:', err.message))
+      .then(() => this.finishRun());
+  }
+
+  finishRun() {
+    this.running = null;
+    if (this.pending) {
+      this.pending = false;
+      this.schedule();
+    }
+  }
+
+  // 작업 디렉토리에 쓰는 작업(잠금 회수)을 refresh와 겹치지 않게 실행 — 끝나면 main을 다시 확인
+  async exclusive(task) {
+    while (this.running) await this.running;
+    const run = task();
+    this.running = run.catch(() => {}).then(() => {
+      this.pending = true;
+      this.finishRun();
+    });
+    return run;
+  }
+
+  // main이 움직였을 때만 pull + 상태 재계산
+  async refresh() {
+    if (this.bareRepo && this.initialized) {
+      const main = await git(['--git-dir', this.bareRepo, 'rev-parse', '--verify', '-q', 'refs/heads/main']).catch(() => '') || null;
+      if (main === this.lastCommitHash) return;
+    }
+
+    // Pull latest changes from origin (에이전트의 push를 동기화)
+    await this.execGit(['pull', '--rebase', 'origin', 'main']);
+    const head = (await this.execGit(['rev-parse', '--verify', '-q', 'HEAD'])) || null;
+    if (this.initialized && head === this.lastCommitHash) return;
+
+    this.readThisRound.clear();
+    await this.updateCommits();
+    await this.updateAnalytics();
+    await this.updateCurrentTasks();
+    await this.updateCompletedTasks();
+    await this.updateCodeStats();
+    await this.updateSpecModules();
+    this.updateAgentStatus();
+    // 이번에 읽지 않은 파일(삭제·이동)은 캐시에서 제거
+    for (const file of this.fileCache.keys()) {
+      if (!this.readThisRound.has(file)) this.fileCache.delete(file);
+    }
+
+    this.initialized = true;
+    if (!this.stopped) this.emit('state', this.getState());
+  }
+
+  async execGit(args) {
     try {
-      return execSync(`git -C "${this.repoPath}" ${cmd}`, {
-        encoding: 'utf-8',
-        timeout: 5000,
-        stdio: ['ignore', 'pipe', 'pipe']
-      }).trim();
+      return await git(['-C', this.repoPath, ...args]);
     } catch {
       return '';
     }
   }
 
-  updateCommits() {
-    const log = this.execGit('log --oneline --format="%H|%an|%s|%cr" -30');
+  // mtime/size가 같으면 이전에 읽은 내용 재사용 — 바뀐 파일만 다시 읽음
+  async readFile(fullPath, stat) {
+    this.readThisRound.add(fullPath);
+    const cached = this.fileCache.get(fullPath);
+    if (cached && cached.mtimeMs === stat.mtimeMs && cached.size === stat.size) return cached.content;
+    const content = await fsp.readFile(fullPath, 'utf-8');
+    this.fileCache.set(fullPath, { mtimeMs: stat.mtimeMs, size: stat.size, content });
+    return content;
+  }
+
+  async updateCommits() {
+    const log = await this.execGit(['log', '--format=%H|%an|%s|%cr', '-30']);
     if (!log) return;
 
     const commits = log.split('\n').filter(Boolean).map(line => {
@@ -113,78 +267,193 @@ class RepoWatcher {
     }
 
     this.state.commits = commits;
-    this.state.totalCommits = parseInt(this.execGit('rev-list --count HEAD') || '0', 10);
+    this.state.totalCommits = parseInt(await this.execGit(['rev-list', '--count', 'HEAD']) || '0', 10);
   }
 
-  updateCurrentTasks() {
+  async updateCurrentTasks() {
     const tasksDir = path.join(this.repoPath, 'current_tasks');
+    let tasks;
     try {
-      const files = fs.readdirSync(tasksDir).filter(f => f !== '.gitkeep');
-      this.state.currentTasks = files.map(f => {
-        const content = fs.readFileSync(path.join(tasksDir, f), 'utf-8').trim();
-        const match = f.match(/agent-(\d+)-(\d+)/);
-        return {
-          file: f,
-          agentId: match ? match[1] : 'unknown',
-          timestamp: match ? parseInt(match[2], 10) : 0,
-          description: content
-        };
-      });
+      const files = (await fsp.readdir(tasksDir)).filter(f => f !== '.gitkeep');
+      tasks = await Promise.all(files.map(async f => {
+        const fullPath = path.join(tasksDir, f);
+        return parseLock(f, await this.readFile(fullPath, await fsp.stat(fullPath)));
+      }));
     } catch {
-      this.state.currentTasks = [];
+      tasks = [];
     }
+
+    // 가장 오래된 잠금 이후의 커밋만 보면 lease 갱신 시각을 알 수 있음
+    let log = '';
+    if (tasks.length > 0) {
+      const since = Math.min(...tasks.map(t => t.timestamp));
+      log = await this.execGit(['log', `--since=@${since}`, '--format=@%ct|%an', '--name-only']);
+    }
+    const activity = parseLockActivity(log);
+    this.state.currentTasks = tasks.map(task => applyLease(task, activity, this.lockTtl));
+    this.checkLeases();
   }
 
-  updateCompletedTasks() {
+  // 잠금별 stale 표시 갱신, 새로 만료된 잠금은 lock:stale로 한 번만 알림 — 바뀐 게 있으면 true
+  checkLeases(now = Date.now()) {
+    let changed = false;
+    const newlyStale = [];
+    const current = new Set();
+    for (const task of this.state.currentTasks) {
+      const stale = isStale(task, now);
+      if (stale !== task.stale) changed = true;
+      task.stale = stale;
+      if (!stale) continue;
+      current.add(task.file);
+      if (!this.staleLocks.has(task.file)) newlyStale.push(task);
+    }
+    this.staleLocks = current;
+    if (newlyStale.length > 0 && !this.stopped) {
+      this.emit('lock:stale', { ttl: this.lockTtl, locks: newlyStale });
+    }
+    return changed;
+  }
+
+  async updateCompletedTasks() {
     const completedDir = path.join(this.repoPath, 'completed_tasks');
     try {
-      const files = fs.readdirSync(completedDir).filter(f => f !== '.gitkeep');
+      const files = (await fsp.readdir(completedDir)).filter(f => f !== '.gitkeep');
       this.state.completedTaskCount = files.length;
     } catch {
       this.state.completedTaskCount = 0;
     }
   }
 
-  updateCodeStats() {
-    const srcDir = path.join(this.repoPath, 'src');
-    try {
-      let totalLines = 0;
-      const walkDir = (dir) => {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-          const fullPath = path.join(dir, entry.name);
-          if (entry.isDirectory()) {
-            walkDir(fullPath);
-          } else if (/\.(js|html|css)$/.test(entry.name)) {
-            const content = fs.readFileSync(fullPath, 'utf-8');
-            totalLines += content.split('\n').length;
-          }
-        }
+  async updateCodeStats() {
+    const files = await this.readSources(path.join(this.repoPath, 'src'), () => true, /\.(js|html|css)$/);
+    this.state.totalLines = files.reduce((total, f) => total + f.content.split('\n').length, 0);
+  }
+
+  // spec.json(없으면 SPEC.md 직접 파싱)의 모듈별로 src/의 export 구현과 tests/의 참조를 비교
+  async updateSpecModules() {
+    const manifest = await this.loadSpecManifest();
+    if (!manifest) {
+      this.state.specModules = [];
+      return;
+    }
+
+    const touched = await this.touchedFiles();
+    // forge가 생성한 테스트(export 검사, pending)는 제외 — 에이전트가 작성하거나 고친 테스트만 인정
+    const tests = (await this.readSources(path.join(this.repoPath, 'tests'), name => name !== 'base-test.js'))
+      .filter(f => touched.has(f.path));
+    const srcFiles = manifest.modules.some(mod => !mod.file) ? await this.readSources(path.join(this.repoPath, 'src')) : [];
+    const moduleFiles = new Map();
+    for (const mod of manifest.modules) {
+      if (mod.file && !moduleFiles.has(mod.file)) {
+        moduleFiles.set(mod.file, await this.readSources(path.join(this.repoPath, mod.file)));
+      }
+    }
+
+    this.state.specModules = manifest.modules.map(mod => {
+      const sources = mod.file ? moduleFiles.get(mod.file) : srcFiles;
+      const code = sources.map(f => f.content).join('\n');
+      const testCode = tests.map(f => f.content).join('\n');
+
+      const implemented = mod.exports.filter(e => definesFunction(code, e.name));
+      const tested = implemented.filter(e => mentions(testCode, e.name));
+      const exists = sources.length > 0;
+      // forge가 만든 스텁은 구현으로 치지 않음 — 초기 커밋 이후 수정된 파일만 인정
+      const modified = mod.file ? touched.has(mod.file) : sources.some(f => touched.has(f.path));
+
+      let status = 'pending';
+      if (exists && modified) {
+        const complete = mod.exports.length > 0
+          ? implemented.length === mod.exports.length && tested.length === mod.exports.length
+          : !mod.file || mentions(testCode, path.basename(mod.file).replace(/\.[^.]+$/, ''));
+        status = complete ? 'done' : 'in-progress';
+      }
+
+      return {
+        id: mod.id,
+        name: mod.name,
+        file: mod.file,
+        priority: mod.priority,
+        status,
+        exports: mod.exports.length,
+        implemented: implemented.length,
+        tested: tested.length,
+        missing: mod.exports.filter(e => !implemented.includes(e)).map(e => e.name)
       };
-      walkDir(srcDir);
-      this.state.totalLines = totalLines;
+    });
+  }
+
+  async loadSpecManifest() {
+    try {
+      const manifest = JSON.parse(await fsp.readFile(path.join(this.repoPath, SPEC_MANIFEST), 'utf-8'));
+      if (Array.isArray(manifest.modules)) return manifest;
+    } catch {}
+    try {
+      return parseSpec(await fsp.readFile(path.join(this.repoPath, 'SPEC.md'), 'utf-8'));
     } catch {
-      this.state.totalLines = 0;
+      return null;
     }
   }
 
-  updateSpecModules() {
-    const specPath = path.join(this.repoPath, 'SPEC.md');
-    try {
-      const content = fs.readFileSync(specPath, 'utf-8');
-      const modules = [];
-      const moduleRegex = /^###?\s+\d+\.\s+\*\*(.+?)\*\*/gm;
-      let match;
-      while ((match = moduleRegex.exec(content)) !== null) {
-        modules.push({
-          name: match[1].trim(),
-          status: 'pending' // Will be updated by checking src/ files
-        });
+  // 이전 HEAD가 새 HEAD의 조상이면 그 사이 커밋만 ['<old>..<new>'], 아니면(처음, rebase) [] — 전체 히스토리
+  async newCommits(since, head) {
+    if (!since || !head) return [];
+    const ancestor = await git(['-C', this.repoPath, 'merge-base', '--is-ancestor', since, head])
+      .then(() => true, () => false);
+    return ancestor ? [`${since}..${head}`] : [];
+  }
+
+  // 커밋별 numstat을 새 커밋만큼 누적 (히스토리가 바뀌었으면 처음부터)
+  async updateAnalytics() {
+    const head = this.lastCommitHash;
+    if (!head || this.analytics.head === head) return;
+    const range = await this.newCommits(this.analytics.head, head);
+    if (range.length === 0) this.analytics.reset();
+    const log = await this.execGit(['log', '--numstat', '--no-renames', `--format=${LOG_FORMAT}`, ...range]);
+    this.analytics.ingest(log, head);
+  }
+
+  // 초기(root) 커밋 이후에 변경된 파일 목록 — 새 커밋만 읽어 누적
+  async touchedFiles() {
+    const cache = this.touchedCache;
+    const head = this.lastCommitHash;
+    if (cache && cache.head === head) return cache.files;
+
+    const range = await this.newCommits(cache && cache.head, head);
+    const files = range.length > 0 ? new Set(cache.files) : new Set();
+    const log = await this.execGit(['log', '--format=@%P', '--name-only', ...range]);
+    let isRoot = true;
+    for (const line of log.split('\n')) {
+      if (line.startsWith('@')) {
+        isRoot = line.length === 1;
+      } else if (line && !isRoot) {
+        files.add(line);
       }
-      this.state.specModules = modules;
-    } catch {
-      this.state.specModules = [];
     }
+    this.touchedCache = { head, files };
+    return files;
+  }
+
+  // 파일 또는 디렉토리 아래의 소스 파일 읽기 → [{ path (repo 기준), content }]
+  async readSources(target, filter = () => true, pattern = /\.(js|mjs|html)$/) {
+    const results = [];
+    const visit = async (fullPath) => {
+      let stat;
+      try {
+        stat = await fsp.stat(fullPath);
+      } catch {
+        return;
+      }
+      if (stat.isDirectory()) {
+        for (const entry of (await fsp.readdir(fullPath)).sort()) await visit(path.join(fullPath, entry));
+      } else if (pattern.test(fullPath) && filter(path.basename(fullPath))) {
+        results.push({
+          path: path.relative(this.repoPath, fullPath).split(path.sep).join('/'),
+          content: await this.readFile(fullPath, stat)
+        });
+      }
+    };
+    await visit(target);
+    return results;
   }
 
   updateAgentStatus() {
@@ -207,7 +476,11 @@ class RepoWatcher {
       }
     });
 
-    // Count commits per agent
+    // Count commits per agent (재계산할 때마다 처음부터)
+    Object.values(this.state.agents).forEach(agent => {
+      agent.commitCount = 0;
+      agent.taskCount = 0;
+    });
     this.state.commits.forEach(commit => {
       const match = commit.author?.match(/agent-(\d+)/);
       if (match) {
@@ -240,6 +513,16 @@ class RepoWatcher {
   getState() {
     return { ...this.state };
   }
+
+  // 커밋별 테스트 실행기(test-runner.js)의 최신 결과 — 다음 state에 포함
+  setTestResults(results) {
+    this.state.testResults = results;
+    if (this.initialized && !this.stopped) this.emit('state', this.getState());
+  }
+
+  getAnalytics() {
+    return this.analytics.summary();
+  }
 }
 
 module.exports = { RepoWatcher };
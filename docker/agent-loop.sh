@@ -4,6 +4,8 @@ set -euo pipefail
 AGENT_ID="${AGENT_ID:?AGENT_ID is required}"
 GAME_NAME="${GAME_NAME:?GAME_NAME is required}"
 LOG_FILE="/work/agent-${AGENT_ID}.log"
+INSTRUCTION_FILE="/work/instruction.md"
+USAGE_FILE="/work/usage.jsonl"
 
 log() {
   echo "[$(date '+%Y-%m-%d %H:%M:%S')] [Agent ${AGENT_ID}] $*" | tee -a "$LOG_FILE"
@@ -40,16 +42,56 @@ while true; do
     continue
   }
 
-  # Run Claude in autonomous mode
+  PROMPT="CLAUDE.md 파일을 읽고 지시에 따라 다음 작업을 수행하세요. 당신은 agent-${AGENT_ID}입니다."
+
+  # One-off operator instruction (written by the dashboard), applied to this iteration only
+  if [ -f "$INSTRUCTION_FILE" ]; then
+    log "Applying operator instruction: $(head -c 200 "$INSTRUCTION_FILE")"
+    PROMPT="${PROMPT}
+
+운영자의 추가 지시 (이번 반복에만 적용):
+$(cat "$INSTRUCTION_FILE")"
+    mv "$INSTRUCTION_FILE" "/work/instruction-$(date +%s).done"
+  fi
+
+  # Run Claude in autonomous mode (JSON output carries token usage and cost)
   log "Invoking Claude..."
-  claude --model claude-sonnet-4.5 \
+  START_MS=$(date +%s%3N)
+  set +e
+  OUTPUT=$(claude --model "${AGENT_MODEL:-claude-sonnet-4.5}" \
     --dangerously-skip-permissions \
-    -p "CLAUDE.md 파일을 읽고 지시에 따라 다음 작업을 수행하세요. 당신은 agent-${AGENT_ID}입니다." \
-    2>>"$LOG_FILE" | tee -a "$LOG_FILE" || true
+    --output-format json \
+    -p "$PROMPT" \
+    2>>"$LOG_FILE")
+  EXIT_CODE=$?
+  set -e
+  END_MS=$(date +%s%3N)
 
-  EXIT_CODE=${PIPESTATUS[0]:-$?}
+  # Print Claude's final message (raw output if it is not JSON)
+  { echo "$OUTPUT" | jq -r '.result // empty' 2>/dev/null || echo "$OUTPUT"; } | tee -a "$LOG_FILE"
   log "Claude exited with code ${EXIT_CODE}"
 
+  # Per-iteration usage record — appended to usage.jsonl and echoed for the dashboard
+  USAGE=$(echo "$OUTPUT" | jq -c \
+    --arg agent "$AGENT_ID" \
+    --argjson iteration "$LOOP_COUNT" \
+    --argjson exitCode "$EXIT_CODE" \
+    --argjson time "$END_MS" \
+    --argjson wallMs "$((END_MS - START_MS))" \
+    '{agent: $agent, iteration: $iteration, time: $time, exitCode: $exitCode,
+      inputTokens: (.usage.input_tokens // 0),
+      outputTokens: (.usage.output_tokens // 0),
+      cacheReadTokens: (.usage.cache_read_input_tokens // 0),
+      cacheCreationTokens: (.usage.cache_creation_input_tokens // 0),
+      costUsd: (.total_cost_usd // 0),
+      turns: (.num_turns // 0),
+      durationMs: (.duration_ms // $wallMs)}' 2>/dev/null) || true
+  if [ -z "$USAGE" ]; then
+    USAGE="{\"agent\":\"${AGENT_ID}\",\"iteration\":${LOOP_COUNT},\"time\":${END_MS},\"exitCode\":${EXIT_CODE},\"inputTokens\":0,\"outputTokens\":0,\"cacheReadTokens\":0,\"cacheCreationTokens\":0,\"costUsd\":0,\"turns\":0,\"durationMs\":$((END_MS - START_MS))}"
+  fi
+  echo "$USAGE" >> "$USAGE_FILE"
+  echo "[USAGE] $USAGE"
+
   # Brief pause before next iteration
   sleep 5
 done
@@ -0,0 +1,94 @@
+#!/bin/bash
+# fake-claude.sh — e2e용 claude CLI 대역
+#
+# agent-loop.sh가 호출하는 `claude --model M ... --output-format json -p PROMPT`와 같은 인터페이스.
+# mock LLM 서버(ANTHROPIC_BASE_URL)에 프롬프트를 보내 fixture의 작업 계획
+# { task, file, content }를 받고, CLAUDE.md의 절차대로 실행:
+#   잠금 파일 커밋 → src/ 파일 작성 → 테스트 → 커밋 → completed_tasks/로 이동 → push
+# 마지막에 claude --output-format json과 같은 형태의 결과 JSON을 출력.
+
+set -uo pipefail
+
+MODEL="unknown"
+PROMPT=""
+while [ $# -gt 0 ]; do
+  case "$1" in
+    --model) MODEL="$2"; shift 2 ;;
+    -p|--print) if [ "$1" = "-p" ]; then PROMPT="$2"; shift 2; else shift; fi ;;
+    *) shift ;;
+  esac
+done
+
+START_MS=$(date +%s%3N)
+
+result() {
+  local text="$1" exit_code="${2:-0}"
+  jq -n \
+    --arg text "$text" \
+    --arg model "$MODEL" \
+    --argjson input "${INPUT_TOKENS:-0}" \
+    --argjson output "${OUTPUT_TOKENS:-0}" \
+    --argjson duration "$(( $(date +%s%3N) - START_MS ))" \
+    --argjson error "$([ "$exit_code" = 0 ] && echo false || echo true)" \
+    '{type: "result", subtype: "success", is_error: $error, result: $text, model: $model,
+      num_turns: 1, duration_ms: $duration, total_cost_usd: 0,
+      usage: {input_tokens: $input, output_tokens: $output, cache_read_input_tokens: 0, cache_creation_input_tokens: 0}}'
+  exit "$exit_code"
+}
+
+push_main() {
+  for _ in 1 2 3; do
+    git pull --rebase origin main >&2 && git push origin HEAD:main >&2 && return 0
+    git rebase --abort >&2 2>/dev/null || true
+    sleep 1
+  done
+  return 1
+}
+
+# 1. 작업 계획 요청
+REQUEST=$(jq -n --arg model "$MODEL" --arg prompt "$PROMPT" \
+  '{model: $model, max_tokens: 1024, messages: [{role: "user", content: $prompt}]}')
+RESPONSE=$(curl -sf "${ANTHROPIC_BASE_URL%/}/v1/messages" \
+  -H "x-api-key: ${ANTHROPIC_API_KEY:-}" \
+  -H 'anthropic-version: 2023-06-01' \
+  -H 'content-type: application/json' \
+  -d "$REQUEST") || result "mock LLM request failed" 1
+
+INPUT_TOKENS=$(echo "$RESPONSE" | jq '.usage.input_tokens // 0')
+OUTPUT_TOKENS=$(echo "$RESPONSE" | jq '.usage.output_tokens // 0')
+PLAN=$(echo "$RESPONSE" | jq -r '.content[0].text')
+TASK=$(echo "$PLAN" | jq -r '.task // empty' 2>/dev/null)
+FILE=$(echo "$PLAN" | jq -r '.file // empty' 2>/dev/null)
+
+if [ -z "$TASK" ] || [ -z "$FILE" ]; then
+  result "No task in plan: ${PLAN:0:200}"
+fi
+if [ -f "$FILE" ]; then
+  result "Nothing to do: ${FILE} already exists"
+fi
+
+# 2. 태스크 잠금
+mkdir -p current_tasks completed_tasks
+LOCK="current_tasks/agent-${AGENT_ID}-$(date +%s)"
+echo "$TASK" > "$LOCK"
+git add current_tasks/ >&2
+git commit -m "task: agent-${AGENT_ID} 작업 시작 - ${TASK}" >&2
+push_main || result "Failed to push task lock" 1
+
+# 3. 작업 수행 & 테스트
+mkdir -p "$(dirname "$FILE")"
+echo "$PLAN" | jq -r '.content' > "$FILE"
+if ! bash tests/run-tests.sh >&2; then
+  git checkout -- . >&2 2>/dev/null || true
+  rm -f "$FILE"
+  result "Tests failed after writing ${FILE}; not pushing" 1
+fi
+git add "$FILE" >&2
+git commit -m "feat: ${TASK}" >&2
+
+# 4. 태스크 완료
+git mv "$LOCK" completed_tasks/ >&2
+git commit -m "task: agent-${AGENT_ID} 작업 완료" >&2
+push_main || result "Failed to push ${FILE}" 1
+
+result "Implemented ${TASK} in ${FILE}"
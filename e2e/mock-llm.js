@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+/**
+ * mock-llm.js — 오프라인 LLM 서버 (e2e / 로컬 데모용)
+ *
+ * 실제 provider와 같은 HTTP API를 제공:
+ *   POST /v1/messages          — Anthropic Messages API (stream: true면 SSE)
+ *   POST /v1/chat/completions  — OpenAI 호환 (stream: true면 SSE)
+ *   GET  /_mock/requests       — 받은 요청 기록 (하네스 검증용)
+ *
+ * 응답은 fixtures 디렉토리의 *.json 파일에서 선택 — 파일 이름 순으로 match(정규식)를
+ * 마지막 user 메시지에 적용해 처음 맞는 fixture 사용. 응답 텍스트의 {{1}}, {{2}}...는
+ * match의 캡처 그룹으로 치환.
+ *
+ *   { "match": "regex", "response": "text" | { ... } }   — 객체는 JSON 문자열로 응답
+ *   { "match": "regex", "responseFile": "spec.md" }
+ *
+ * 사용법: node e2e/mock-llm.js [--port 4010] [--fixtures e2e/fixtures]
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const CHUNK_SIZE = 48; // 스트리밍 시 텍스트 조각 크기 (chars)
+
+function parseArgs(argv) {
+  const args = { port: 4010, fixtures: path.join(__dirname, 'fixtures') };
+  for (let i = 0; i < argv.length; i += 2) {
+    if (argv[i] === '--port') args.port = parseInt(argv[i + 1], 10);
+    else if (argv[i] === '--fixtures') args.fixtures = path.resolve(argv[i + 1]);
+  }
+  return args;
+}
+
+function loadFixtures(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.json'))
+    .sort()
+    .map(file => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8'));
+      let template = fixture.response;
+      if (fixture.responseFile) {
+        template = fs.readFileSync(path.join(dir, fixture.responseFile), 'utf-8');
+      } else if (typeof template !== 'string') {
+        template = JSON.stringify(template);
+      }
+      return { name: path.basename(file, '.json'), regex: new RegExp(fixture.match || '[\\s\\S]*'), template };
+    });
+}
+
+// 메시지 content는 문자열 또는 [{ type: 'text', text }] 블록 배열
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) return content.map(block => block.text || '').join('');
+  return '';
+}
+
+class MockLLMServer {
+  constructor(options = {}) {
+    this.fixturesDir = options.fixtures;
+    this.fixtures = loadFixtures(this.fixturesDir);
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  listen(port) {
+    return new Promise(resolve => {
+      this.server.listen(port, '0.0.0.0', () => resolve(this.server.address().port));
+    });
+  }
+
+  close() {
+    this.server.close();
+  }
+
+  respond(prompt) {
+    for (const fixture of this.fixtures) {
+      const m = prompt.match(fixture.regex);
+      if (!m) continue;
+      const text = fixture.template.replace(/\{\{(\d+)\}\}/g, (_, i) => m[Number(i)] || '');
+      return { fixture: fixture.name, text };
+    }
+    return { fixture: null, text: 'OK' };
+  }
+
+  handle(req, res) {
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+
+    if (req.method === 'GET' && pathname === '/_mock/requests') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ requests: this.requests }));
+      return;
+    }
+
+    if (req.method !== 'POST' || !['/v1/messages', '/v1/chat/completions'].includes(pathname)) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ type: 'error', error: { type: 'not_found_error', message: `No route for ${req.method} ${pathname}` } }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ type: 'error', error: { type: 'invalid_request_error', message: 'Invalid JSON' } }));
+        return;
+      }
+
+      const messages = Array.isArray(payload.messages) ? payload.messages : [];
+      const lastUser = [...messages].reverse().find(m => m.role === 'user');
+      const prompt = lastUser ? textOf(lastUser.content) : '';
+      const { fixture, text } = this.respond(prompt);
+      const usage = { input: Math.ceil(prompt.length / 4), output: Math.ceil(text.length / 4) };
+
+      this.requests.push({ time: Date.now(), path: pathname, model: payload.model, stream: !!payload.stream, fixture });
+      console.log(`[MockLLM] ${pathname} model=${payload.model} stream=${!!payload.stream} → ${fixture || 'default'}`);
+
+      if (pathname === '/v1/messages') this.sendAnthropic(res, payload, text, usage);
+      else this.sendOpenAI(res, payload, text, usage);
+    });
+  }
+
+  sendAnthropic(res, payload, text, usage) {
+    const id = `msg_mock_${Date.now()}`;
+    if (!payload.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id, type: 'message', role: 'assistant', model: payload.model,
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: usage.input, output_tokens: usage.output }
+      }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+    send('message_start', {
+      message: { id, type: 'message', role: 'assistant', model: payload.model, content: [], usage: { input_tokens: usage.input, output_tokens: 0 } }
+    });
+    send('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+    for (const piece of text.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g')) || []) {
+      send('content_block_delta', { index: 0, delta: { type: 'text_delta', text: piece } });
+    }
+    send('content_block_stop', { index: 0 });
+    send('message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: usage.output } });
+    send('message_stop', {});
+    res.end();
+  }
+
+  sendOpenAI(res, payload, text, usage) {
+    const id = `chatcmpl-mock-${Date.now()}`;
+    const tokens = { prompt_tokens: usage.input, completion_tokens: usage.output, total_tokens: usage.input + usage.output };
+    if (!payload.stream) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        id, object: 'chat.completion', model: payload.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+        usage: tokens
+      }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const send = (data) => res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model: payload.model, ...data })}\n\n`);
+    for (const piece of text.match(new RegExp(`[\\s\\S]{1,${CHUNK_SIZE}}`, 'g')) || []) {
+      send({ choices: [{ index: 0, delta: { content: piece }, finish_reason: null }] });
+    }
+    send({ choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: tokens });
+    res.end('data: [DONE]\n\n');
+  }
+}
+
+if (require.main === module) {
+  const args = parseArgs(process.argv.slice(2));
+  const server = new MockLLMServer({ fixtures: args.fixtures });
+  server.listen(args.port).then(port => {
+    console.log(`[MockLLM] Listening on http://0.0.0.0:${port} (${server.fixtures.length} fixtures from ${args.fixtures})`);
+  });
+  process.on('SIGTERM', () => process.exit(0));
+  process.on('SIGINT', () => process.exit(0));
+}
+
+module.exports = { MockLLMServer };
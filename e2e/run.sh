@@ -0,0 +1,168 @@
+#!/bin/bash
+set -euo pipefail
+
+#───────────────────────────────────────────────
+# Tokamak Forge — End-to-end test
+#
+# mock LLM 서버 + fake claude 에이전트 이미지로 forge 전체를 실행.
+# API 키나 외부 네트워크 없이 (이미지 빌드 제외) 다음을 검증:
+#   validate-game → SPEC.md 스트리밍 생성 → Docker 에이전트 실행 → 잠금/커밋/push → 세션 중지
+#
+# Usage: ./e2e/run.sh [agent-count]
+# Env:   MOCK_PORT (4010), DASHBOARD_PORT (3100), E2E_TIMEOUT (300초), KEEP_E2E=1 (정리 생략)
+#───────────────────────────────────────────────
+
+AGENT_COUNT="${1:-2}"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+ROOT_DIR="$(cd "$SCRIPT_DIR/.." && pwd)"
+MOCK_PORT="${MOCK_PORT:-4010}"
+DASHBOARD_PORT="${DASHBOARD_PORT:-3100}"
+E2E_TIMEOUT="${E2E_TIMEOUT:-300}"
+E2E_IMAGE="tokamak-forge-agent-e2e"
+E2E_TOKEN="e2e-token"
+GAME_NAME="e2e-dots"
+API="http://127.0.0.1:${DASHBOARD_PORT}/api"
+
+DATA_DIR="$(mktemp -d)"
+BUILD_DIR="$(mktemp -d)"
+MOCK_PID=""
+DASHBOARD_PID=""
+SESSION_ID=""
+
+log() { echo "[e2e] $*"; }
+fail() {
+  echo "[e2e] FAIL: $*" >&2
+  if [ -f "$DATA_DIR/dashboard.log" ]; then
+    echo "─── dashboard log (last 40 lines) ───" >&2
+    tail -40 "$DATA_DIR/dashboard.log" >&2
+  fi
+  exit 1
+}
+
+cleanup() {
+  [ -n "$DASHBOARD_PID" ] && kill "$DASHBOARD_PID" 2>/dev/null || true
+  [ -n "$MOCK_PID" ] && kill "$MOCK_PID" 2>/dev/null || true
+  if [ -n "$SESSION_ID" ]; then
+    docker ps -aq --filter "name=tokamak-agent-${SESSION_ID}-" | xargs -r docker rm -f >/dev/null 2>&1 || true
+  fi
+  rm -rf "$BUILD_DIR"
+  if [ "${KEEP_E2E:-}" = "1" ]; then
+    log "Kept data dir: $DATA_DIR"
+  else
+    rm -rf "$DATA_DIR"
+  fi
+}
+trap cleanup EXIT
+
+# JSON 응답에서 값 추출: echo '{"a":1}' | json '.a'
+json() {
+  node -e "let s='';process.stdin.on('data',c=>s+=c).on('end',()=>{const v=JSON.parse(s)$1;console.log(typeof v==='object'?JSON.stringify(v):v)})"
+}
+
+api() {
+  local method="$1" path="$2" body="${3:-}"
+  curl -sf -X "$method" "${API}${path}" \
+    -H "Authorization: Bearer ${E2E_TOKEN}" \
+    -H 'Content-Type: application/json' \
+    ${body:+-d "$body"}
+}
+
+wait_for() {
+  local what="$1" check="$2" deadline=$((SECONDS + E2E_TIMEOUT))
+  until eval "$check"; do
+    [ "$SECONDS" -ge "$deadline" ] && fail "timed out waiting for ${what}"
+    sleep 2
+  done
+}
+
+for cmd in docker git node curl; do
+  command -v "$cmd" &>/dev/null || fail "'$cmd' is required"
+done
+docker info >/dev/null 2>&1 || fail "Docker daemon is not running"
+
+# ─── 1. Agent image with fake claude ───
+log "Building ${E2E_IMAGE}..."
+cp "$SCRIPT_DIR/Dockerfile.agent" "$SCRIPT_DIR/fake-claude.sh" "$ROOT_DIR/docker/agent-loop.sh" "$BUILD_DIR/"
+docker build -q -t "$E2E_IMAGE" -f "$BUILD_DIR/Dockerfile.agent" "$BUILD_DIR" >/dev/null
+
+# ─── 2. Mock LLM + dashboard ───
+log "Starting mock LLM on :${MOCK_PORT}"
+node "$SCRIPT_DIR/mock-llm.js" --port "$MOCK_PORT" > "$DATA_DIR/mock-llm.log" 2>&1 &
+MOCK_PID=$!
+
+log "Starting dashboard on :${DASHBOARD_PORT}"
+(
+  cd "$ROOT_DIR/dashboard"
+  PORT="$DASHBOARD_PORT" \
+  DASHBOARD_DATA_DIR="$DATA_DIR" \
+  DASHBOARD_API_TOKENS="${E2E_TOKEN}:operator" \
+  DASHBOARD_USERS="" \
+  LLM_PROVIDER=anthropic \
+  LLM_BASE_URL="http://127.0.0.1:${MOCK_PORT}" \
+  LLM_API_KEY=mock-key \
+  ANTHROPIC_API_KEY=mock-key \
+  ANTHROPIC_BASE_URL="http://host.docker.internal:${MOCK_PORT}" \
+  TOKAMAK_AGENT_IMAGE="$E2E_IMAGE" \
+  exec node server.js
+) > "$DATA_DIR/dashboard.log" 2>&1 &
+DASHBOARD_PID=$!
+
+wait_for "dashboard" "curl -sf '${API}/me' >/dev/null"
+
+# ─── 3. Game validation ───
+[ "$(api POST /validate-game '{"gameName":"tetris"}' | json '.known')" = "true" ] \
+  || fail "validate-game should accept tetris"
+[ "$(api POST /validate-game '{"gameName":"zxcv"}' | json '.known')" = "false" ] \
+  || fail "validate-game should ask about zxcv"
+log "✓ validate-game"
+
+# ─── 4. Forge ───
+SESSION_ID=$(api POST /forge "{\"gameName\":\"${GAME_NAME}\",\"agentCount\":${AGENT_COUNT}}" | json '.session.id')
+[ -n "$SESSION_ID" ] || fail "forge did not return a session"
+log "Session ${SESSION_ID} created"
+
+session_status() { api GET "/sessions/${SESSION_ID}" | json '.session.status'; }
+wait_for "agents to start" '[ "$(session_status)" = "running" ] || { [ "$(session_status)" = "stopped" ] && fail "forge stopped early"; false; }'
+log "✓ forge reached running"
+
+SESSION_JSON=$(api GET "/sessions/${SESSION_ID}")
+REPO_PATH=$(echo "$SESSION_JSON" | json '.session.repoPath')
+WORK_DIR=$(echo "$SESSION_JSON" | json '.session.workDir')
+
+grep -q "E2E fixture" "$WORK_DIR/SPEC.md" || fail "SPEC.md was not generated from the mock fixture"
+[ "$(curl -sf "http://127.0.0.1:${MOCK_PORT}/_mock/requests" | json '.requests.some(r => r.fixture === "30-spec" && r.stream)')" = "true" ] \
+  || fail "SPEC.md should be requested with streaming"
+log "✓ SPEC.md streamed from mock LLM"
+
+for module in game renderer input; do
+  [ -f "$WORK_DIR/tests/spec-${module}.test.js" ] || fail "tests/spec-${module}.test.js was not generated from SPEC.md"
+done
+log "✓ acceptance tests generated per SPEC module"
+
+# ─── 5. Agents lock, commit and push ───
+agent_done() {
+  local history
+  history=$(git --git-dir="$REPO_PATH" log --format='%an|%s' main 2>/dev/null) || return 1
+  echo "$history" | grep -q "^agent-$1|task: agent-$1 작업 시작" \
+    && echo "$history" | grep -q "^agent-$1|feat: " \
+    && echo "$history" | grep -q "^agent-$1|task: agent-$1 작업 완료"
+}
+for i in $(seq 1 "$AGENT_COUNT"); do
+  wait_for "agent-${i} commits" "agent_done ${i}"
+  git --git-dir="$REPO_PATH" cat-file -e "main:src/e2e-agent-${i}.js" || fail "src/e2e-agent-${i}.js missing on main"
+  git --git-dir="$REPO_PATH" ls-tree --name-only main current_tasks/ | grep -q "agent-${i}-" \
+    && fail "agent-${i} lock was not released"
+  log "✓ agent-${i} locked, committed and released its task"
+done
+
+iterations() { api GET "/sessions/${SESSION_ID}/usage" | json '.total.iterations'; }
+wait_for "usage records" '[ "$(iterations)" -ge "$AGENT_COUNT" ]'
+log "✓ usage recorded ($(iterations) iterations)"
+
+# ─── 6. Stop ───
+api POST "/sessions/${SESSION_ID}/stop" >/dev/null || fail "stop failed"
+[ "$(session_status)" = "stopped" ] || fail "session should be stopped"
+[ -z "$(docker ps -aq --filter "name=tokamak-agent-${SESSION_ID}-")" ] || fail "agent containers were not removed"
+log "✓ session stopped and containers removed"
+
+log "PASS"
@@ -4,29 +4,44 @@ set -euo pipefail
 #───────────────────────────────────────────────
 # Tokamak Forge — Bootstrap Script
 #
-# Usage: ./forge.sh <game-name> [agent-count]
-# Example: ./forge.sh tetris 3
+# Usage: ./forge.sh <game-name> [agent-count] [genre]
+# Example: ./forge.sh tetris 3 grid-puzzle
+# Genres:  templates/genres/* (생략하면 게임 이름으로 자동 분류)
 #───────────────────────────────────────────────
 
-GAME_NAME="${1:?Usage: ./forge.sh <game-name> [agent-count]}"
+GAME_NAME="${1:?Usage: ./forge.sh <game-name> [agent-count] [genre]}"
 AGENT_COUNT="${2:-3}"
+GENRE="${3:-}"
 SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
 
+if [ -z "$GENRE" ]; then
+  GENRE=$(node "$SCRIPT_DIR/dashboard/genres.js" "$GAME_NAME" 2>/dev/null || echo arcade)
+fi
+GENRE_DIR="$SCRIPT_DIR/templates/genres/${GENRE}"
+if [ ! -f "$GENRE_DIR/genre.json" ]; then
+  echo "ERROR: Unknown genre '${GENRE}'. Available: $(ls "$SCRIPT_DIR/templates/genres" | tr '\n' ' ')"
+  exit 1
+fi
+
 # Load .env file if present
 if [ -f "$SCRIPT_DIR/.env" ]; then
   set -a
   source "$SCRIPT_DIR/.env"
   set +a
 fi
-REPO_BASE="/tmp/tokamak-forge-repos"
+# 대시보드와 같은 저장 위치 (dashboard/repo-store.js) — CLI는 세션 하위 디렉토리 없이 게임 이름 경로 사용
+REPO_BASE="${TOKAMAK_REPO_BASE:-/tmp/tokamak-forge-repos}"
+WORK_BASE="${TOKAMAK_WORK_BASE:-/tmp/tokamak-forge-work}"
 REPO_PATH="${REPO_BASE}/${GAME_NAME}.git"
-WORK_DIR="/tmp/tokamak-forge-work/${GAME_NAME}"
+GATE_DIR="${REPO_BASE}/${GAME_NAME}.gate"
+WORK_DIR="${WORK_BASE}/${GAME_NAME}"
 
 echo "╔══════════════════════════════════════════╗"
 echo "║       Tokamak Forge — Game Builder       ║"
 echo "╠══════════════════════════════════════════╣"
 echo "║  Game:   ${GAME_NAME}"
 echo "║  Agents: ${AGENT_COUNT}"
+echo "║  Genre:  ${GENRE}"
 echo "╚══════════════════════════════════════════╝"
 echo ""
 
@@ -61,6 +76,17 @@ mkdir -p "$REPO_BASE"
 git init --bare "$REPO_PATH" 2>/dev/null
 echo "  ✓ Bare repo: $REPO_PATH"
 
+# main으로의 push마다 테스트를 돌려 실패하면 거부 (dashboard/push-gate.js와 동일)
+# 훅은 에이전트가 쓸 수 있는 repo 밖에 두고 core.hooksPath로 지정 — compose가 읽기 전용으로 마운트
+rm -rf "$GATE_DIR"
+mkdir -p "$GATE_DIR"
+cp "$SCRIPT_DIR/templates/hooks/pre-receive" "$GATE_DIR/pre-receive"
+chmod 755 "$GATE_DIR" "$GATE_DIR/pre-receive"
+git --git-dir="$REPO_PATH" config core.hooksPath "$GATE_DIR"
+mkdir -p "$REPO_PATH/tokamak"
+chmod 777 "$REPO_PATH/tokamak"
+echo "  ✓ Pre-receive test gate installed"
+
 # ─── Step 3: Clone and scaffold project ───
 echo "[3/7] Scaffolding project..."
 
@@ -90,6 +116,10 @@ GITIGNORE
 # Copy and fill templates
 echo "  Generating CLAUDE.md..."
 sed "s/{{GAME_NAME}}/${GAME_NAME}/g" "$SCRIPT_DIR/templates/CLAUDE.md.template" > CLAUDE.md
+if [ -f "$GENRE_DIR/CLAUDE.md" ]; then
+  printf '\n---\n\n' >> CLAUDE.md
+  cat "$GENRE_DIR/CLAUDE.md" >> CLAUDE.md
+fi
 
 echo "  Copying test utilities..."
 cp "$SCRIPT_DIR/templates/tests/base-test.js" tests/
@@ -99,123 +129,9 @@ chmod +x tests/run-tests.sh
 echo "  Generating index.html..."
 sed "s/{{GAME_NAME}}/${GAME_NAME}/g" "$SCRIPT_DIR/templates/src/index.html" > src/index.html
 
-# Create minimal src stubs
-cat > src/game.js <<'GAMEJS'
-/**
- * game.js — Game logic module
- *
- * Exports: createGame(), updateGame(state, action), isGameOver(state)
- */
-
-// Game state factory
-function createGame() {
-  return {
-    score: 0,
-    level: 1,
-    gameOver: false,
-    initialized: true
-  };
-}
-
-// State update handler
-function updateGame(state, action) {
-  if (!state || state.gameOver) return state;
-
-  if (action && action.type === 'tick') {
-    // Game tick logic - to be implemented
-  }
-
-  return state;
-}
-
-// Game over check
-function isGameOver(state) {
-  return state ? state.gameOver : false;
-}
-
-// Node.js exports for testing
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createGame, updateGame, isGameOver };
-}
-GAMEJS
-
-cat > src/renderer.js <<'RENDERERJS'
-/**
- * renderer.js — Canvas rendering module
- *
- * Exports: createRenderer(canvas), render(renderer, state)
- */
-
-function createRenderer(canvas) {
-  const ctx = canvas.getContext('2d');
-  return {
-    ctx: ctx,
-    width: canvas.width,
-    height: canvas.height
-  };
-}
-
-function render(renderer, state) {
-  if (!renderer || !renderer.ctx) return;
-
-  const ctx = renderer.ctx;
-  const w = renderer.width;
-  const h = renderer.height;
-
-  // Clear canvas
-  ctx.fillStyle = '#0a0a1a';
-  ctx.fillRect(0, 0, w, h);
-
-  // Placeholder text
-  ctx.fillStyle = '#00d4ff';
-  ctx.font = '16px Courier New';
-  ctx.textAlign = 'center';
-  ctx.fillText('Game initializing...', w / 2, h / 2);
-
-  if (state && state.score !== undefined) {
-    ctx.fillText('Score: ' + state.score, w / 2, h / 2 + 30);
-  }
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { createRenderer, render };
-}
-RENDERERJS
-
-cat > src/input.js <<'INPUTJS'
-/**
- * input.js — Input handling module
- *
- * Exports: setupInput(callback)
- */
-
-function setupInput(callback) {
-  if (typeof document === 'undefined') return;
-
-  document.addEventListener('keydown', function(e) {
-    var action = null;
-
-    switch (e.key) {
-      case 'ArrowLeft':  action = { type: 'move', direction: 'left' }; break;
-      case 'ArrowRight': action = { type: 'move', direction: 'right' }; break;
-      case 'ArrowDown':  action = { type: 'move', direction: 'down' }; break;
-      case 'ArrowUp':    action = { type: 'rotate' }; break;
-      case ' ':          action = { type: 'drop' }; break;
-      case 'r': case 'R': action = { type: 'restart' }; break;
-      case 'p': case 'P': action = { type: 'pause' }; break;
-    }
-
-    if (action && callback) {
-      e.preventDefault();
-      callback(action);
-    }
-  });
-}
-
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { setupInput };
-}
-INPUTJS
+# Genre stubs (templates/genres/<genre>/src)
+echo "  Copying ${GENRE} genre stubs..."
+cp "$GENRE_DIR"/src/* src/
 
 # Create initial test files
 cat > tests/structure.test.js <<'STRUCTTEST'
@@ -286,66 +202,8 @@ describe('Module Exports', function() {
 process.exit(summary());
 STRUCTTEST
 
-cat > tests/game-logic.test.js <<'GAMETEST'
-const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
-
-describe('Game Logic', function() {
-  it('createGame should return valid initial state', function() {
-    const { createGame } = require('../src/game');
-    const state = createGame();
-    assert.ok(state, 'state should not be null');
-    assert.strictEqual(typeof state.score, 'number');
-    assert.strictEqual(state.gameOver, false);
-    assert.strictEqual(state.initialized, true);
-  });
-
-  it('updateGame should handle tick action', function() {
-    const { createGame, updateGame } = require('../src/game');
-    const state = createGame();
-    const newState = updateGame(state, { type: 'tick', delta: 16 });
-    assert.ok(newState, 'updateGame should return state');
-  });
-
-  it('updateGame should not update when game is over', function() {
-    const { updateGame } = require('../src/game');
-    const state = { score: 100, gameOver: true };
-    const result = updateGame(state, { type: 'tick', delta: 16 });
-    assert.strictEqual(result.score, 100);
-  });
-
-  it('isGameOver should return false for new game', function() {
-    const { createGame, isGameOver } = require('../src/game');
-    const state = createGame();
-    assert.strictEqual(isGameOver(state), false);
-  });
-
-  it('isGameOver should handle null state', function() {
-    const { isGameOver } = require('../src/game');
-    assert.strictEqual(isGameOver(null), false);
-  });
-});
-
-describe('Renderer', function() {
-  it('createRenderer should accept canvas mock', function() {
-    const { createRenderer } = require('../src/renderer');
-    const { canvas } = createCanvasMock();
-    const renderer = createRenderer(canvas);
-    assert.ok(renderer, 'renderer should not be null');
-    assert.ok(renderer.ctx, 'renderer should have ctx');
-  });
-
-  it('render should not throw with valid state', function() {
-    const { createRenderer, render } = require('../src/renderer');
-    const { createGame } = require('../src/game');
-    const { canvas } = createCanvasMock();
-    const renderer = createRenderer(canvas);
-    const state = createGame();
-    assert.doesNotThrow(() => render(renderer, state));
-  });
-});
-
-process.exit(summary());
-GAMETEST
+# Genre tests (templates/genres/<genre>/tests)
+cp "$GENRE_DIR"/tests/* tests/
 
 echo "  ✓ Project scaffolded"
 
@@ -353,8 +211,9 @@ echo "  ✓ Project scaffolded"
 echo "[4/7] Generating SPEC.md with Claude..."
 
 if command -v claude &>/dev/null; then
+  GENRE_HINT=$(node -p "const g=require('$GENRE_DIR/genre.json');'Genre template: '+g.name+'. '+g.specHint" 2>/dev/null || true)
   SPEC_PROMPT="You are a game design expert. Generate a detailed SPEC.md for a '${GAME_NAME}' game.
-
+${GENRE_HINT}
 The game must be implemented in pure HTML5 Canvas + vanilla JavaScript (no libraries).
 
 Format the document exactly like this:
@@ -393,7 +252,7 @@ Format the document exactly like this:
 Keep it detailed enough that multiple developers can work on different modules independently.
 Respond with ONLY the markdown content, no code fences."
 
-  SPEC_CONTENT=$(claude --model claude-opus-4-6 --print -p "$SPEC_PROMPT" 2>/dev/null || true)
+  SPEC_CONTENT=$(claude --model "${LLM_MODEL_SPEC:-claude-opus-4-6}" --print -p "$SPEC_PROMPT" 2>/dev/null || true)
 
   if [ -n "$SPEC_CONTENT" ]; then
     echo "$SPEC_CONTENT" > SPEC.md
@@ -407,9 +266,21 @@ else
   sed "s/{{GAME_NAME}}/${GAME_NAME}/g" "$SCRIPT_DIR/templates/SPEC.md.template" > SPEC.md
 fi
 
+# SPEC.md → spec.json (모듈/export 매니페스트, 대시보드의 모듈 진행률 계산용)
+if command -v node &>/dev/null && node "$SCRIPT_DIR/dashboard/spec-parser.js" SPEC.md > spec.json; then
+  echo "  ✓ spec.json: $(node -e "const s=require('./spec.json');console.log(s.modules.length+' modules')")"
+else
+  rm -f spec.json
+  echo "  ⚠ Could not parse SPEC.md into spec.json"
+fi
+
 # ─── Step 5: Generate initial tests based on SPEC ───
 echo "[5/7] Setting up tests..."
-echo "  ✓ Tests ready (structure.test.js + game-logic.test.js)"
+if [ -f spec.json ] && node "$SCRIPT_DIR/dashboard/spec-tests.js" spec.json tests/ | sed 's/^/  ✓ /'; then
+  echo "  ✓ Tests ready (structure.test.js + ${GENRE} game-logic.test.js + SPEC acceptance tests)"
+else
+  echo "  ✓ Tests ready (structure.test.js + ${GENRE} game-logic.test.js)"
+fi
 
 # ─── Step 6: Initial commit & push ───
 echo "[6/7] Committing and pushing..."
@@ -419,12 +290,18 @@ git commit -m "init: scaffold ${GAME_NAME} project
 
 - CLAUDE.md: agent constitution
 - SPEC.md: game specification
-- src/: initial game stubs (game.js, renderer.js, input.js, index.html)
-- tests/: structure and game logic tests
+- spec.json: module/export manifest parsed from SPEC.md
+- src/: ${GENRE} genre stubs (game.js, renderer.js, input.js) and index.html
+- tests/: structure, genre and per-SPEC-module acceptance tests
 - current_tasks/ & completed_tasks/: task coordination directories" 2>/dev/null
 
 git branch -M main
-git push -u origin main 2>/dev/null
+# 초기 push는 테스트 게이트를 건너뜀 — 토큰의 SHA-256만 repo에 두고 토큰은 이 push에만 전달
+HOOK_TOKEN=$(node -e "process.stdout.write(require('crypto').randomBytes(32).toString('hex'))")
+node -e "process.stdout.write(require('crypto').createHash('sha256').update(process.argv[1]).digest('hex') + '\n')" \
+  "$HOOK_TOKEN" > "$GATE_DIR/pre-receive.token"
+TOKAMAK_HOOK_BYPASS="forge.sh" TOKAMAK_HOOK_TOKEN="$HOOK_TOKEN" \
+  git push --receive-pack="git -c core.hooksPath='$GATE_DIR' receive-pack" -u origin main 2>/dev/null
 
 echo "  ✓ Initial commit pushed to bare repo"
 
@@ -448,6 +325,7 @@ COMPOSE_FILE="$SCRIPT_DIR/docker/docker-compose.yml"
 export GAME_NAME
 export ANTHROPIC_API_KEY
 export REPO_PATH
+export GATE_DIR
 
 echo ""
 echo "Starting docker-compose..."
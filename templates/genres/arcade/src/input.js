@@ -0,0 +1,32 @@
+/**
+ * input.js — Input handling module
+ *
+ * Exports: setupInput(callback)
+ */
+
+function setupInput(callback) {
+  if (typeof document === 'undefined') return;
+
+  document.addEventListener('keydown', function(e) {
+    var action = null;
+
+    switch (e.key) {
+      case 'ArrowLeft':  action = { type: 'move', direction: 'left' }; break;
+      case 'ArrowRight': action = { type: 'move', direction: 'right' }; break;
+      case 'ArrowUp':    action = { type: 'move', direction: 'up' }; break;
+      case 'ArrowDown':  action = { type: 'move', direction: 'down' }; break;
+      case ' ':          action = { type: 'action' }; break;
+      case 'r': case 'R': action = { type: 'restart' }; break;
+      case 'p': case 'P': action = { type: 'pause' }; break;
+    }
+
+    if (action && callback) {
+      e.preventDefault();
+      callback(action);
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { setupInput };
+}
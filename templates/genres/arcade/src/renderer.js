@@ -0,0 +1,40 @@
+/**
+ * renderer.js — Canvas rendering module
+ *
+ * Exports: createRenderer(canvas), render(renderer, state)
+ */
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+  const w = renderer.width;
+  const h = renderer.height;
+
+  // Clear canvas
+  ctx.fillStyle = '#0a0a1a';
+  ctx.fillRect(0, 0, w, h);
+
+  // Placeholder text
+  ctx.fillStyle = '#00d4ff';
+  ctx.font = '16px Courier New';
+  ctx.textAlign = 'center';
+  ctx.fillText('Game initializing...', w / 2, h / 2);
+
+  if (state && state.score !== undefined) {
+    ctx.fillText('Score: ' + state.score, w / 2, h / 2 + 30);
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render };
+}
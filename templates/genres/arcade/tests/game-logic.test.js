@@ -0,0 +1,58 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+describe('Game Logic', function() {
+  it('createGame should return valid initial state', function() {
+    const { createGame } = require('../src/game');
+    const state = createGame();
+    assert.ok(state, 'state should not be null');
+    assert.strictEqual(typeof state.score, 'number');
+    assert.strictEqual(state.gameOver, false);
+    assert.strictEqual(state.initialized, true);
+  });
+
+  it('updateGame should handle tick action', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame();
+    const newState = updateGame(state, { type: 'tick', delta: 16 });
+    assert.ok(newState, 'updateGame should return state');
+  });
+
+  it('updateGame should not update when game is over', function() {
+    const { updateGame } = require('../src/game');
+    const state = { score: 100, gameOver: true };
+    const result = updateGame(state, { type: 'tick', delta: 16 });
+    assert.strictEqual(result.score, 100);
+  });
+
+  it('isGameOver should return false for new game', function() {
+    const { createGame, isGameOver } = require('../src/game');
+    const state = createGame();
+    assert.strictEqual(isGameOver(state), false);
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('createRenderer should accept canvas mock', function() {
+    const { createRenderer } = require('../src/renderer');
+    const { canvas } = createCanvasMock();
+    const renderer = createRenderer(canvas);
+    assert.ok(renderer, 'renderer should not be null');
+    assert.ok(renderer.ctx, 'renderer should have ctx');
+  });
+
+  it('render should not throw with valid state', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame } = require('../src/game');
+    const { canvas } = createCanvasMock();
+    const renderer = createRenderer(canvas);
+    const state = createGame();
+    assert.doesNotThrow(() => render(renderer, state));
+  });
+});
+
+process.exit(summary());
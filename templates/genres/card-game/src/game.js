@@ -0,0 +1,96 @@
+/**
+ * game.js — Game logic module (card game)
+ *
+ * Exports: createGame(random), updateGame(state, action), isGameOver(state),
+ *          createDeck(), shuffle(deck, random), drawCards(state, from, to, count), moveCard(state, from, to)
+ */
+
+var SUITS = ['spades', 'hearts', 'diamonds', 'clubs'];
+var RANKS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13];
+
+// Standard 52-card deck, face down
+function createDeck() {
+  var deck = [];
+  SUITS.forEach(function(suit) {
+    RANKS.forEach(function(rank) {
+      deck.push({ suit: suit, rank: rank, faceUp: false });
+    });
+  });
+  return deck;
+}
+
+// Fisher-Yates shuffle in place. random() defaults to Math.random (inject for deterministic tests).
+function shuffle(deck, random) {
+  var rand = random || Math.random;
+  for (var i = deck.length - 1; i > 0; i--) {
+    var j = Math.floor(rand() * (i + 1));
+    var tmp = deck[i];
+    deck[i] = deck[j];
+    deck[j] = tmp;
+  }
+  return deck;
+}
+
+// Moves up to count cards from the top (end) of one pile to another, face up. Returns the moved cards.
+function drawCards(state, from, to, count) {
+  var source = state.piles[from];
+  var target = state.piles[to];
+  if (!source || !target) return [];
+  var cards = source.splice(Math.max(0, source.length - (count || 1)));
+  cards.forEach(function(card) { card.faceUp = true; });
+  target.push.apply(target, cards);
+  return cards;
+}
+
+// Moves the top card between piles. Rule checks belong to the caller.
+function moveCard(state, from, to) {
+  var source = state.piles[from];
+  var target = state.piles[to];
+  if (!source || !target || source.length === 0) return false;
+  target.push(source.pop());
+  return true;
+}
+
+// Game state factory
+function createGame(random) {
+  return {
+    piles: {
+      deck: shuffle(createDeck(), random),
+      hand: [],
+      discard: []
+    },
+    selected: null,
+    score: 0,
+    gameOver: false,
+    initialized: true
+  };
+}
+
+// State update handler
+function updateGame(state, action) {
+  if (!state || state.gameOver || !action) return state;
+
+  switch (action.type) {
+    case 'draw':
+      drawCards(state, 'deck', 'hand', 1);
+      break;
+    case 'select':
+      // Hit-testing card positions - to be implemented
+      break;
+    case 'restart':
+      Object.assign(state, createGame());
+      break;
+  }
+
+  return state;
+}
+
+// Game over check
+function isGameOver(state) {
+  return state ? state.gameOver : false;
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createGame, updateGame, isGameOver, createDeck, shuffle, drawCards, moveCard };
+}
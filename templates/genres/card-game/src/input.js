@@ -0,0 +1,41 @@
+/**
+ * input.js — Input handling module (card game)
+ *
+ * Exports: setupInput(callback)
+ *
+ * Canvas clicks: { type: 'select', x, y } in canvas pixels. Space draws a card.
+ */
+
+function setupInput(callback) {
+  if (typeof document === 'undefined' || !callback) return;
+
+  var canvas = document.getElementById('game-canvas');
+  if (canvas) {
+    canvas.addEventListener('click', function(e) {
+      var rect = canvas.getBoundingClientRect();
+      callback({
+        type: 'select',
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+      });
+    });
+  }
+
+  document.addEventListener('keydown', function(e) {
+    var action = null;
+
+    switch (e.key) {
+      case ' ': action = { type: 'draw' }; break;
+      case 'r': case 'R': action = { type: 'restart' }; break;
+    }
+
+    if (action) {
+      e.preventDefault();
+      callback(action);
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { setupInput };
+}
@@ -0,0 +1,55 @@
+/**
+ * renderer.js — Canvas rendering module (card game)
+ *
+ * Exports: createRenderer(canvas), render(renderer, state), drawCard(ctx, card, x, y)
+ */
+
+var CARD_W = 50;
+var CARD_H = 70;
+var RANK_LABELS = { 1: 'A', 11: 'J', 12: 'Q', 13: 'K' };
+var SUIT_SYMBOLS = { spades: '♠', hearts: '♥', diamonds: '♦', clubs: '♣' };
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function drawCard(ctx, card, x, y) {
+  ctx.fillStyle = card.faceUp ? '#f0f0f0' : '#1f4e8c';
+  ctx.fillRect(x, y, CARD_W, CARD_H);
+  ctx.strokeStyle = '#0a0a1a';
+  ctx.strokeRect(x, y, CARD_W, CARD_H);
+  if (!card.faceUp) return;
+
+  ctx.fillStyle = card.suit === 'hearts' || card.suit === 'diamonds' ? '#d12f2f' : '#111111';
+  ctx.font = '14px Courier New';
+  ctx.textAlign = 'left';
+  ctx.fillText((RANK_LABELS[card.rank] || card.rank) + SUIT_SYMBOLS[card.suit], x + 4, y + 16);
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+
+  // Table
+  ctx.fillStyle = '#0f3d2e';
+  ctx.fillRect(0, 0, renderer.width, renderer.height);
+
+  if (!state || !state.piles) return;
+
+  // Deck (top card only) and the hand fanned out
+  const deck = state.piles.deck;
+  if (deck.length > 0) drawCard(ctx, deck[deck.length - 1], 16, 16);
+  state.piles.hand.forEach(function(card, i) {
+    drawCard(ctx, card, 16 + i * 24, renderer.height - CARD_H - 16);
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render, drawCard };
+}
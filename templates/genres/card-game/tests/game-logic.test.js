@@ -0,0 +1,74 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+// Deterministic random for shuffle tests
+function seeded(seed) {
+  let s = seed;
+  return function() {
+    s = (s * 16807) % 2147483647;
+    return (s - 1) / 2147483646;
+  };
+}
+
+describe('Deck', function() {
+  it('createDeck should create 52 unique cards', function() {
+    const { createDeck } = require('../src/game');
+    const deck = createDeck();
+    assert.strictEqual(deck.length, 52);
+    assert.strictEqual(new Set(deck.map(c => c.suit + c.rank)).size, 52);
+  });
+
+  it('shuffle should be a permutation and deterministic for a given random()', function() {
+    const { createDeck, shuffle } = require('../src/game');
+    const a = shuffle(createDeck(), seeded(42)).map(c => c.suit + c.rank);
+    const b = shuffle(createDeck(), seeded(42)).map(c => c.suit + c.rank);
+    assert.deepStrictEqual(a, b);
+    assert.strictEqual(new Set(a).size, 52);
+    assert.notDeepStrictEqual(a, createDeck().map(c => c.suit + c.rank));
+  });
+});
+
+describe('Piles', function() {
+  it('drawCards should move cards face up from the deck to the hand', function() {
+    const { createGame, drawCards } = require('../src/game');
+    const state = createGame(seeded(1));
+    const drawn = drawCards(state, 'deck', 'hand', 3);
+    assert.strictEqual(drawn.length, 3);
+    assert.strictEqual(state.piles.deck.length, 49);
+    assert.strictEqual(state.piles.hand.length, 3);
+    assert.ok(state.piles.hand.every(c => c.faceUp));
+  });
+
+  it('moveCard should move the top card and refuse empty piles', function() {
+    const { createGame, moveCard } = require('../src/game');
+    const state = createGame(seeded(1));
+    assert.strictEqual(moveCard(state, 'hand', 'discard'), false);
+    assert.strictEqual(moveCard(state, 'deck', 'discard'), true);
+    assert.strictEqual(state.piles.discard.length, 1);
+  });
+
+  it('draw action should draw one card', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame(seeded(1));
+    updateGame(state, { type: 'draw' });
+    assert.strictEqual(state.piles.hand.length, 1);
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('render should draw the deck and the hand', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame, drawCards } = require('../src/game');
+    const { canvas, calls } = createCanvasMock();
+    const state = createGame(seeded(1));
+    drawCards(state, 'deck', 'hand', 2);
+    render(createRenderer(canvas), state);
+    assert.strictEqual(calls.filter(c => c.method === 'fillText').length, 2, 'face-up cards should be labelled');
+  });
+});
+
+process.exit(summary());
@@ -0,0 +1,91 @@
+/**
+ * game.js — Game logic module (grid puzzle)
+ *
+ * Exports: createGame(cols, rows), updateGame(state, action), isGameOver(state),
+ *          createGrid(cols, rows), cloneGrid(grid), isInside(grid, col, row), clearFullRows(grid)
+ */
+
+// 2D grid: grid[row][col], 0 = empty cell
+function createGrid(cols, rows) {
+  var grid = [];
+  for (var r = 0; r < rows; r++) {
+    var row = [];
+    for (var c = 0; c < cols; c++) row.push(0);
+    grid.push(row);
+  }
+  return grid;
+}
+
+function cloneGrid(grid) {
+  return grid.map(function(row) { return row.slice(); });
+}
+
+function isInside(grid, col, row) {
+  return row >= 0 && row < grid.length && col >= 0 && col < grid[0].length;
+}
+
+// Removes full rows in place, shifts the rest down and returns the number of cleared rows
+function clearFullRows(grid) {
+  var cols = grid[0].length;
+  var kept = grid.filter(function(row) {
+    return row.some(function(cell) { return cell === 0; });
+  });
+  var cleared = grid.length - kept.length;
+  var empty = createGrid(cols, cleared);
+  grid.splice.apply(grid, [0, grid.length].concat(empty, kept));
+  return cleared;
+}
+
+// Game state factory
+function createGame(cols, rows) {
+  var c = cols || 10;
+  var r = rows || 20;
+  return {
+    cols: c,
+    rows: r,
+    grid: createGrid(c, r),
+    score: 0,
+    level: 1,
+    lines: 0,
+    dropInterval: 800,
+    dropTimer: 0,
+    paused: false,
+    gameOver: false,
+    initialized: true
+  };
+}
+
+// State update handler
+function updateGame(state, action) {
+  if (!state || state.gameOver || !action) return state;
+
+  switch (action.type) {
+    case 'tick':
+      if (state.paused) break;
+      state.dropTimer += action.delta || 0;
+      if (state.dropTimer >= state.dropInterval) {
+        state.dropTimer = 0;
+        // Gravity step - to be implemented
+      }
+      break;
+    case 'pause':
+      state.paused = !state.paused;
+      break;
+    case 'restart':
+      Object.assign(state, createGame(state.cols, state.rows));
+      break;
+    // 'move', 'rotate', 'drop' - to be implemented
+  }
+
+  return state;
+}
+
+// Game over check
+function isGameOver(state) {
+  return state ? state.gameOver : false;
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createGame, updateGame, isGameOver, createGrid, cloneGrid, isInside, clearFullRows };
+}
@@ -0,0 +1,49 @@
+/**
+ * renderer.js — Canvas rendering module (grid puzzle)
+ *
+ * Exports: createRenderer(canvas), render(renderer, state)
+ */
+
+var CELL_COLORS = ['#0a0a1a', '#00d4ff', '#ffd700', '#b04cff', '#3fb950', '#f85149', '#ff8c00', '#4169e1'];
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+  const w = renderer.width;
+  const h = renderer.height;
+
+  // Clear canvas
+  ctx.fillStyle = '#0a0a1a';
+  ctx.fillRect(0, 0, w, h);
+
+  if (!state || !state.grid) return;
+
+  // Cells (size fits the grid into the canvas)
+  const cell = Math.floor(Math.min(w / state.cols, h / state.rows));
+  for (let r = 0; r < state.rows; r++) {
+    for (let c = 0; c < state.cols; c++) {
+      const value = state.grid[r][c];
+      if (!value) continue;
+      ctx.fillStyle = CELL_COLORS[value % CELL_COLORS.length] || '#00d4ff';
+      ctx.fillRect(c * cell + 1, r * cell + 1, cell - 2, cell - 2);
+    }
+  }
+
+  // Grid lines
+  ctx.strokeStyle = '#1f2a44';
+  ctx.strokeRect(0, 0, cell * state.cols, cell * state.rows);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render };
+}
@@ -0,0 +1,70 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+describe('Grid', function() {
+  it('createGrid should create rows x cols empty cells', function() {
+    const { createGrid } = require('../src/game');
+    const grid = createGrid(4, 3);
+    assert.strictEqual(grid.length, 3);
+    assert.strictEqual(grid[0].length, 4);
+    assert.ok(grid.every(row => row.every(cell => cell === 0)));
+  });
+
+  it('cloneGrid should not share rows with the original', function() {
+    const { createGrid, cloneGrid } = require('../src/game');
+    const grid = createGrid(2, 2);
+    const copy = cloneGrid(grid);
+    copy[0][0] = 1;
+    assert.strictEqual(grid[0][0], 0);
+  });
+
+  it('isInside should check grid bounds', function() {
+    const { createGrid, isInside } = require('../src/game');
+    const grid = createGrid(3, 2);
+    assert.strictEqual(isInside(grid, 2, 1), true);
+    assert.strictEqual(isInside(grid, 3, 0), false);
+    assert.strictEqual(isInside(grid, 0, -1), false);
+  });
+
+  it('clearFullRows should remove full rows and shift the rest down', function() {
+    const { clearFullRows } = require('../src/game');
+    const grid = [[0, 1], [1, 1], [1, 0]];
+    assert.strictEqual(clearFullRows(grid), 1);
+    assert.deepStrictEqual(grid, [[0, 0], [0, 1], [1, 0]]);
+  });
+});
+
+describe('Game Logic', function() {
+  it('createGame should return an empty grid and a valid initial state', function() {
+    const { createGame } = require('../src/game');
+    const state = createGame(10, 20);
+    assert.strictEqual(state.grid.length, 20);
+    assert.strictEqual(state.grid[0].length, 10);
+    assert.strictEqual(state.score, 0);
+    assert.strictEqual(state.gameOver, false);
+  });
+
+  it('updateGame should handle tick action', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame();
+    assert.ok(updateGame(state, { type: 'tick', delta: 16 }), 'updateGame should return state');
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('render should draw filled cells', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame } = require('../src/game');
+    const { canvas, calls } = createCanvasMock();
+    const state = createGame(4, 4);
+    state.grid[3][0] = 1;
+    render(createRenderer(canvas), state);
+    assert.ok(calls.filter(c => c.method === 'fillRect').length >= 2, 'should clear and draw a cell');
+  });
+});
+
+process.exit(summary());
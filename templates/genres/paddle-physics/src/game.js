@@ -0,0 +1,100 @@
+/**
+ * game.js — Game logic module (paddle / physics)
+ *
+ * Exports: createGame(width, height), updateGame(state, action), isGameOver(state),
+ *          stepBall(ball, dt), bounceOffWalls(ball, width, height), collidesWithRect(ball, rect)
+ */
+
+// Moves the ball by its velocity (pixels/second) over dt milliseconds
+function stepBall(ball, dt) {
+  ball.x += ball.vx * dt / 1000;
+  ball.y += ball.vy * dt / 1000;
+  return ball;
+}
+
+// Reflects the ball off the left, right and top walls. Returns 'bottom' when it leaves the field.
+function bounceOffWalls(ball, width, height) {
+  if (ball.x - ball.r < 0) {
+    ball.x = ball.r;
+    ball.vx = Math.abs(ball.vx);
+  } else if (ball.x + ball.r > width) {
+    ball.x = width - ball.r;
+    ball.vx = -Math.abs(ball.vx);
+  }
+  if (ball.y - ball.r < 0) {
+    ball.y = ball.r;
+    ball.vy = Math.abs(ball.vy);
+  }
+  return ball.y - ball.r > height ? 'bottom' : null;
+}
+
+// Circle vs axis-aligned rectangle
+function collidesWithRect(ball, rect) {
+  var nearestX = Math.max(rect.x, Math.min(ball.x, rect.x + rect.w));
+  var nearestY = Math.max(rect.y, Math.min(ball.y, rect.y + rect.h));
+  var dx = ball.x - nearestX;
+  var dy = ball.y - nearestY;
+  return dx * dx + dy * dy <= ball.r * ball.r;
+}
+
+// Game state factory
+function createGame(width, height) {
+  var w = width || 400;
+  var h = height || 600;
+  return {
+    width: w,
+    height: h,
+    ball: { x: w / 2, y: h / 2, vx: 180, vy: -240, r: 6 },
+    paddle: { x: w / 2 - 40, y: h - 30, w: 80, h: 10, speed: 360, direction: 0 },
+    score: 0,
+    lives: 3,
+    paused: false,
+    gameOver: false,
+    initialized: true
+  };
+}
+
+// State update handler
+function updateGame(state, action) {
+  if (!state || state.gameOver || !action) return state;
+
+  switch (action.type) {
+    case 'tick': {
+      if (state.paused) break;
+      var dt = action.delta || 0;
+      var paddle = state.paddle;
+      paddle.x = Math.max(0, Math.min(state.width - paddle.w, paddle.x + paddle.direction * paddle.speed * dt / 1000));
+
+      stepBall(state.ball, dt);
+      if (bounceOffWalls(state.ball, state.width, state.height) === 'bottom') {
+        // Life lost / serve - to be implemented
+      }
+      if (state.ball.vy > 0 && collidesWithRect(state.ball, paddle)) {
+        state.ball.y = paddle.y - state.ball.r;
+        state.ball.vy = -Math.abs(state.ball.vy);
+      }
+      break;
+    }
+    case 'paddle':
+      state.paddle.direction = action.direction || 0;
+      break;
+    case 'pause':
+      state.paused = !state.paused;
+      break;
+    case 'restart':
+      Object.assign(state, createGame(state.width, state.height));
+      break;
+  }
+
+  return state;
+}
+
+// Game over check
+function isGameOver(state) {
+  return state ? state.gameOver : false;
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createGame, updateGame, isGameOver, stepBall, bounceOffWalls, collidesWithRect };
+}
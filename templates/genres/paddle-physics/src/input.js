@@ -0,0 +1,42 @@
+/**
+ * input.js — Input handling module (paddle / physics)
+ *
+ * Exports: setupInput(callback)
+ *
+ * Held keys move the paddle: { type: 'paddle', direction: -1 | 0 | 1 }
+ */
+
+function setupInput(callback) {
+  if (typeof document === 'undefined') return;
+
+  var held = { left: false, right: false };
+
+  function emitDirection() {
+    if (!callback) return;
+    callback({ type: 'paddle', direction: (held.right ? 1 : 0) - (held.left ? 1 : 0) });
+  }
+
+  document.addEventListener('keydown', function(e) {
+    var action = null;
+
+    switch (e.key) {
+      case 'ArrowLeft':  held.left = true; emitDirection(); break;
+      case 'ArrowRight': held.right = true; emitDirection(); break;
+      case ' ':          action = { type: 'serve' }; break;
+      case 'r': case 'R': action = { type: 'restart' }; break;
+      case 'p': case 'P': action = { type: 'pause' }; break;
+    }
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || action) e.preventDefault();
+    if (action && callback) callback(action);
+  });
+
+  document.addEventListener('keyup', function(e) {
+    if (e.key === 'ArrowLeft') { held.left = false; emitDirection(); }
+    if (e.key === 'ArrowRight') { held.right = false; emitDirection(); }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { setupInput };
+}
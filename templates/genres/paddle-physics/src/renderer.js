@@ -0,0 +1,41 @@
+/**
+ * renderer.js — Canvas rendering module (paddle / physics)
+ *
+ * Exports: createRenderer(canvas), render(renderer, state)
+ */
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+
+  // Clear canvas
+  ctx.fillStyle = '#0a0a1a';
+  ctx.fillRect(0, 0, renderer.width, renderer.height);
+
+  if (!state || !state.ball) return;
+
+  // Paddle
+  const paddle = state.paddle;
+  ctx.fillStyle = '#00d4ff';
+  ctx.fillRect(paddle.x, paddle.y, paddle.w, paddle.h);
+
+  // Ball
+  ctx.fillStyle = '#ffffff';
+  ctx.beginPath();
+  ctx.arc(state.ball.x, state.ball.y, state.ball.r, 0, Math.PI * 2);
+  ctx.fill();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render };
+}
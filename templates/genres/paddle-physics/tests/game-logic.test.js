@@ -0,0 +1,67 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+describe('Physics', function() {
+  it('stepBall should integrate velocity over delta time', function() {
+    const { stepBall } = require('../src/game');
+    const ball = stepBall({ x: 0, y: 0, vx: 100, vy: -50, r: 5 }, 500);
+    assert.strictEqual(ball.x, 50);
+    assert.strictEqual(ball.y, -25);
+  });
+
+  it('bounceOffWalls should reflect off the side and top walls', function() {
+    const { bounceOffWalls } = require('../src/game');
+    const ball = { x: -2, y: 3, vx: -100, vy: -100, r: 5 };
+    bounceOffWalls(ball, 400, 600);
+    assert.ok(ball.vx > 0, 'vx should point right');
+    assert.ok(ball.vy > 0, 'vy should point down');
+    assert.strictEqual(ball.x, 5);
+  });
+
+  it('bounceOffWalls should report a ball that left the bottom', function() {
+    const { bounceOffWalls } = require('../src/game');
+    assert.strictEqual(bounceOffWalls({ x: 100, y: 620, vx: 0, vy: 100, r: 5 }, 400, 600), 'bottom');
+  });
+
+  it('collidesWithRect should detect circle/rectangle overlap', function() {
+    const { collidesWithRect } = require('../src/game');
+    const rect = { x: 10, y: 10, w: 50, h: 10 };
+    assert.strictEqual(collidesWithRect({ x: 30, y: 6, r: 5 }, rect), true);
+    assert.strictEqual(collidesWithRect({ x: 30, y: 0, r: 5 }, rect), false);
+  });
+});
+
+describe('Game Logic', function() {
+  it('createGame should place ball and paddle inside the field', function() {
+    const { createGame } = require('../src/game');
+    const state = createGame(400, 600);
+    assert.ok(state.ball.x > 0 && state.ball.x < 400);
+    assert.ok(state.paddle.y < 600);
+    assert.strictEqual(state.gameOver, false);
+  });
+
+  it('paddle action should move the paddle on tick', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame(400, 600);
+    const x = state.paddle.x;
+    updateGame(state, { type: 'paddle', direction: 1 });
+    updateGame(state, { type: 'tick', delta: 100 });
+    assert.ok(state.paddle.x > x, 'paddle should move right');
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('render should draw the ball', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame } = require('../src/game');
+    const { canvas, calls } = createCanvasMock();
+    render(createRenderer(canvas), createGame());
+    assert.ok(calls.some(c => c.method === 'arc'), 'ball should be drawn with arc()');
+  });
+});
+
+process.exit(summary());
@@ -0,0 +1,100 @@
+/**
+ * game.js — Game logic module (platformer)
+ *
+ * Exports: createGame(width, height), updateGame(state, action), isGameOver(state),
+ *          applyGravity(body, dt, gravity), landOnPlatforms(body, previousBottom, platforms)
+ */
+
+var GRAVITY = 1800;     // pixels/second^2
+var JUMP_SPEED = 620;   // pixels/second
+var RUN_SPEED = 200;    // pixels/second
+
+// Integrates gravity and velocity over dt milliseconds
+function applyGravity(body, dt, gravity) {
+  var seconds = dt / 1000;
+  body.vy += (gravity === undefined ? GRAVITY : gravity) * seconds;
+  body.x += body.vx * seconds;
+  body.y += body.vy * seconds;
+  return body;
+}
+
+// Lands the body on a platform it fell onto during this step (one-way platforms)
+function landOnPlatforms(body, previousBottom, platforms) {
+  body.onGround = false;
+  if (body.vy < 0) return null;
+  for (var i = 0; i < platforms.length; i++) {
+    var p = platforms[i];
+    var overlapsX = body.x + body.w > p.x && body.x < p.x + p.w;
+    var crossedTop = previousBottom <= p.y && body.y + body.h >= p.y;
+    if (overlapsX && crossedTop) {
+      body.y = p.y - body.h;
+      body.vy = 0;
+      body.onGround = true;
+      return p;
+    }
+  }
+  return null;
+}
+
+// Game state factory
+function createGame(width, height) {
+  var w = width || 400;
+  var h = height || 600;
+  return {
+    width: w,
+    height: h,
+    player: { x: 40, y: h - 80, w: 20, h: 30, vx: 0, vy: 0, onGround: false },
+    platforms: [
+      { x: 0, y: h - 40, w: w, h: 40 },
+      { x: w * 0.4, y: h - 140, w: 100, h: 12 }
+    ],
+    score: 0,
+    paused: false,
+    gameOver: false,
+    initialized: true
+  };
+}
+
+// State update handler
+function updateGame(state, action) {
+  if (!state || state.gameOver || !action) return state;
+
+  var player = state.player;
+  switch (action.type) {
+    case 'tick': {
+      if (state.paused) break;
+      var previousBottom = player.y + player.h;
+      applyGravity(player, action.delta || 0);
+      landOnPlatforms(player, previousBottom, state.platforms);
+      if (player.y > state.height) state.gameOver = true;
+      break;
+    }
+    case 'run':
+      player.vx = (action.direction || 0) * RUN_SPEED;
+      break;
+    case 'jump':
+      if (player.onGround) {
+        player.vy = -JUMP_SPEED;
+        player.onGround = false;
+      }
+      break;
+    case 'pause':
+      state.paused = !state.paused;
+      break;
+    case 'restart':
+      Object.assign(state, createGame(state.width, state.height));
+      break;
+  }
+
+  return state;
+}
+
+// Game over check
+function isGameOver(state) {
+  return state ? state.gameOver : false;
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createGame, updateGame, isGameOver, applyGravity, landOnPlatforms };
+}
@@ -0,0 +1,42 @@
+/**
+ * input.js — Input handling module (platformer)
+ *
+ * Exports: setupInput(callback)
+ *
+ * Held arrows run: { type: 'run', direction: -1 | 0 | 1 }; Up/Space jump.
+ */
+
+function setupInput(callback) {
+  if (typeof document === 'undefined') return;
+
+  var held = { left: false, right: false };
+
+  function emitRun() {
+    if (!callback) return;
+    callback({ type: 'run', direction: (held.right ? 1 : 0) - (held.left ? 1 : 0) });
+  }
+
+  document.addEventListener('keydown', function(e) {
+    var action = null;
+
+    switch (e.key) {
+      case 'ArrowLeft':  held.left = true; emitRun(); break;
+      case 'ArrowRight': held.right = true; emitRun(); break;
+      case 'ArrowUp': case ' ': action = { type: 'jump' }; break;
+      case 'r': case 'R': action = { type: 'restart' }; break;
+      case 'p': case 'P': action = { type: 'pause' }; break;
+    }
+
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || action) e.preventDefault();
+    if (action && callback) callback(action);
+  });
+
+  document.addEventListener('keyup', function(e) {
+    if (e.key === 'ArrowLeft') { held.left = false; emitRun(); }
+    if (e.key === 'ArrowRight') { held.right = false; emitRun(); }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { setupInput };
+}
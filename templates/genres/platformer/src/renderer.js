@@ -0,0 +1,40 @@
+/**
+ * renderer.js — Canvas rendering module (platformer)
+ *
+ * Exports: createRenderer(canvas), render(renderer, state)
+ */
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+
+  // Sky
+  ctx.fillStyle = '#0a0a1a';
+  ctx.fillRect(0, 0, renderer.width, renderer.height);
+
+  if (!state || !state.player) return;
+
+  // Platforms
+  ctx.fillStyle = '#3fb950';
+  state.platforms.forEach(function(p) {
+    ctx.fillRect(p.x, p.y, p.w, p.h);
+  });
+
+  // Player
+  ctx.fillStyle = '#00d4ff';
+  ctx.fillRect(state.player.x, state.player.y, state.player.w, state.player.h);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render };
+}
@@ -0,0 +1,64 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+describe('Physics', function() {
+  it('applyGravity should accelerate the body downwards', function() {
+    const { applyGravity } = require('../src/game');
+    const body = applyGravity({ x: 0, y: 0, vx: 0, vy: 0 }, 100, 1000);
+    assert.strictEqual(body.vy, 100);
+    assert.ok(body.y > 0, 'body should fall');
+  });
+
+  it('landOnPlatforms should land a falling body on a platform top', function() {
+    const { landOnPlatforms } = require('../src/game');
+    const body = { x: 10, y: 95, w: 10, h: 10, vy: 200, onGround: false };
+    const platform = { x: 0, y: 100, w: 50, h: 10 };
+    assert.strictEqual(landOnPlatforms(body, 98, [platform]), platform);
+    assert.strictEqual(body.y, 90);
+    assert.strictEqual(body.vy, 0);
+    assert.strictEqual(body.onGround, true);
+  });
+
+  it('landOnPlatforms should ignore a body moving up through a platform', function() {
+    const { landOnPlatforms } = require('../src/game');
+    const body = { x: 10, y: 95, w: 10, h: 10, vy: -200, onGround: false };
+    assert.strictEqual(landOnPlatforms(body, 110, [{ x: 0, y: 100, w: 50, h: 10 }]), null);
+  });
+});
+
+describe('Game Logic', function() {
+  it('player should come to rest on the ground', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame(400, 600);
+    for (let i = 0; i < 60; i++) updateGame(state, { type: 'tick', delta: 16 });
+    assert.strictEqual(state.player.onGround, true);
+    assert.strictEqual(state.gameOver, false);
+  });
+
+  it('jump should only work on the ground', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame(400, 600);
+    updateGame(state, { type: 'jump' });
+    assert.strictEqual(state.player.vy, 0, 'cannot jump in the air');
+    for (let i = 0; i < 60; i++) updateGame(state, { type: 'tick', delta: 16 });
+    updateGame(state, { type: 'jump' });
+    assert.ok(state.player.vy < 0, 'jump should move up');
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('render should draw platforms and the player', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame } = require('../src/game');
+    const { canvas, calls } = createCanvasMock();
+    const state = createGame();
+    render(createRenderer(canvas), state);
+    assert.strictEqual(calls.filter(c => c.method === 'fillRect').length, 2 + state.platforms.length);
+  });
+});
+
+process.exit(summary());
@@ -0,0 +1,104 @@
+/**
+ * game.js — Game logic module (turn-based board)
+ *
+ * Exports: createGame(rows, cols), updateGame(state, action), isGameOver(state),
+ *          createBoard(rows, cols), isValidMove(state, row, col), applyMove(state, row, col),
+ *          nextPlayer(player), isBoardFull(board)
+ */
+
+var PLAYERS = [1, 2];
+
+// 2D board: board[row][col], null = empty square
+function createBoard(rows, cols) {
+  var board = [];
+  for (var r = 0; r < rows; r++) {
+    var row = [];
+    for (var c = 0; c < cols; c++) row.push(null);
+    board.push(row);
+  }
+  return board;
+}
+
+function nextPlayer(player) {
+  return player === PLAYERS[0] ? PLAYERS[1] : PLAYERS[0];
+}
+
+function isBoardFull(board) {
+  return board.every(function(row) {
+    return row.every(function(cell) { return cell !== null; });
+  });
+}
+
+// Placement rule - replace with the game's own move rules
+function isValidMove(state, row, col) {
+  return row >= 0 && row < state.rows && col >= 0 && col < state.cols && state.board[row][col] === null;
+}
+
+// Places the current player's piece and passes the turn. Returns false for an invalid move.
+function applyMove(state, row, col) {
+  if (state.gameOver || !isValidMove(state, row, col)) return false;
+  state.board[row][col] = state.currentPlayer;
+  state.moves.push({ player: state.currentPlayer, row: row, col: col });
+  // Win detection - to be implemented
+  if (isBoardFull(state.board)) state.gameOver = true;
+  state.currentPlayer = nextPlayer(state.currentPlayer);
+  return true;
+}
+
+// Game state factory
+function createGame(rows, cols) {
+  var r = rows || 3;
+  var c = cols || r;
+  return {
+    rows: r,
+    cols: c,
+    board: createBoard(r, c),
+    currentPlayer: PLAYERS[0],
+    cursor: { row: 0, col: 0 },
+    moves: [],
+    winner: null,
+    score: 0,
+    gameOver: false,
+    initialized: true
+  };
+}
+
+// State update handler
+function updateGame(state, action) {
+  if (!state || !action) return state;
+
+  switch (action.type) {
+    case 'select':
+      // 픽셀 좌표(x, y)는 renderer가 기록한 칸 크기로 변환
+      if (state.cellSize) {
+        applyMove(state, Math.floor(action.y / state.cellSize), Math.floor(action.x / state.cellSize));
+      }
+      break;
+    case 'cursor':
+      state.cursor.row = Math.max(0, Math.min(state.rows - 1, state.cursor.row + (action.dRow || 0)));
+      state.cursor.col = Math.max(0, Math.min(state.cols - 1, state.cursor.col + (action.dCol || 0)));
+      break;
+    case 'place':
+      applyMove(state, state.cursor.row, state.cursor.col);
+      break;
+    case 'restart':
+      Object.assign(state, createGame(state.rows, state.cols));
+      break;
+    // 'tick' - turn-based games only need it for animations or AI delays
+  }
+
+  return state;
+}
+
+// Game over check
+function isGameOver(state) {
+  return state ? state.gameOver : false;
+}
+
+// Node.js exports for testing
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    createGame, updateGame, isGameOver,
+    createBoard, isValidMove, applyMove, nextPlayer, isBoardFull
+  };
+}
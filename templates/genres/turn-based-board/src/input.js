@@ -0,0 +1,46 @@
+/**
+ * input.js — Input handling module (turn-based board)
+ *
+ * Exports: setupInput(callback)
+ *
+ * Canvas clicks: { type: 'select', x, y } in canvas pixels.
+ * Keyboard: arrows move the cursor, Enter/Space places a piece.
+ */
+
+function setupInput(callback) {
+  if (typeof document === 'undefined' || !callback) return;
+
+  var canvas = document.getElementById('game-canvas');
+  if (canvas) {
+    canvas.addEventListener('click', function(e) {
+      var rect = canvas.getBoundingClientRect();
+      callback({
+        type: 'select',
+        x: (e.clientX - rect.left) * (canvas.width / rect.width),
+        y: (e.clientY - rect.top) * (canvas.height / rect.height)
+      });
+    });
+  }
+
+  document.addEventListener('keydown', function(e) {
+    var action = null;
+
+    switch (e.key) {
+      case 'ArrowLeft':  action = { type: 'cursor', dRow: 0, dCol: -1 }; break;
+      case 'ArrowRight': action = { type: 'cursor', dRow: 0, dCol: 1 }; break;
+      case 'ArrowUp':    action = { type: 'cursor', dRow: -1, dCol: 0 }; break;
+      case 'ArrowDown':  action = { type: 'cursor', dRow: 1, dCol: 0 }; break;
+      case 'Enter': case ' ': action = { type: 'place' }; break;
+      case 'r': case 'R': action = { type: 'restart' }; break;
+    }
+
+    if (action) {
+      e.preventDefault();
+      callback(action);
+    }
+  });
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { setupInput };
+}
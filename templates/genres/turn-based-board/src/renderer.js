@@ -0,0 +1,55 @@
+/**
+ * renderer.js — Canvas rendering module (turn-based board)
+ *
+ * Exports: createRenderer(canvas), render(renderer, state)
+ */
+
+var PLAYER_COLORS = { 1: '#00d4ff', 2: '#ffd700' };
+
+function createRenderer(canvas) {
+  const ctx = canvas.getContext('2d');
+  return {
+    ctx: ctx,
+    width: canvas.width,
+    height: canvas.height
+  };
+}
+
+function render(renderer, state) {
+  if (!renderer || !renderer.ctx) return;
+
+  const ctx = renderer.ctx;
+
+  // Clear canvas
+  ctx.fillStyle = '#0a0a1a';
+  ctx.fillRect(0, 0, renderer.width, renderer.height);
+
+  if (!state || !state.board) return;
+
+  // 칸 크기를 state에 기록해 클릭 좌표 → 칸 변환에 사용
+  const cell = Math.floor(Math.min(renderer.width / state.cols, renderer.height / state.rows));
+  state.cellSize = cell;
+
+  for (let r = 0; r < state.rows; r++) {
+    for (let c = 0; c < state.cols; c++) {
+      ctx.strokeStyle = '#30363d';
+      ctx.strokeRect(c * cell, r * cell, cell, cell);
+
+      const piece = state.board[r][c];
+      if (piece !== null) {
+        ctx.fillStyle = PLAYER_COLORS[piece] || '#ffffff';
+        ctx.beginPath();
+        ctx.arc(c * cell + cell / 2, r * cell + cell / 2, cell * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+      }
+    }
+  }
+
+  // Keyboard cursor
+  ctx.strokeStyle = '#3fb950';
+  ctx.strokeRect(state.cursor.col * cell + 2, state.cursor.row * cell + 2, cell - 4, cell - 4);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createRenderer, render };
+}
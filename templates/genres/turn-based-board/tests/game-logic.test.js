@@ -0,0 +1,69 @@
+const { assert, describe, it, summary, createCanvasMock } = require('./base-test');
+
+describe('Board', function() {
+  it('createBoard should create an empty rows x cols board', function() {
+    const { createBoard } = require('../src/game');
+    const board = createBoard(2, 3);
+    assert.strictEqual(board.length, 2);
+    assert.strictEqual(board[0].length, 3);
+    assert.ok(board.every(row => row.every(cell => cell === null)));
+  });
+
+  it('nextPlayer should alternate between two players', function() {
+    const { nextPlayer } = require('../src/game');
+    assert.strictEqual(nextPlayer(nextPlayer(1)), 1);
+    assert.notStrictEqual(nextPlayer(1), 1);
+  });
+
+  it('isBoardFull should detect a full board', function() {
+    const { isBoardFull } = require('../src/game');
+    assert.strictEqual(isBoardFull([[1, 2], [2, 1]]), true);
+    assert.strictEqual(isBoardFull([[1, null], [2, 1]]), false);
+  });
+});
+
+describe('Moves', function() {
+  it('applyMove should place a piece and pass the turn', function() {
+    const { createGame, applyMove } = require('../src/game');
+    const state = createGame(3);
+    const player = state.currentPlayer;
+    assert.strictEqual(applyMove(state, 1, 1), true);
+    assert.strictEqual(state.board[1][1], player);
+    assert.notStrictEqual(state.currentPlayer, player);
+  });
+
+  it('applyMove should reject occupied and out-of-range squares', function() {
+    const { createGame, applyMove } = require('../src/game');
+    const state = createGame(3);
+    applyMove(state, 0, 0);
+    assert.strictEqual(applyMove(state, 0, 0), false);
+    assert.strictEqual(applyMove(state, 3, 0), false);
+    assert.strictEqual(state.moves.length, 1);
+  });
+
+  it('select action should map canvas pixels to a square', function() {
+    const { createGame, updateGame } = require('../src/game');
+    const state = createGame(3);
+    state.cellSize = 100;
+    updateGame(state, { type: 'select', x: 250, y: 150 });
+    assert.notStrictEqual(state.board[1][2], null);
+  });
+
+  it('isGameOver should handle null state', function() {
+    const { isGameOver } = require('../src/game');
+    assert.strictEqual(isGameOver(null), false);
+  });
+});
+
+describe('Renderer', function() {
+  it('render should record the cell size for click mapping', function() {
+    const { createRenderer, render } = require('../src/renderer');
+    const { createGame } = require('../src/game');
+    const { canvas } = createCanvasMock();
+    const state = createGame(3);
+    render(createRenderer(canvas), state);
+    assert.ok(state.cellSize > 0, 'cellSize should be set');
+  });
+});
+
+process.exit(summary());
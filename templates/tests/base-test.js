@@ -11,6 +11,7 @@ const path = require('path');
 let totalTests = 0;
 let passedTests = 0;
 let failedTests = 0;
+let pendingTests = 0;
 const failures = [];
 
 /**
@@ -24,11 +25,15 @@ function describe(name, fn) {
 }
 
 /**
- * 개별 테스트 실행
+ * 개별 테스트 실행 (fn 없이 호출하면 pending)
  * @param {string} name - 테스트 이름
- * @param {Function} fn - 테스트 함수
+ * @param {Function} [fn] - 테스트 함수
  */
 function it(name, fn) {
+  if (typeof fn !== 'function') {
+    pending(name);
+    return;
+  }
   totalTests++;
   try {
     fn();
@@ -42,6 +47,15 @@ function it(name, fn) {
   }
 }
 
+/**
+ * 아직 구현되지 않은 테스트 표시 — 결과에 집계되지만 실패로 치지 않음
+ * @param {string} name - 테스트 이름
+ */
+function pending(name) {
+  pendingTests++;
+  console.log(`    ○ ${name} (pending)`);
+}
+
 /**
  * 테스트 결과 요약 출력 및 종료 코드 반환
  */
@@ -50,6 +64,7 @@ function summary() {
   console.log(`  Total:  ${totalTests}`);
   console.log(`  Passed: ${passedTests}`);
   console.log(`  Failed: ${failedTests}`);
+  if (pendingTests > 0) console.log(`  Pending: ${pendingTests}`);
   console.log('  ─────────────────────────────\n');
 
   if (failures.length > 0) {
@@ -98,6 +113,7 @@ module.exports = {
   assert,
   describe,
   it,
+  pending,
   summary,
   createCanvasMock
 };
@@ -17,6 +17,7 @@ TOTAL_FILES=0
 PASSED_FILES=0
 FAILED_FILES=0
 FAILED_LIST=""
+PENDING_TESTS=0
 
 echo "============================================" | tee "$LOG_FILE"
 echo "  Test Runner — $(date '+%Y-%m-%d %H:%M:%S')" | tee -a "$LOG_FILE"
@@ -38,6 +39,7 @@ for test_file in "$SCRIPT_DIR"/*.test.js; do
 
   # Log detailed output to file only
   echo "$output" >> "$LOG_FILE"
+  PENDING_TESTS=$((PENDING_TESTS + $(echo "$output" | grep -c '(pending)$')))
 
   if [ $exit_code -eq 0 ]; then
     PASSED_FILES=$((PASSED_FILES + 1))
@@ -54,6 +56,9 @@ done
 echo "" | tee -a "$LOG_FILE"
 echo "============================================" | tee -a "$LOG_FILE"
 echo "  Results: $PASSED_FILES/$TOTAL_FILES passed" | tee -a "$LOG_FILE"
+if [ $PENDING_TESTS -gt 0 ]; then
+  echo "  Pending: $PENDING_TESTS (see logs/test-results.log)" | tee -a "$LOG_FILE"
+fi
 
 if [ $FAILED_FILES -gt 0 ]; then
   echo "" | tee -a "$LOG_FILE"